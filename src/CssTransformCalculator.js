@@ -1,12 +1,37 @@
 import '@babel/polyfill';
 import TransformMatrix from './TransformMatrix/TransformMatrix';
+import TransformMatrix3D from './TransformMatrix3D/TransformMatrix3D';
+import Homography from './Homography/Homography';
+import TransformParseError from './TransformParseError/TransformParseError';
+import { parseTransformList } from './parseCss/parseCss';
+import serializeTransformList from './serializeTransform/serializeTransform';
+import optimizeTransform from './optimizeTransform/optimizeTransform';
+import parseStyle from './parseStyle/parseStyle';
+import quadBounds, { toQuad, mapQuad } from './quadBounds/quadBounds';
+import transformPath, { transformPoints } from './transformPath/transformPath';
+import viewBoxTransform, { parseViewBox } from './viewBoxTransform/viewBoxTransform';
+import parseTransformOrigin, {
+    transformOriginFromElement,
+    perspectiveOriginFromElement,
+} from './transformOrigin/transformOrigin';
+import sampleTransform from './sampleAnimations/sampleAnimations';
+
+// the namespace of SVG elements
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// attributes of SVG elements which affect their coordinate systems
+const SVG_ATTRIBUTES = [
+    'transform', 'viewBox', 'preserveAspectRatio', 'x', 'y', 'width', 'height',
+];
 
 /**
  * A CssTransformCalculator calculates the matrixes it needs to effeciently find
  * transformed coordinates as soon as it is created. If some elements in the
  * DOM are transformed dynamically after this element is created, it will
  * give incorrect results, so it's best to instatiate a CssTransformCalculator
- * right before you intend to use it.
+ * right before you intend to use it, or to call `invalidate()` when the
+ * DOM changes. Alternatively, create the calculator with the `live` option,
+ * and it will watch the DOM and recalculate automatically.
  * @class CssTransformCalculator
  */
 class CssTransformCalculator {
@@ -18,18 +43,23 @@ class CssTransformCalculator {
      *
      * @static
      * @memberof CssTransformCalculator
-     * @param {HTMLElement} el - target element
+     * @param {HTMLElement} el - target element; may also be an element
+     *  inside an inline `<svg>`, in which case SVG `transform` attributes,
+     *  `viewBox` and `preserveAspectRatio` are taken into account, and
+     *  coordinates within an `<svg>` element are in the user coordinate
+     *  system established by its viewBox, as for `getScreenCTM()`.
      * @param {Object} options
      * @param {HTMLElement} [options.baseAncestor] - CssTransformCalculator,
      *  by default, will take into account all transforms between `el` and,
      *  traversing up the DOM tree, `baseAncestor`, including transforms on both
      *  `el` and `baseAncestor`. If not provided, calculator will include all
      *  ancestors all the way up to the root of the DOM tree.
-     * @param {boolean} [options.safe3D] - The calculator will return incorrect
-     *  results if 3D transforms are in use on any element in the path
-     *  between `options.baseAncestor` and `el`. By default, a warning will be
-     *  emitted on the console when 3D transforms are detected. If you set the
-     *  `safe3D` option to `true`, an error will be thrown instead.
+     * @param {boolean} [options.safe3D] - When 3D transforms are in use, some
+     *  points cannot be mapped, e.g. when an element is seen edge-on, or
+     *  a point lies on the horizon of a plane viewed in perspective. By
+     *  default, a warning will be emitted on the console and the coordinates
+     *  of the point will be `NaN` or infinite. If you set the `safe3D` option
+     *  to `true`, an error will be thrown instead.
      * @param {boolean} [options.safeScale] - The CSS transform calculator
      *  cannot always return accurate results for the `scalePoint()` or
      *  `unscalePoint()` methods on an element when the `scale()` transform
@@ -51,6 +81,34 @@ class CssTransformCalculator {
      *  structured. If you specifically want to ignore when `el` or its
      *  ancestors are distruted into any shadow DOM trees, set this option to
      *  `true`.
+     * @param {boolean} [options.includeLayout] - By default, the calculator
+     *  only takes CSS transforms into account, mapping between transformed and
+     *  untransformed coordinate spaces that share an origin. When this option
+     *  is `true`, the calculator also accounts for where `el` and each of its
+     *  ancestors are laid out (offsetLeft/offsetTop, borders and scroll
+     *  positions), so that it maps between coordinates relative to the border
+     *  box of `el` and viewport (client) coordinates, such as those reported
+     *  by `getBoundingClientRect()` or the `clientX`/`clientY` of pointer
+     *  events. If `baseAncestor` is provided, coordinates are instead relative
+     *  to the position of `baseAncestor`'s border box within its offset
+     *  parent.
+     * @param {boolean} [options.live] - When `true`, the calculator watches
+     *  `el` and the ancestors it depends on for changes (to their `style` or
+     *  `class` attributes, or the attributes which position SVG elements, such
+     *  as `transform` and `viewBox`, the end of transitions and animations,
+     *  window resizes and, when including layout, scrolling) and recalculates
+     *  automatically. Use `onChange()` to be notified of updates, and call
+     *  `dispose()` when the calculator is no longer needed. Note that
+     *  intermediate frames of a running transition or animation are not
+     *  detected.
+     * @param {Number} [options.atTime] - By default, the calculator uses the
+     *  transforms currently applied to each element. Set this option to a
+     *  number of milliseconds to instead use the transforms each element
+     *  will have that far in the future (or past, if negative), taking into
+     *  account running CSS transitions, CSS animations and Web Animations.
+     *  Keyframes are interpolated as browsers do, including keyframes with 3D
+     *  transform functions; relative units, math functions and `var()`s in
+     *  them are resolved using each element's styles.
      * @returns {CssTransformCalculator}
      */
     static fromElement(el, options) {
@@ -61,29 +119,34 @@ class CssTransformCalculator {
         });
         calc._el = el;
         calc._scaleWarning = false;
+        if (calc._options.live) {
+            calc._recalculate();
+        }
         return calc;
     }
 
     /**
      * Create a new CssTransformCalculator instance. The instance will perform
      * calculators based on the provided `transformFunc`, a String representing
-     * a valid CSS 2D transform; see see
+     * a valid CSS transform; see see
      * (syntax)[https://developer.mozilla.org/en-US/docs/Web/CSS/transform].
      *
      * Example: "rotate(30deg) scale(1.25) translateX(100px)"
      *
-     * Note: the provided transformation function must specify lengths in px
-     * units.
+     * Note: relative length units (em, rem, vw, etc.) in the provided
+     * transformation function are resolved using `options.units`, and
+     * percentages may only be used when `options.referenceBox` is provided.
      *
      * @static
-     * @param {String} transformFunc - a String representing a valid CSS 2D
+     * @param {String} transformFunc - a String representing a valid CSS
      * transform;
      * @param {Object} options
-     * @param {boolean} [options.safe3D] - The calculator will return incorrect
-     *  results if 3D transforms are in use on any element in the path
-     *  between `options.baseAncestor` and `el`. By default, a warning will be
-     *  emitted on the console when 3D transforms are detected. If you set the
-     *  `safe3D` option to `true`, an error will be thrown instead.
+     * @param {boolean} [options.safe3D] - When 3D transforms are in use, some
+     *  points cannot be mapped, e.g. when an element is seen edge-on, or
+     *  a point lies on the horizon of a plane viewed in perspective. By
+     *  default, a warning will be emitted on the console and the coordinates
+     *  of the point will be `NaN` or infinite. If you set the `safe3D` option
+     *  to `true`, an error will be thrown instead.
      * @param {boolean} [options.safeScale] - The CSS transform calculator
      *  cannot always return accurate results for the `scalePoint()` or
      *  `unscalePoint()` methods on an element when the `scale()` transform
@@ -92,6 +155,22 @@ class CssTransformCalculator {
      *  `el`. By default, the calculator emits a console warning when the
      *  of `scalePoint()` or `unscalePoint()` may be inaccurate. If you set the
      *  `safeScale` option to `true`, an error will be thrown instead.
+     * @param {Object|HTMLElement} [options.referenceBox] - Percentages in
+     *  translate functions are relative to the size of the element the
+     *  transform is applied to. Provide its dimensions as an object with
+     *  `width` and `height` properties, or provide the element itself to
+     *  measure its border box.
+     * @param {Object|HTMLElement} [options.units] - The sizes that relative
+     *  length units are resolved against: `rootFontSize` (1rem, default 16),
+     *  `fontSize` (1em, defaults to `rootFontSize`), and `viewportWidth` and
+     *  `viewportHeight`, which are required for vw, vh, vmin and vmax. Or
+     *  provide an element to read its font size and the viewport size from
+     *  its document.
+     * @param {Object|Map|HTMLElement} [options.variables] - The values of the
+     *  custom properties used by `var()` references in `transformFunc`, keyed
+     *  by name (e.g. `{ '--angle': '45deg' }`), or an element to read
+     *  computed custom properties from. References to undefined custom
+     *  properties use their fallback, if one is given.
      * @returns {CssTransformCalculator}
      * @memberof CssTransformCalculator
      */
@@ -106,6 +185,192 @@ class CssTransformCalculator {
         return calc;
     }
 
+    /**
+     * Create a new CssTransformCalculator instance from the transform
+     * properties of a style declaration, such as styles which are about to be
+     * applied to an element that hasn't been rendered yet, e.g.
+     * `{ transform: 'rotate(45deg)', transformOrigin: 'left top', scale: '2' }`.
+     *
+     * The individual properties `translate`, `rotate` and `scale` are applied
+     * before `transform`, and all of them around `transformOrigin`, which
+     * defaults to the center of `options.box`; see `parseStyle()`.
+     *
+     * @static
+     * @param {Object} style - with any of the properties `transform`,
+     *  `transformOrigin`, `translate`, `rotate` and `scale`
+     * @param {Object} [options] - accepts the `safe3D`, `safeScale`, `units`
+     *  and `variables` options of `CssTransformCalculator.fromTransform()`.
+     * @param {Object|HTMLElement} [options.box] - The size of the element's
+     *  border box, as an object with `width` and `height` properties, which
+     *  percentages and the transform origin are resolved against. Required
+     *  unless `transformOrigin` is given in lengths.
+     * @returns {CssTransformCalculator}
+     * @memberof CssTransformCalculator
+     */
+    static fromStyle(style, options) {
+        const calc = new CssTransformCalculator();
+        calc._options = Object.assign({}, options, {
+            fromElement: false,
+            fromTransform: false,
+            fromStyle: true,
+        });
+        calc._style = Object.assign({}, style);
+        calc._scaleWarning = false;
+        return calc;
+    }
+
+    /**
+     * Create a new CssTransformCalculator instance from the value of an SVG
+     * `transform` attribute, which uses the SVG 1.1 syntax: unitless numbers
+     * separated by whitespace or commas, angles in degrees, and an optional
+     * center of rotation, e.g. "translate(10 20) rotate(45 50 50)".
+     *
+     * @static
+     * @param {String} transformAttr - the value of an SVG transform attribute
+     * @param {Object} [options] - accepts the `safe3D` and `safeScale`
+     *  options of `CssTransformCalculator.fromTransform()`.
+     * @returns {CssTransformCalculator}
+     * @memberof CssTransformCalculator
+     */
+    static fromSvgTransform(transformAttr, options) {
+        const calc = new CssTransformCalculator();
+        calc._options = Object.assign({}, options, {
+            fromElement: false,
+            fromTransform: false,
+            fromSvgTransform: true,
+        });
+        calc._transformFunc = transformAttr;
+        calc._scaleWarning = false;
+        return calc;
+    }
+
+    /**
+     * Create a new CssTransformCalculator instance which maps points between
+     * the coordinate spaces of two elements. `transformPoint(x, y)` takes a
+     * point relative to `fromEl` and finds the equivalent point relative to
+     * `toEl`; `untransformPoint(x, y)` does the opposite.
+     *
+     * The calculator finds the nearest common ancestor of both elements in
+     * the flattened tree, inspects the transforms between each element and
+     * that ancestor, and composes one chain with the inverse of the other.
+     *
+     * @static
+     * @param {HTMLElement} fromEl
+     * @param {HTMLElement} toEl
+     * @param {Object} [options] - accepts the same options as
+     *  `CssTransformCalculator.fromElement()`, except for `baseAncestor`.
+     *  Unlike `fromElement()`, `options.includeLayout` defaults to `true`, so
+     *  points are relative to the border boxes of `fromEl` and `toEl`.
+     * @returns {CssTransformCalculator}
+     * @memberof CssTransformCalculator
+     */
+    static between(fromEl, toEl, options) {
+        const calc = new CssTransformCalculator();
+        calc._options = Object.assign({ includeLayout: true }, options, {
+            fromElement: false,
+            fromTransform: false,
+            between: true,
+        });
+        delete calc._options.baseAncestor;
+        calc._el = fromEl;
+        calc._relativeTo = toEl;
+        calc._scaleWarning = false;
+        if (calc._options.live) {
+            calc._recalculate();
+        }
+        return calc;
+    }
+
+    /**
+     * Parse a String representing a CSS transform into a list of transform
+     * functions, keeping the values and units of their arguments, e.g.
+     * "rotate(30deg)" becomes
+     * `[{ name: 'rotate', args: [{ type: 'angle', value: 30, unit: 'deg' }] }]`.
+     * Matrixes are calculated from the same list, so the two always agree;
+     * see `parseTransformList()`.
+     *
+     * @static
+     * @param {String} transformFunc - a String representing a valid CSS
+     *  transform
+     * @param {Object} [options]
+     * @param {Object|Map|HTMLElement} [options.variables] - the values of
+     *  custom properties used by `var()` references; see
+     *  `CssTransformCalculator.fromTransform()`.
+     * @returns {Array<Object>}
+     * @memberof CssTransformCalculator
+     */
+    static parseTransformList(transformFunc, options = {}) {
+        return parseTransformList(transformFunc, options.variables);
+    }
+
+    /**
+     * Serialize a list of transform functions (as returned by
+     * `CssTransformCalculator.parseTransformList()`) and/or transform
+     * matrixes as a String representing a CSS transform; see
+     * `serializeTransformList()`.
+     *
+     * @static
+     * @param {Array<Object>} list
+     * @param {Object} [options]
+     * @param {Number} [options.precision] - the number of decimal places
+     *  numbers are rounded to; defaults to 6.
+     * @param {String} [options.angleUnit] - 'deg', 'rad', 'grad' or 'turn'.
+     *  Angles of parsed transform functions keep their own units by default.
+     * @returns {String}
+     * @memberof CssTransformCalculator
+     */
+    static serializeTransformList(list, options) {
+        return serializeTransformList(list, options);
+    }
+
+    /**
+     * Rewrite a String representing a CSS transform as the shortest
+     * equivalent String that can be found, merging adjacent functions of the
+     * same type and dropping identity functions, e.g. "translate(10px)
+     * translate(5px, 0) rotate(0deg)" becomes "translate(15px)". Functions
+     * using percentages, relative units or `var()` are kept as written. The
+     * result is checked to be visually identical; see `optimizeTransform()`.
+     *
+     * @static
+     * @param {String} transformFunc - a String representing a valid CSS
+     *  transform
+     * @param {Object} [options]
+     * @param {Object|HTMLElement} [options.referenceBox] - see
+     *  `CssTransformCalculator.fromTransform()`
+     * @param {Object|HTMLElement} [options.units] - see
+     *  `CssTransformCalculator.fromTransform()`
+     * @param {Object|Map|HTMLElement} [options.variables] - see
+     *  `CssTransformCalculator.fromTransform()`
+     * @param {Number} [options.precision] - see
+     *  `CssTransformCalculator.serializeTransformList()`
+     * @param {String} [options.angleUnit] - see
+     *  `CssTransformCalculator.serializeTransformList()`
+     * @param {Number} [options.tolerance] - the largest difference allowed
+     *  between the values of the original and optimized matrixes; defaults
+     *  to 1e-5.
+     * @returns {String}
+     * @memberof CssTransformCalculator
+     */
+    static optimizeTransform(transformFunc, options) {
+        return optimizeTransform(transformFunc, options);
+    }
+
+    /* eslint-disable max-len */
+    /**
+     * Find the axis-aligned bounding box of a quad (as returned by
+     * `transformQuad()` or `untransformQuad()`), i.e. the smallest rect
+     * containing all four of its corners; see `quadBounds()`.
+     *
+     * @static
+     * @param {{p1: Object, p2: Object, p3: Object, p4: Object}} quad
+     * @returns {{top: Number, right: Number, bottom: Number, left: Number, width: Number, height: Number}}
+     * @memberof CssTransformCalculator
+     */
+    /* eslint-enable max-len */
+    static quadBounds(quad) {
+        return quadBounds(quad);
+    }
+
     get _options() {
         return this.__options;
     }
@@ -122,6 +387,18 @@ class CssTransformCalculator {
         this.__el = el;
     }
 
+    /*
+    * For calculators created via CssTransformCalculator.between(), the
+    * element whose coordinate space points are mapped into.
+    */
+    get _relativeTo() {
+        return this.__relativeTo;
+    }
+
+    set _relativeTo(el) {
+        this.__relativeTo = el;
+    }
+
     /*
     * If rotate(), skewX(), skewY(), or matrix() functions are used in
     * certain ways, it can cause some scale calculations to be inaccurate.
@@ -152,39 +429,395 @@ class CssTransformCalculator {
      * @return {{x: Number, y: Number}}
      */
     transformPoint(x, y) {
-        return this.__compositeTransform.transformPoint(x, y);
+        return this._checkPoint(this._compositeTransform.transformPoint(x, y));
     }
 
     /**
      * From a point `x`, `y` relative to this transformed element, find the
      * equivalent point relative to the untransformed space.
+     *
+     * When 3D transforms are in use, the point is projected along the line of
+     * sight onto the plane of the element, so that e.g. the position of a
+     * pointer event can be mapped onto an element which has been rotated in
+     * 3D.
      * @param {Number} x
      * @param {Number} y
      * @return {{x: Number, y: Number}}
      */
     untransformPoint(x, y) {
-        return this._compositeInverse.transformPoint(x, y);
+        return this._checkPoint(this._compositeInverse.transformPoint(x, y));
+    }
+
+    /**
+     * Like `transformPoint()`, but for a vector `x`, `y` relative to an
+     * untransformed coordinate space, such as a velocity or the distance a
+     * pointer has moved, to which translations don't apply.
+     *
+     * When 3D transforms are in use, a vector maps differently depending on
+     * where it is, so `atX`, `atY` should be the point where it starts, e.g.
+     * where a drag began.
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {{x: Number, y: Number}}
+     */
+    transformVector(x, y, atX = 0, atY = 0) {
+        return this._checkPoint(this._compositeTransform.transformVector(x, y, atX, atY));
+    }
+
+    /**
+     * The opposite of `transformVector()`: from a vector `x`, `y` relative to
+     * this transformed element, e.g. the distance a pointer has moved in
+     * client coordinates, find the equivalent vector in the untransformed
+     * space. `atX`, `atY` is the point where it starts, relative to this
+     * transformed element.
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {{x: Number, y: Number}}
+     */
+    untransformVector(x, y, atX = 0, atY = 0) {
+        return this._checkPoint(this._compositeInverse.transformVector(x, y, atX, atY));
+    }
+
+    /**
+     * From a `length` in the direction `angle` (in radians, clockwise from
+     * the x axis) relative to an untransformed coordinate space, find the
+     * equivalent length relative to the transformed element. See
+     * `transformVector()` for `atX` and `atY`.
+     * @param {Number} length
+     * @param {Number} [angle=0]
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {Number}
+     */
+    transformLength(length, angle = 0, atX = 0, atY = 0) {
+        return this._compositeTransform.transformLength(length, angle, atX, atY);
+    }
+
+    /**
+     * The opposite of `transformLength()`.
+     * @param {Number} length
+     * @param {Number} [angle=0]
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {Number}
+     */
+    untransformLength(length, angle = 0, atX = 0, atY = 0) {
+        return this._compositeInverse.transformLength(length, angle, atX, atY);
+    }
+
+    /**
+     * From a direction `angle` (in radians, clockwise from the x axis)
+     * relative to an untransformed coordinate space, find the equivalent
+     * direction relative to the transformed element, between -π and π. See
+     * `transformVector()` for `atX` and `atY`.
+     * @param {Number} angle
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {Number}
+     */
+    transformAngle(angle, atX = 0, atY = 0) {
+        return this._compositeTransform.transformAngle(angle, atX, atY);
+    }
+
+    /**
+     * The opposite of `transformAngle()`, e.g. to find the direction of a
+     * swipe relative to a rotated element.
+     * @param {Number} angle
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @return {Number}
+     */
+    untransformAngle(angle, atX = 0, atY = 0) {
+        return this._compositeInverse.transformAngle(angle, atX, atY);
+    }
+
+    /**
+     * Map the four corners of `quad` with `transformPoint()`. Under rotation,
+     * skew or 3D transforms, a rect generally isn't mapped onto another rect,
+     * but onto a quad; use `CssTransformCalculator.quadBounds()` to find its
+     * bounding box.
+     *
+     * @param {Object} quad - a quad `{p1, p2, p3, p4}` (e.g. a DOMQuad), or a
+     *  rect (e.g. a DOMRect) whose corners are mapped in the order top left,
+     *  top right, bottom right, bottom left
+     * @returns {{p1: Object, p2: Object, p3: Object, p4: Object}}
+     * @memberof CssTransformCalculator
+     */
+    transformQuad(quad) {
+        return mapQuad(toQuad(quad), (x, y) => this.transformPoint(x, y));
+    }
+
+    /**
+     * Map the four corners of `quad` with `untransformPoint()`; see
+     * `transformQuad()`.
+     *
+     * @param {Object} quad - a quad `{p1, p2, p3, p4}` or a rect
+     * @returns {{p1: Object, p2: Object, p3: Object, p4: Object}}
+     * @memberof CssTransformCalculator
+     */
+    untransformQuad(quad) {
+        return mapQuad(toQuad(quad), (x, y) => this.untransformPoint(x, y));
+    }
+
+    /**
+     * Map SVG path data, or an array of points `{x, y}` (as a polyline), with
+     * `transformPoint()`, returning the transformed path data; e.g. to draw
+     * the outline of a shape in an untransformed overlay. Curves and arcs are
+     * transformed exactly, but not in perspective, so an error is thrown for
+     * them when 3D transforms with perspective are in use; lines, including
+     * arrays of points, can always be mapped. See `transformPath()` for the
+     * options.
+     *
+     * @param {String|Array<{x: Number, y: Number}>} path
+     * @param {Object} [options]
+     * @param {Number} [options.precision]
+     * @param {Boolean} [options.closed]
+     * @returns {String}
+     * @memberof CssTransformCalculator
+     */
+    transformPath(path, options) {
+        if (Array.isArray(path)) {
+            return transformPath(transformPoints(path, this), TransformMatrix.identity(), options);
+        }
+        return transformPath(path, this._compositeTransform, options);
+    }
+
+    /**
+     * Map SVG path data, or an array of points, with `untransformPoint()`;
+     * see `transformPath()`.
+     *
+     * @param {String|Array<{x: Number, y: Number}>} path
+     * @param {Object} [options]
+     * @param {Number} [options.precision]
+     * @param {Boolean} [options.closed]
+     * @returns {String}
+     * @memberof CssTransformCalculator
+     */
+    untransformPath(path, options) {
+        if (Array.isArray(path)) {
+            const inverse = { transformPoint: (x, y) => this.untransformPoint(x, y) };
+            const points = transformPoints(path, inverse);
+            return transformPath(points, TransformMatrix.identity(), options);
+        }
+        return transformPath(path, this._compositeInverse, options);
+    }
+
+    /**
+     * Helper method for transformPoint() and untransformPoint(). When 3D
+     * transforms are in use, some points can't be mapped; warn or throw an
+     * error (see `options.safe3D`) if `point` is one of them.
+     *
+     * @param {{x: Number, y: Number}} point
+     * @returns {{x: Number, y: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _checkPoint(point) {
+        if (!isFinite(point.x) || !isFinite(point.y)) {
+            const msg = 'This point cannot be mapped through the 3D transforms in use.';
+            if (this._options.safe3D) {
+                throw new Error(msg);
+            } else {
+                console.warn(msg);
+            }
+        }
+        return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Returns the composite transform used by `transformPoint()` as a
+     * DOMMatrixReadOnly, for use with native geometry APIs, or null if the
+     * environment doesn't provide DOMMatrixReadOnly. For calculators created
+     * from elements, the DOMMatrixReadOnly of their window is used.
+     *
+     * When 3D transforms are in use, this is a 3D matrix; divide the `x` and
+     * `y` of the points it transforms by their `w` (see
+     * `Homography.toDOMMatrix()`).
+     *
+     * @returns {DOMMatrixReadOnly|null}
+     * @memberof CssTransformCalculator
+     */
+    toDOMMatrix() {
+        let win = typeof window === 'undefined' ? null : window;
+        if (this._el != null && this._el.ownerDocument.defaultView != null) {
+            win = this._el.ownerDocument.defaultView;
+        }
+        const DOMMatrixClass = win && win.DOMMatrixReadOnly;
+        if (typeof DOMMatrixClass !== 'function') { return null; }
+        return this._compositeTransform.toDOMMatrix(DOMMatrixClass);
+    }
+
+    /**
+     * Returns a new CssTransformCalculator which maps points from the
+     * coordinate space of this calculator's element to the coordinate space
+     * of `otherEl`; see `CssTransformCalculator.between()`.
+     *
+     * @param {HTMLElement} otherEl
+     * @returns {CssTransformCalculator}
+     * @memberof CssTransformCalculator
+     */
+    mapTo(otherEl) {
+        if (!this._options.fromElement) {
+            throw new Error('mapTo() is only available on a CssTransformCalculator instantiated via CssTransformCalculator.fromElement');
+        }
+        return CssTransformCalculator.between(this._el, otherEl, this._options);
+    }
+
+    /**
+     * Discard all cached matrixes, so that they will be recalculated the next
+     * time they are needed, and notify any callbacks registered via
+     * `onChange()`. Call this if the transforms or layout of any element
+     * this calculator depends on have changed.
+     *
+     * In live mode, this is called automatically, and the matrixes are
+     * recalculated immediately.
+     *
+     * @memberof CssTransformCalculator
+     */
+    invalidate() {
+        this.__transforms = null;
+        this.__inverseTransforms = null;
+        this.__compositeTransform = null;
+        this.__compositeInverse = null;
+        this.__compositeScale = null;
+        this.__compositeInverseScale = null;
+        this._scaleWarning = false;
+        if (this._options.live && !this.__disposed) {
+            // recalculating also observes any elements newly in the chain
+            this._recalculate();
+        }
+        this._changeCallbacks.forEach(callback => callback(this));
+    }
+
+    /**
+     * Register `callback` to be called with this calculator whenever its
+     * cached matrixes are invalidated, either by calling `invalidate()` or,
+     * in live mode, when a change to the DOM is detected.
+     *
+     * @param {Function} callback
+     * @returns {Function} call this function to unregister `callback`
+     * @memberof CssTransformCalculator
+     */
+    onChange(callback) {
+        this._changeCallbacks.push(callback);
+        return () => {
+            const idx = this._changeCallbacks.indexOf(callback);
+            if (idx > -1) {
+                this._changeCallbacks.splice(idx, 1);
+            }
+        };
+    }
+
+    /**
+     * Stop observing the DOM and unregister all `onChange()` callbacks. The
+     * calculator can still be used afterward, but will no longer update
+     * automatically.
+     *
+     * @memberof CssTransformCalculator
+     */
+    dispose() {
+        this._unobserve();
+        this.__changeCallbacks = [];
+        this.__disposed = true;
+    }
+
+    get _changeCallbacks() {
+        if (this.__changeCallbacks == null) {
+            this.__changeCallbacks = [];
+        }
+        return this.__changeCallbacks;
+    }
+
+    /**
+     * Helper method for live mode. Watches every element visited while
+     * calculating this._transforms for changes which may affect their
+     * transforms or layout, and invalidates this calculator when they occur:
+     * changes to `style` or `class` attributes, the end of transitions and
+     * animations, window resizes, and (when including layout) scrolling.
+     *
+     * @memberof CssTransformCalculator
+     */
+    _observe() {
+        this._unobserve();
+        if (this.__disposed) { return; }
+        const elements = this._elements;
+        const watched = new Set(elements);
+        const teardown = [];
+        const onChange = () => this.invalidate();
+        const onEvent = evt => {
+            if (watched.has(evt.target)) {
+                this.invalidate();
+            }
+        };
+
+        const windows = new Set(elements.map(el => el.ownerDocument.defaultView));
+        windows.forEach(win => {
+            if (win == null) { return; }
+            const doc = win.document;
+            if (win.MutationObserver) {
+                const observer = new win.MutationObserver(onChange);
+                elements
+                    .filter(el => el.ownerDocument === doc)
+                    .forEach(el => observer.observe(el, {
+                        attributes: true,
+                        attributeFilter: ['style', 'class', ...SVG_ATTRIBUTES],
+                    }));
+                teardown.push(() => observer.disconnect());
+            }
+            const listeners = [
+                [doc, 'transitionend', onEvent],
+                [doc, 'animationend', onEvent],
+                [win, 'resize', onChange],
+            ];
+            if (this._options.includeLayout) {
+                listeners.push([doc, 'scroll', onChange]);
+            }
+            listeners.forEach(([target, type, listener]) => {
+                target.addEventListener(type, listener, true);
+                teardown.push(() => target.removeEventListener(type, listener, true));
+            });
+        });
+        this.__teardown = teardown;
+    }
+
+    /**
+     * Helper method for live mode; stop watching the DOM.
+     *
+     * @memberof CssTransformCalculator
+     */
+    _unobserve() {
+        if (this.__teardown) {
+            this.__teardown.forEach(fn => fn());
+        }
+        this.__teardown = [];
     }
 
     /* eslint-disable max-len */
     /**
-     * `Element.getBoundingClientRect()` will provide the size and position of
-     * an element relative to the viewport ... after it has been rendered with
-     * CSS transforms applied. If you'd like to know what the boundingClientRect
-     * would have been `before` this element (and any of its ancestors) were
-     * transformed, this method will tell you.
+     * The opposite of `getUntransformedBoundingClientRect()`: if you'd like to
+     * know where an element which isn't (yet) transformed by this calculator's
+     * element and its ancestors, e.g. one you're about to move into it, would
+     * be rendered once those transforms are applied, this method will tell
+     * you. `element` may also be an untransformed rect, e.g. one previously
+     * returned by `getUntransformedBoundingClientRect()`.
      *
-     * @returns {{width: Number, height: Number, top: Number, right: Number, bottom: Number, left: Number}}
+     * The result is the bounding box of the transformed quad of the rect; use
+     * `transformQuad()` to find the corners themselves. Since the calculator's
+     * own element is already transformed, null coordinates are returned when
+     * `element` isn't provided.
+     *
+     * @param {HTMLElement|Object} [element]
+     * @returns {{width: Number|null, height: Number|null, top: Number|null, right: Number|null, bottom: Number|null, left: Number|null}}
      * @memberof CssTransformCalculator
      */
     /* eslint-enable max-len */
-    getTransformedBoundingClientRect(el) {
-        // TODO: this won't actually work, since _compositeTransform is an
-        // instance property calculated from already-applied transforms.
-        throw new Error('not implemented');
-        // const rect = this._el.getBoundingClientRect();
-        // const txfrm = this._compositeTransform;
-        // return CssTransformCalculator._transformRect(rect, txfrm);
+    getTransformedBoundingClientRect(element) {
+        const rect = element ? CssTransformCalculator._clientRect(element) : null;
+        const txfrm = this._compositeTransform;
+        return CssTransformCalculator._transformRect(rect, txfrm);
     }
 
     /* eslint-disable max-len */
@@ -193,9 +826,14 @@ class CssTransformCalculator {
      * an element relative to the viewport ... after it has been rendered with
      * CSS transforms applied. If you'd like to know what the boundingClientRect
      * would have been `before` this element (and any of its ancestors) were
-     * transformed, this method will tell you.
+     * transformed, this method will tell you. `element` may also be a
+     * transformed rect.
+     *
+     * The result is the bounding box of the untransformed quad of the rect,
+     * so under rotation or skew it is larger than the element's own box; use
+     * `untransformQuad()` to find the corners themselves.
      *
-     * @param {HTMLElement} [element]
+     * @param {HTMLElement|Object} [element]
      * @returns {{width: Number|null, height: Number|null, top: Number|null, right: Number|null, bottom: Number|null, left: Number|null}}
      * @memberof CssTransformCalculator
      */
@@ -203,8 +841,7 @@ class CssTransformCalculator {
     getUntransformedBoundingClientRect(element) {
         let rect;
         if (element) {
-            rect = element.getBoundingClientRect &&
-                element.getBoundingClientRect();
+            rect = CssTransformCalculator._clientRect(element);
         } else if (this._el) {
             rect = this._el.getBoundingClientRect();
         }
@@ -212,6 +849,23 @@ class CssTransformCalculator {
         return CssTransformCalculator._transformRect(rect, txfrm);
     }
 
+    /**
+     * Helper method for the bounding client rect methods; returns the client
+     * rect of `element`, or `element` itself if it's already a rect.
+     *
+     * @static
+     * @param {HTMLElement|Object} element
+     * @returns {Object|null}
+     * @memberof CssTransformCalculator
+     */
+    static _clientRect(element) {
+        if (typeof element.getBoundingClientRect === 'function') {
+            return element.getBoundingClientRect();
+        }
+        const isRect = ['left', 'x'].some(key => typeof element[key] === 'number');
+        return isRect ? element : null;
+    }
+
     static _transformRect(rect, txfrm) {
         if (rect == null) {
             return {
@@ -223,16 +877,7 @@ class CssTransformCalculator {
                 left: null,
             };
         }
-        const origin = txfrm.transformPoint(rect.left, rect.top);
-        const edge = txfrm.transformPoint(rect.right, rect.bottom);
-        return {
-            width: edge.x - origin.x,
-            height: edge.y - origin.y,
-            top: origin.y,
-            right: edge.x,
-            bottom: edge.y,
-            left: origin.x,
-        };
+        return quadBounds(mapQuad(toQuad(rect), (x, y) => txfrm.transformPoint(x, y)));
     }
 
     /**
@@ -266,7 +911,9 @@ class CssTransformCalculator {
       * If this calculator has been created based on an element, traverses the
       * DOM up from `el` to `baseAncestor` (including both `el`
       * and `baseAncestor`) and creates an array of TransformMatrixes
-      * currently applied to all elements in the path. If any "composite"
+      * currently applied to all elements in the path, ordered from the
+      * outermost ancestor to `el`. Each element's transform is applied around
+      * its computed `transform-origin`. If any "composite"
       * transforms are applied to an element in the path (i.e., a CSS transform
       * property has been applied that consists of multiple transform functions,
       * e.g. "transform: scale(2) rotate(45deg);" or a matrix() function that
@@ -277,27 +924,96 @@ class CssTransformCalculator {
       * uses the DOM to convert the input function to a matrix() transform,
       * then decomposes the transform if necessary.
       *
+      * 3D transforms are represented by Homographies, which describe how
+      * each 3D rendering context is flattened into the plane of the element
+      * it is rendered into; see `_flattenContext()`.
+      *
       * @readonly
       * @memberof CssTransformCalculator
-      * @type {Array<TransformMatrix>}
+      * @type {Array<TransformMatrix|Homography>}
       */
     get _transforms() {
-        if (this.__transforms) { return this.__transforms; }
+        if (this.__transforms == null) {
+            this._recalculate();
+        }
+        return this.__transforms;
+    }
+
+    /**
+     * Helper method which calculates this._transforms and, in live mode,
+     * starts watching the elements visited while doing so.
+     *
+     * @memberof CssTransformCalculator
+     */
+    _recalculate() {
         if (this._options.fromTransform) {
-            this.__transforms = TransformMatrix.fromCss(this._transformFunc);
+            this.__transforms = this._flattenContext(
+                TransformMatrix.fromCss(
+                    this._transformFunc,
+                    this._options.referenceBox,
+                    this._options.units,
+                    this._options.variables
+                ));
+        } else if (this._options.fromStyle) {
+            this.__transforms = this._flattenContext(parseStyle(
+                this._style,
+                this._options.box,
+                this._options.units,
+                this._options.variables
+            ));
+        } else if (this._options.fromSvgTransform) {
+            this.__transforms = TransformMatrix.fromSvg(this._transformFunc);
         } else if (this._options.fromElement) {
             this.__transforms = this._traverseDom();
+        } else if (this._options.between) {
+            this.__transforms = this._traverseBetween();
         } else {
-            throw new Error('Cannot perform calculations using this CssTransformCalculator; please instantiate via CssTransformCalculator.fromElement or CssTransformCalculator.fromTransform');
+            throw new Error('Cannot perform calculations using this CssTransformCalculator; please instantiate via CssTransformCalculator.fromElement, CssTransformCalculator.fromTransform, CssTransformCalculator.fromStyle, CssTransformCalculator.fromSvgTransform or CssTransformCalculator.between');
         }
-        return this.__transforms;
+        if (this._options.live) {
+            this._observe();
+        }
+    }
+
+    /**
+     * The elements visited while calculating this._transforms.
+     *
+     * @readonly
+     * @memberof CssTransformCalculator
+     * @type {Array<HTMLElement>}
+     */
+    get _elements() {
+        return this.__elements || [];
     }
 
     /**
      * Helper method for this._transforms. Traverses the DOM, finds all CSS
      * transforms, and converts them into an array of TransformMatrixes.
      *
-     * @returns {Array<TransformMatrix>}
+     * Matrixes for each element are prepended as they are found, so the
+     * array is ordered from the outermost ancestor down to `el`; composing
+     * the array yields a transform from `el`'s coordinate space to the
+     * coordinate space of `baseAncestor`'s parent.
+     *
+     * When the `includeLayout` option is set, translations representing where
+     * each element is laid out within its offset parent are folded into the
+     * chain as well; see `_layoutOffsets()`.
+     *
+     * The `perspective` property of each ancestor is applied to its
+     * children around its `perspective-origin`. Elements are flattened into
+     * the plane of their parent unless it has `transform-style: preserve-3d`;
+     * the transforms within each such 3D rendering context are accumulated,
+     * then flattened together.
+     *
+     * Within SVG content, the transform of each element (its `transform`
+     * attribute or CSS transform) is applied around its origin as given by
+     * `transform-box`, and each `<svg>` element maps the viewBox of its
+     * contents onto its viewport, so that the chain is equivalent to
+     * `getScreenCTM()`. SVG content is not laid out, so `includeLayout` only
+     * applies from the outermost `<svg>` element upwards; see
+     * `_svgLayoutOffset()`.
+     *
+     * @returns {Array<TransformMatrix|Homography>}
      * @memberof CssTransformCalculator
      */
     _traverseDom() {
@@ -307,87 +1023,672 @@ class CssTransformCalculator {
         } else {
             base = this._options.baseAncestor;
         }
-        this.__transforms = recurse(this._el, null, []);
-        return this.__transforms;
+        const layout = this._options.includeLayout === true;
+
+        // when including layout, the element whose offsetLeft/offsetTop we've
+        // most recently accounted for. Those offsets are relative to its
+        // offsetParent, which we expect to find further up the tree.
+        let offsetChild = null;
+        // elements with `position: fixed` are laid out relative to the
+        // viewport, so the layout of their ancestors doesn't matter.
+        let viewportAnchored = false;
+        // all elements visited; see `_elements`
+        const elements = [];
+        // matrixes belonging to the 3D rendering context we are currently
+        // traversing, which must be accumulated before flattening
+        let context = [];
+        const flush = matrixes => {
+            matrixes.unshift(...this._flattenContext(context));
+            context = [];
+        };
 
-        function recurse(el, distributedParent, matrixes) {
-            if (el == null) { return matrixes; }
+        const recurse = (el, matrixes) => {
+            if (el == null) {
+                flush(matrixes);
+                return matrixes;
+            }
 
             // traverse into host document if `element` is root of a document
             // hosted in an iFrame
-            if (this._options.includeHostFrames) {
-                if (el.nodeType === el.DOCUMENT_NODE) {
-                    if (el.defaultView && el.defaultView.frameElement) {
-                        return recurse(el.defaultView.frameElement, null, matrixes);
-                    } else {
-                        return matrixes;
+            if (el.nodeType === el.DOCUMENT_NODE) {
+                flush(matrixes);
+                const frame = CssTransformCalculator._flatTreeParent(el, this._options);
+                if (layout && !viewportAnchored) {
+                    matrixes.unshift(..._translation(this._viewportOffset(el)));
+                }
+                if (frame != null) {
+                    if (layout) {
+                        matrixes.unshift(..._translation(this._frameContentOffset(frame)));
+                        offsetChild = null;
+                        viewportAnchored = false;
                     }
+                    return recurse(frame, matrixes);
+                } else {
+                    return matrixes;
                 }
             }
 
             // traverse into host element if `element` is the root of a shadow
             // DOM tree.
             if (el.nodeType === el.DOCUMENT_FRAGMENT_NODE) {
-                return recurse(el.host, null, matrixes);
+                return recurse(el.host, matrixes);
             }
 
-            // fetch matrix for this element & decompose if necessary
-            const matrix = TransformMatrix.fromElement(el, this._options.safe3D);
-            matrixes.push(...this._decomposeMatrix(matrix));
+            elements.push(el);
+
+            // elements inside an `<svg>` are positioned by the transforms of
+            // their ancestors and the viewports of `<svg>` elements rather
+            // than by layout
+            const isSvgContent = _isSvg(el) && el.ownerSVGElement != null;
+            if (_isSvg(el) && el.localName === 'svg') {
+                context.unshift(...this._decomposeMatrix(this._svgViewportMatrix(el)));
+            }
+
+            // fetch matrix for this element, apply it around the element's
+            // transform-origin & decompose if necessary.
+            const isBase = el === base && this._options.baseAncestor != null;
+            let offsets = { content: null, layout: null, rebase: null };
+            if (layout && !viewportAnchored && _isSvg(el) && !isSvgContent) {
+                // the outermost `<svg>` has no offsetParent, so it is
+                // positioned within its parent, which then takes its place as
+                // the first element whose offsets are accounted for
+                offsets.layout = isBase ? null : this._svgLayoutOffset(el);
+                offsetChild = null;
+            } else if (layout && !viewportAnchored && !isSvgContent) {
+                offsets = this._layoutOffsets(el, offsetChild, isBase);
+                if (offsets.layout != null) {
+                    offsetChild = el;
+                    viewportAnchored = this._isViewportAnchored(el);
+                }
+            }
+            // the perspective property of `el` applies to its children
+            const perspective = el === this._el ? null : this._perspectiveMatrix(el);
+            const matrix = this._elementMatrix(el);
+            // when `el` isn't the offsetParent of `offsetChild`, points are
+            // still relative to their shared offsetParent, so they are moved
+            // into the border box of `el` while its transforms apply
+            const rebase = offsets.rebase != null &&
+                (isBase || perspective != null || matrix != null) ?
+                offsets.rebase :
+                null;
+            context.unshift(..._translation(offsets.content));
+            context.unshift(..._translation(rebase && { x: -1 * rebase.x, y: -1 * rebase.y }));
+            if (perspective != null) {
+                context.unshift(perspective);
+            }
+            if (!this._preserves3D(el)) {
+                // the children of `el` are flattened into its plane
+                flush(matrixes);
+            }
+            if (matrix != null) {
+                const origin = isSvgContent ?
+                    this._svgOriginOf(el) :
+                    this._originOf(el, transformOriginFromElement(el));
+                const M = matrix.aroundOrigin(origin.x, origin.y, origin.z);
+                context.unshift(...this._decomposeMatrix(M));
+            } else if (isSvgContent) {
+                // browsers which don't apply CSS transforms to SVG content
+                // don't reflect its transform attribute in the computed style
+                const M = this._svgAttributeMatrix(el);
+                if (M != null) {
+                    context.unshift(...this._decomposeMatrix(M));
+                }
+            }
+            if (!isBase) {
+                context.unshift(..._translation(rebase));
+            }
+            context.unshift(..._translation(offsets.layout));
 
             // stop recursing if we've reached the specified `baseAncestor`
-            if (el === base) { return matrixes; }
-
-            // find the correct parent node, allowing for the fact that this
-            // `element` may be distributed nodes into the shadow DOM
-            // via a `<content>` or `<slot>` element
-            let parent;
-            if (distributedParent != null) {
-                parent = distributedParent.parentNode;
-            } else {
-                parent = el.parentNode;
+            if (el === base) {
+                flush(matrixes);
+                if (layout && !viewportAnchored && this._options.baseAncestor == null) {
+                    const offset = this._viewportOffset(el.ownerDocument);
+                    matrixes.unshift(..._translation(offset));
+                }
+                return matrixes;
+            }
+
+            return recurse(CssTransformCalculator._flatTreeParent(el, this._options), matrixes);
+        };
+
+        this.__transforms = recurse(this._el, []);
+        this.__elements = elements;
+        if (this.__transforms.length === 0) {
+            this.__transforms.push(TransformMatrix.identity());
+        }
+        return this.__transforms;
+
+        function _translation(offset) {
+            if (offset == null || (offset.x === 0 && offset.y === 0)) {
+                return [];
             }
+            return [TransformMatrix.fromTranslation(offset.x, offset.y)];
+        }
+
+        function _isSvg(node) {
+            return node.namespaceURI === SVG_NAMESPACE;
+        }
+    }
+
+    /**
+     * Helper method for this._transforms. Finds the nearest common ancestor
+     * of `this._el` and `this._relativeTo`, and traverses the DOM from each
+     * element up to that ancestor. The transforms leading to
+     * `this._relativeTo` are inverted, so that the resulting array maps from
+     * the coordinate space of `this._el` to that of `this._relativeTo`.
+     *
+     * @returns {Array<TransformMatrix>}
+     * @memberof CssTransformCalculator
+     */
+    _traverseBetween() {
+        const baseAncestor = CssTransformCalculator._commonAncestor(
+            this._el, this._relativeTo, this._options);
+        if (baseAncestor == null) {
+            throw new Error('Cannot find a common ancestor of these elements; if they belong to different documents, try the `includeHostFrames` option');
+        }
+        const options = Object.assign({}, this._options, {
+            baseAncestor,
+            live: false,
+        });
+        const from = CssTransformCalculator.fromElement(this._el, options);
+        const to = CssTransformCalculator.fromElement(this._relativeTo, options);
+        const matrixes = [
+            ...to._inverseTransforms.slice().reverse(),
+            ...from._transforms,
+        ];
+        this._scaleWarning = from._scaleWarning || to._scaleWarning;
+        this.__elements = [...from._elements, ...to._elements];
+        return matrixes;
+    }
+
+    /**
+     * Finds the parent of `node` in the flattened tree, i.e., the tree of
+     * nodes as they are rendered:
+     *
+     *  - if `node` has been distributed into a shadow DOM tree via a
+     *    `<content>` or `<slot>` element, returns the parent of that element
+     *    (unless `options.ignoreShadowDom` is set);
+     *  - if `node` is the root of a shadow DOM tree, returns its host;
+     *  - if `node` is a document hosted in an iframe, returns the iframe
+     *    element when `options.includeHostFrames` is set.
+     *
+     * @static
+     * @param {Node} node
+     * @param {Object} options - see CssTransformCalculator.fromElement()
+     * @returns {Node|null}
+     * @memberof CssTransformCalculator
+     */
+    static _flatTreeParent(node, options) {
+        if (node.nodeType === node.DOCUMENT_NODE) {
+            const frame = node.defaultView && node.defaultView.frameElement;
+            return (options.includeHostFrames && frame) || null;
+        }
+        if (node.nodeType === node.DOCUMENT_FRAGMENT_NODE) {
+            return node.host || null;
+        }
 
-            // if `element` is distributed into a shadow tree, we want to
-            // traverse the flattened tree (following how the DOM is rendered)
-            // rather than the normal DOM structure
-            if (parent && !this._options.ignoreShadowDom) {
-                const root = parent.root || parent.shadowRoot;
-                if (root != null) {
-                    const contentEls = root.querySelectorAll(
-                        'content, slot');
-                    if ((contentEls == null) || (contentEls.length === 0)) {
-                        return recurse(parent, null, matrixes);
+        // if `node` is distributed into a shadow tree, we want to
+        // traverse the flattened tree (following how the DOM is rendered)
+        // rather than the normal DOM structure
+        const parent = node.parentNode;
+        if (parent && !options.ignoreShadowDom) {
+            const root = parent.root || parent.shadowRoot;
+            if (root != null) {
+                const contentEls = root.querySelectorAll('content, slot');
+                for (const cEl of contentEls) {
+                    let distributed;
+                    if (cEl.getDistributedNodes) {
+                        distributed = cEl.getDistributedNodes();
+                    } else if (cEl.assignedNodes) {
+                        distributed = cEl.assignedNodes();
+                    } else {
+                        distributed = [];
                     }
-                    for (const cEl of contentEls) {
-                        let distributed;
-                        if (cEl.getDistributedNodes) {
-                            distributed = cEl.getDistributedNodes();
-                        } else if (cEl.assignedNodes) {
-                            distributed = cEl.assignedNodes();
-                        } else {
-                            distributed = [];
-                        }
-                        for (const n of distributed) {
-                            if (n === el) {
-                                return recurse(el, cEl, matrixes);
-                            }
+                    for (const n of distributed) {
+                        if (n === node) {
+                            return cEl.parentNode;
                         }
                     }
                 }
             }
+        }
+
+        // otherwise, we'll just traverse up the normal DOM tree.
+        return parent;
+    }
+
+    /**
+     * Finds the nearest element which is an ancestor (or self) of both `el1`
+     * and `el2` in the flattened tree; see `_flatTreeParent()`.
+     *
+     * @static
+     * @param {HTMLElement} el1
+     * @param {HTMLElement} el2
+     * @param {Object} options - see CssTransformCalculator.fromElement()
+     * @returns {HTMLElement|null}
+     * @memberof CssTransformCalculator
+     */
+    static _commonAncestor(el1, el2, options) {
+        const ancestors = new Set(ancestorsOf(el2));
+        const common = ancestorsOf(el1).find(el => ancestors.has(el));
+        return common || null;
+
+        function ancestorsOf(el) {
+            const elements = [];
+            let node = el;
+            while (node != null) {
+                if (node.nodeType === node.ELEMENT_NODE) {
+                    elements.push(node);
+                }
+                node = CssTransformCalculator._flatTreeParent(node, options);
+            }
+            return elements;
+        }
+    }
 
-            // otherwise, we'll just traverse up the normal DOM tree.
-            return recurse(parent, null, matrixes);
+    /**
+     * Helper method for this._traverseDom. Finds the transform applied to
+     * `el`; if the `atTime` option has been set, this is the transform
+     * `el` will have at that time, given its running animations.
+     *
+     * @param {HTMLElement} el
+     * @returns {TransformMatrix|TransformMatrix3D|null}
+     * @memberof CssTransformCalculator
+     */
+    _elementMatrix(el) {
+        if (this._options.atTime != null) {
+            return sampleTransform(el, this._options.atTime);
         }
+        return TransformMatrix.fromElement(el);
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the perspective matrix that
+     * the `perspective` and `perspective-origin` properties of `el` apply to
+     * its children, or null if `el` has no perspective.
+     *
+     * @param {HTMLElement} el
+     * @returns {TransformMatrix3D|null}
+     * @memberof CssTransformCalculator
+     */
+    _perspectiveMatrix(el) {
+        const { getComputedStyle } = el.ownerDocument.defaultView;
+        const d = parseFloat(getComputedStyle(el).perspective);
+        if (isNaN(d)) { return null; }
+        const origin = this._originOf(el, perspectiveOriginFromElement(el));
+        return TransformMatrix3D.fromPerspective(d).aroundOrigin(origin.x, origin.y);
+    }
+
+    /**
+     * Helper method for this._traverseDom. Returns `true` if the children of
+     * `el` share its 3D rendering context rather than being flattened into
+     * its plane, i.e. if `el` has `transform-style: preserve-3d` and no
+     * property which forces it to be flattened.
+     *
+     * @param {HTMLElement} el
+     * @returns {boolean}
+     * @memberof CssTransformCalculator
+     */
+    _preserves3D(el) {
+        const { getComputedStyle } = el.ownerDocument.defaultView;
+        const style = getComputedStyle(el);
+        if (style.transformStyle !== 'preserve-3d') { return false; }
+        // see https://www.w3.org/TR/css-transforms-2/#grouping-property-values
+        const grouping = [
+            ['overflow', ['visible', 'clip']],
+            ['filter', ['none']],
+            ['clipPath', ['none']],
+            ['mask', ['none']],
+            ['isolation', ['auto']],
+            ['mixBlendMode', ['normal']],
+        ];
+        const isGrouped = grouping.some(([prop, flatValues]) =>
+            style[prop] && flatValues.indexOf(style[prop]) < 0);
+        return !isGrouped && !(parseFloat(style.opacity) < 1);
+    }
+
+    /**
+     * Helper method for this._traverseDom. Adjusts the transform or
+     * perspective `origin` of `el`, which is relative to its border box, to
+     * the coordinate space its transform is applied in.
+     *
+     * @param {HTMLElement} el
+     * @param {{x: Number, y: Number, z: Number}} origin
+     * @returns {{x: Number, y: Number, z: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _originOf(el, origin) {
+        if (this._options.includeLayout === true && el === el.ownerDocument.body) {
+            // descendants of the body are laid out relative to the document
+            // rather than the body's border box
+            const bodyOffset = this._bodyOffset(el);
+            return {
+                x: origin.x + bodyOffset.x,
+                y: origin.y + bodyOffset.y,
+                z: origin.z,
+            };
+        }
+        return origin;
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the transform origin of the
+     * SVG element `el` in the user coordinate system its transform is applied
+     * in. Its computed `transform-origin` is relative to the reference box
+     * chosen by `transform-box`: the bounding box of `el` for `fill-box` and
+     * `stroke-box` (which is treated as `fill-box`), otherwise the viewBox of
+     * its nearest `<svg>` ancestor (or the viewport, if it has no viewBox),
+     * positioned at the origin.
+     *
+     * @param {SVGElement} el
+     * @returns {{x: Number, y: Number, z: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _svgOriginOf(el) {
+        const { getComputedStyle } = el.ownerDocument.defaultView;
+        const style = getComputedStyle(el);
+        let box;
+        if ((style.transformBox === 'fill-box' || style.transformBox === 'stroke-box') &&
+            typeof el.getBBox === 'function') {
+            box = el.getBBox();
+        } else {
+            const svg = el.ownerSVGElement;
+            const viewBox = parseViewBox(svg.getAttribute('viewBox'));
+            const { width, height } = viewBox || this._svgViewport(svg);
+            box = { x: 0, y: 0, width, height };
+        }
+        const str = style.transformOrigin;
+        // unlike HTML elements, the initial value for SVG elements is "0 0"
+        const origin = str == null || str.trim() === '' ?
+            { x: 0, y: 0, z: 0 } :
+            parseTransformOrigin(str, box);
+        return { x: box.x + origin.x, y: box.y + origin.y, z: origin.z };
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the transform the `<svg>`
+     * element `svg` applies to its contents, mapping its viewBox onto its
+     * viewport according to its `preserveAspectRatio` attribute; see
+     * `viewBoxTransform()`.
+     *
+     * @param {SVGSVGElement} svg
+     * @returns {TransformMatrix}
+     * @memberof CssTransformCalculator
+     */
+    _svgViewportMatrix(svg) {
+        return viewBoxTransform(
+            parseViewBox(svg.getAttribute('viewBox')),
+            this._svgViewport(svg),
+            svg.getAttribute('preserveAspectRatio')
+        );
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the viewport of the `<svg>`
+     * element `svg`: for an `<svg>` nested inside another, the rectangle given
+     * by its `x`, `y`, `width` and `height` in the user coordinate system of
+     * its parent; for the outermost `<svg>`, its content box, relative to its
+     * border box.
+     *
+     * @param {SVGSVGElement} svg
+     * @returns {{x: Number, y: Number, width: Number, height: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _svgViewport(svg) {
+        if (svg.ownerSVGElement != null) {
+            return {
+                x: length('x'),
+                y: length('y'),
+                width: length('width'),
+                height: length('height'),
+            };
+        }
+        const { getComputedStyle } = svg.ownerDocument.defaultView;
+        const style = getComputedStyle(svg);
+        const padding = side => parseFloat(style[`padding${side}`]) || 0;
+        return {
+            x: (svg.clientLeft || 0) + padding('Left'),
+            y: (svg.clientTop || 0) + padding('Top'),
+            width: (svg.clientWidth || 0) - padding('Left') - padding('Right'),
+            height: (svg.clientHeight || 0) - padding('Top') - padding('Bottom'),
+        };
+
+        function length(name) {
+            const animated = svg[name];
+            return animated && animated.baseVal ? animated.baseVal.value : 0;
+        }
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the transform given by the
+     * `transform` attribute of the SVG element `el`, which is applied around
+     * the origin of its user coordinate system, or null if it has none.
+     * Invalid attributes are ignored, as in browsers.
+     *
+     * @param {SVGElement} el
+     * @returns {TransformMatrix|null}
+     * @memberof CssTransformCalculator
+     */
+    _svgAttributeMatrix(el) {
+        const attr = el.getAttribute('transform');
+        if (attr == null) { return null; }
+        try {
+            const M = TransformMatrix.compose(TransformMatrix.fromSvg(attr));
+            return M.isIdentity() ? null : M;
+        } catch (err) {
+            if (err instanceof TransformParseError) { return null; }
+            throw err;
+        }
+    }
+
+    /**
+     * Helper method for this._transforms. Flattens the matrixes of a 3D
+     * rendering context, ordered from the outermost to the innermost, into
+     * the plane it is rendered into. If any of them are 3D, they are collapsed
+     * into a single Homography which maps the plane of the innermost element
+     * onto that plane, dividing by w to apply perspective. Otherwise, the
+     * matrixes are returned as they are.
+     *
+     * @param {Array<TransformMatrix|TransformMatrix3D>} matrixes
+     * @returns {Array<TransformMatrix|Homography>}
+     * @memberof CssTransformCalculator
+     */
+    _flattenContext(matrixes) {
+        if (!matrixes.some(M => M.type === '3d')) { return matrixes; }
+        // scale can't be separated from 3D transforms
+        this._scaleWarning = true;
+        const H = Homography.fromMatrix3D(TransformMatrix3D.compose(matrixes));
+        return H.isAffine ? this._decomposeMatrix(H.to2D()) : [H];
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the translations needed to
+     * account for the layout position of `el`:
+     *
+     *  - `content` maps from the coordinate space that `offsetChild`'s
+     *    offsetLeft/offsetTop are measured in (if `el` is its offsetParent,
+     *    `el`'s padding edge) to `el`'s border box, taking `el`'s scroll
+     *    position into account.
+     *  - `layout` maps from `el`'s border box to the coordinate space of its
+     *    own offsetParent, and is `null` when `el` is not the offsetParent of
+     *    `offsetChild` (in which case `offsetChild`'s offsets already
+     *    account for `el`'s position).
+     *  - `rebase` is the position of `el`'s border box within the offsetParent
+     *    it shares with `offsetChild` when `el` is not the offsetParent of
+     *    `offsetChild`, e.g. when `el` is transformed but statically
+     *    positioned. Points must be moved by the opposite of this offset into
+     *    `el`'s border box for its transform to be applied around its origin,
+     *    and back again afterwards.
+     *
+     * Note that offsetLeft and offsetTop are rounded to whole pixels by the
+     * browser.
+     *
+     * @param {HTMLElement} el
+     * @param {HTMLElement|null} offsetChild
+     * @param {boolean} isBase - when `true`, `el` is the `baseAncestor`, and
+     *   its own position within its offsetParent is not included.
+     * @returns {{content: ?Object, layout: ?Object, rebase: ?Object}}
+     * @memberof CssTransformCalculator
+     */
+    _layoutOffsets(el, offsetChild, isBase) {
+        const doc = el.ownerDocument;
+        const isOffsetParent = offsetChild == null || offsetChild.offsetParent === el;
+        const isRoot = el === doc.body || el === doc.documentElement;
+        let content = null;
+        if (offsetChild != null && !isRoot) {
+            // scrolling the document is handled by _viewportOffset()
+            content = {
+                x: -1 * (el.scrollLeft || 0),
+                y: -1 * (el.scrollTop || 0),
+            };
+            if (isOffsetParent) {
+                content.x += el.clientLeft || 0;
+                content.y += el.clientTop || 0;
+            }
+        }
+        let layout = null;
+        if (isOffsetParent && !isBase) {
+            layout = {
+                x: el.offsetLeft || 0,
+                y: el.offsetTop || 0,
+            };
+        }
+        let rebase = null;
+        if (!isOffsetParent && !isRoot && el.offsetParent === offsetChild.offsetParent) {
+            rebase = {
+                x: el.offsetLeft || 0,
+                y: el.offsetTop || 0,
+            };
+        }
+        return { content, layout, rebase };
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the position of the border
+     * box of the outermost `<svg>` element `svg` within the border box of its
+     * parent, or null if it has no parent element.
+     *
+     * SVG elements have no offsetLeft, offsetTop or offsetParent, so the
+     * position is found by comparing the client rect of `svg` with the bounds
+     * of its border box mapped to client coordinates through its own
+     * transform and those of its parent. This is exact unless an ancestor
+     * applies a perspective.
+     *
+     * @param {SVGSVGElement} svg
+     * @returns {{x: Number, y: Number}|null}
+     * @memberof CssTransformCalculator
+     */
+    _svgLayoutOffset(svg) {
+        let parent = CssTransformCalculator._flatTreeParent(svg, this._options);
+        if (parent != null && parent.nodeType === parent.DOCUMENT_FRAGMENT_NODE) {
+            parent = parent.host;
+        }
+        if (parent == null || parent.nodeType !== parent.ELEMENT_NODE) {
+            return null;
+        }
+        const { getComputedStyle } = svg.ownerDocument.defaultView;
+        const style = getComputedStyle(svg);
+        const box = {
+            x: 0,
+            y: 0,
+            width: (svg.clientLeft || 0) + (svg.clientWidth || 0) +
+                (parseFloat(style.borderRightWidth) || 0),
+            height: (svg.clientTop || 0) + (svg.clientHeight || 0) +
+                (parseFloat(style.borderBottomWidth) || 0),
+        };
+        // the rect reflects the current transforms, whatever `atTime` is
+        const matrix = TransformMatrix.fromElement(svg);
+        const origin = parseTransformOrigin(style.transformOrigin || '50% 50%', box);
+        const own = matrix == null ?
+            TransformMatrix.identity() :
+            matrix.aroundOrigin(origin.x, origin.y, origin.z);
+        const toClient = CssTransformCalculator.fromElement(parent, {
+            includeLayout: true,
+            ignoreShadowDom: this._options.ignoreShadowDom,
+        });
+        const expected = quadBounds(mapQuad(toQuad(box), (x, y) => {
+            const point = own.transformPoint(x, y);
+            return toClient.transformPoint(point.x, point.y);
+        }));
+        const actual = svg.getBoundingClientRect();
+        const start = toClient.transformPoint(0, 0);
+        return toClient.untransformPoint(
+            start.x + (actual.left - expected.left),
+            start.y + (actual.top - expected.top));
+    }
+
+    /**
+     * Helper method for this._traverseDom. Returns `true` when `el` is
+     * positioned relative to the viewport rather than to its ancestors.
+     *
+     * @param {HTMLElement} el
+     * @returns {boolean}
+     * @memberof CssTransformCalculator
+     */
+    _isViewportAnchored(el) {
+        if (el.offsetParent != null) { return false; }
+        const { getComputedStyle } = el.ownerDocument.defaultView;
+        return getComputedStyle(el).position === 'fixed';
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the offset from the document
+     * origin to the viewport of the document `doc`.
+     *
+     * @param {Document} doc
+     * @returns {{x: Number, y: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _viewportOffset(doc) {
+        const win = doc.defaultView;
+        if (win == null) { return { x: 0, y: 0 }; }
+        return {
+            x: -1 * (win.pageXOffset || 0),
+            y: -1 * (win.pageYOffset || 0),
+        };
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the offset from the border
+     * box of the iframe `frame` to the viewport of the document it hosts.
+     *
+     * @param {HTMLIFrameElement} frame
+     * @returns {{x: Number, y: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _frameContentOffset(frame) {
+        const { getComputedStyle } = frame.ownerDocument.defaultView;
+        const style = getComputedStyle(frame);
+        return {
+            x: (frame.clientLeft || 0) + (parseFloat(style.paddingLeft) || 0),
+            y: (frame.clientTop || 0) + (parseFloat(style.paddingTop) || 0),
+        };
+    }
+
+    /**
+     * Helper method for this._traverseDom. Finds the position of the border
+     * box of the `<body>` element `body` relative to the document origin.
+     *
+     * @param {HTMLBodyElement} body
+     * @returns {{x: Number, y: Number}}
+     * @memberof CssTransformCalculator
+     */
+    _bodyOffset(body) {
+        const { getComputedStyle } = body.ownerDocument.defaultView;
+        const style = getComputedStyle(body);
+        return {
+            x: parseFloat(style.marginLeft) || 0,
+            y: parseFloat(style.marginTop) || 0,
+        };
     }
 
     /**
      * Helper method for this._transforms. If the provided matrix `M` is
      * composite, decompose it. Otherwise, just return the Array [M].
      *
-     * @param {TransformMatrix} M
-     * @returns {Array<TransformMatrix>}
+     * @param {TransformMatrix|TransformMatrix3D} M
+     * @returns {Array<TransformMatrix|TransformMatrix3D>}
      * @memberof CssTransformCalculator
      */
     _decomposeMatrix(M) {
@@ -409,24 +1710,31 @@ class CssTransformCalculator {
      *
      * @readonly
      * @memberof CssTransformCalculator
-     * @type {Array<TransformMatrix>}
+     * @type {Array<TransformMatrix|Homography>}
      */
     get _inverseTransforms() {
         if (this.__inverseTransforms) { return this.__inverseTransforms; }
         this.__inverseTransforms = this._transforms.map(txfrm => txfrm.inverse);
+        return this.__inverseTransforms;
     }
 
     /**
      * Calculate the composite TransformMatrix representing all the transforms
-     * applied to this element and its ancestors.
+     * applied to this element and its ancestors. If any of them involve
+     * perspective, this is a Homography.
      *
      * @readonly
      * @memberof CssTransformCalculator
-     * @type {TransformMatrix}
+     * @type {TransformMatrix|Homography}
      */
     get _compositeTransform() {
         if (this.__compositeTransform) { return this.__compositeTransform; }
-        this.__compositeTransform = TransformMatrix.compose(this._transforms);
+        if (this._transforms.some(txfrm => txfrm.type === 'projective')) {
+            this.__compositeTransform = Homography.compose(this._transforms);
+        } else {
+            this.__compositeTransform = TransformMatrix.compose(this._transforms);
+        }
+        return this.__compositeTransform;
     }
 
     /**
@@ -434,11 +1742,12 @@ class CssTransformCalculator {
      *
      * @readonly
      * @memberof CssTransformCalculator
-     * @type {TransformMatrix}
+     * @type {TransformMatrix|Homography}
      */
     get _compositeInverse() {
         if (this.__compositeInverse) { return this.__compositeInverse; }
         this.__compositeInverse = this._compositeTransform.inverse;
+        return this.__compositeInverse;
     }
 
     /**
@@ -455,7 +1764,7 @@ class CssTransformCalculator {
         if (scales.length > 0) {
             this.__compositeScale = TransformMatrix.compose(scales);
         } else {
-            this.__compositeScale = TransformMatrix.identity;
+            this.__compositeScale = TransformMatrix.identity();
         }
         if (this._scaleWarning) {
             const msg = 'It may not be possible to correctly calculate the scale of this element.';
@@ -484,5 +1793,11 @@ class CssTransformCalculator {
     }
 }
 
+// exposed so that parse errors can be identified with `instanceof`
+CssTransformCalculator.TransformParseError = TransformParseError;
+// exposed for conversion to and from native geometry types, e.g. DOMMatrix
+CssTransformCalculator.TransformMatrix = TransformMatrix;
+CssTransformCalculator.TransformMatrix3D = TransformMatrix3D;
+
 module.exports = CssTransformCalculator;
 export default CssTransformCalculator;
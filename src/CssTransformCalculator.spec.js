@@ -0,0 +1,325 @@
+import CssTransformCalculator from './CssTransformCalculator';
+
+describe('CssTransformCalculator', () => {
+    let fixtures = [];
+
+    // appends `html` to the document; returns a function which finds the
+    // elements inside it by id
+    function createFixture(html) {
+        const container = document.createElement('div');
+        container.style.cssText = 'position: absolute; left: 0; top: 0;';
+        container.innerHTML = html;
+        document.body.appendChild(container);
+        fixtures.push(container);
+        return id => container.querySelector(`#${id}`);
+    }
+
+    // the bounding box of the border box of `el`, mapped through `calc`
+    function mappedBounds(calc, el) {
+        const quad = calc.transformQuad({
+            x: 0,
+            y: 0,
+            width: el.offsetWidth,
+            height: el.offsetHeight,
+        });
+        return CssTransformCalculator.quadBounds(quad);
+    }
+
+    function expectRect(actual, expected) {
+        ['left', 'top', 'width', 'height'].forEach(key => {
+            expect(actual[key]).toBeCloseTo(expected[key], 0);
+        });
+    }
+
+    afterEach(() => {
+        fixtures.forEach(fixture => fixture.remove());
+        fixtures = [];
+    });
+
+    describe('includeLayout', () => {
+        it('Should map nested, transformed elements to client coordinates', () => {
+            const $ = createFixture(`
+                <div id="outer" style="position: absolute; left: 50px; top: 40px;
+                    width: 200px; height: 150px; border: 5px solid; padding: 3px;
+                    transform: rotate(30deg)">
+                    <div id="inner" style="position: absolute; left: 20px; top: 10px;
+                        width: 40px; height: 30px; border: 2px solid;
+                        transform: scale(1.5) translate(10px, 4px)"></div>
+                </div>
+            `);
+            const calc = CssTransformCalculator.fromElement($('inner'), { includeLayout: true });
+            expectRect(mappedBounds(calc, $('inner')), $('inner').getBoundingClientRect());
+
+            const client = calc.transformPoint(12, 7);
+            const local = calc.untransformPoint(client.x, client.y);
+            expect(local.x).toBeCloseTo(12, 6);
+            expect(local.y).toBeCloseTo(7, 6);
+        });
+
+        it('Should account for scrolled ancestors', () => {
+            const $ = createFixture(`
+                <div id="scroller" style="position: relative; width: 100px; height: 100px;
+                    overflow: scroll; transform: rotate(-20deg)">
+                    <div style="width: 400px; height: 400px"></div>
+                    <div id="target" style="position: absolute; left: 120px; top: 150px;
+                        width: 30px; height: 20px; transform: skewX(15deg)"></div>
+                </div>
+            `);
+            $('scroller').scrollLeft = 60;
+            $('scroller').scrollTop = 90;
+            const calc = CssTransformCalculator.fromElement($('target'), { includeLayout: true });
+            expectRect(mappedBounds(calc, $('target')), $('target').getBoundingClientRect());
+        });
+
+        it('Should apply transforms of statically positioned ancestors around their origin', () => {
+            const $ = createFixture(`
+                <div style="position: relative; left: 30px; top: 20px; padding: 10px">
+                    <div style="height: 15px"></div>
+                    <div id="static" style="display: flow-root; margin-left: 25px;
+                        width: 100px; height: 50px; transform: rotate(45deg)">
+                        <div id="target" style="margin: 7px; width: 20px; height: 20px;
+                            transform: rotate(10deg)"></div>
+                    </div>
+                </div>
+            `);
+            const calc = CssTransformCalculator.fromElement($('target'), { includeLayout: true });
+            expectRect(mappedBounds(calc, $('target')), $('target').getBoundingClientRect());
+
+            // relative to the border box of a statically positioned base ancestor
+            const fromBase = CssTransformCalculator.fromElement($('target'), {
+                includeLayout: true,
+                baseAncestor: $('static'),
+            });
+            // computed styles round the values of matrixes, so the rotations
+            // are read from them rather than calculated
+            const { TransformMatrix } = CssTransformCalculator;
+            const expected = TransformMatrix.compose([
+                TransformMatrix.fromElement($('static')).aroundOrigin(50, 25),
+                TransformMatrix.fromTranslation(7, 7),
+                TransformMatrix.fromElement($('target')).aroundOrigin(10, 10),
+            ]).transformPoint(0, 0);
+            const point = fromBase.transformPoint(0, 0);
+            expect(point.x).toBeCloseTo(expected.x, 6);
+            expect(point.y).toBeCloseTo(expected.y, 6);
+        });
+    });
+
+    describe('bounding client rects', () => {
+        const nullRect = {
+            width: null,
+            height: null,
+            top: null,
+            right: null,
+            bottom: null,
+            left: null,
+        };
+
+        it('Should map plain rects', () => {
+            const calc = CssTransformCalculator.fromTransform('translate(10px, 20px) scale(2)');
+            const expected = { left: 12, top: 24, right: 18, bottom: 32, width: 6, height: 8 };
+            expect(calc.getTransformedBoundingClientRect({ left: 1, top: 2, width: 3, height: 4 }))
+                .toEqual(expected);
+            expect(calc.getTransformedBoundingClientRect({ x: 1, y: 2, width: 3, height: 4 }))
+                .toEqual(expected);
+            expect(calc.getUntransformedBoundingClientRect(expected))
+                .toEqual({ left: 1, top: 2, right: 4, bottom: 6, width: 3, height: 4 });
+        });
+
+        it('Should return null coordinates without a rect to map', () => {
+            const calc = CssTransformCalculator.fromTransform('rotate(45deg)');
+            expect(calc.getTransformedBoundingClientRect()).toEqual(nullRect);
+            expect(calc.getUntransformedBoundingClientRect()).toEqual(nullRect);
+
+            // the element of a calculator is already transformed
+            const $ = createFixture('<div id="el" style="transform: scale(2)"></div>');
+            const fromEl = CssTransformCalculator.fromElement($('el'));
+            expect(fromEl.getTransformedBoundingClientRect()).toEqual(nullRect);
+            expect(fromEl.getUntransformedBoundingClientRect()).not.toEqual(nullRect);
+        });
+    });
+
+    describe('paths', () => {
+        it('Should map lines, but not curves, in perspective', () => {
+            const calc = CssTransformCalculator.fromTransform('perspective(200px) rotateY(30deg)');
+            const points = [{ x: 0, y: 0 }, { x: 50, y: 20 }, { x: 10, y: 40 }];
+            const expected = points.map(({ x, y }) => calc.transformPoint(x, y))
+                .map(({ x, y }) => [x, y].map(v => Number(v.toFixed(2))).join(' '))
+                .map((point, i) => `${i === 0 ? 'M' : 'L'} ${point}`);
+            expect(calc.transformPath(points, { precision: 2, closed: true }))
+                .toBe(`${expected.join(' ')} Z`);
+            expect(calc.transformPath('M 0 0 L 50 20 V 40 H 10 Z', { precision: 2 }))
+                .toBe(calc.transformPath([{ x: 0, y: 0 }, { x: 50, y: 20 }, { x: 50, y: 40 },
+                    { x: 10, y: 40 }], { precision: 2, closed: true }));
+            expect(() => calc.transformPath('M 0 0 Q 25 10 50 20')).toThrowError(/perspective/);
+
+            const back = calc.untransformPath(points.map(({ x, y }) => calc.transformPoint(x, y)));
+            expect(back).toBe('M 0 0 L 50 20 L 10 40');
+        });
+    });
+
+    describe('SVG content', () => {
+        it('Should include the layout of the outermost svg and its ancestors', () => {
+            const $ = createFixture(`
+                <div style="position: absolute; left: 40px; top: 30px; padding: 12px;
+                    border: 3px solid; transform: rotate(20deg)">
+                    <div style="height: 17px"></div>
+                    <svg id="svg" width="100" height="80" viewBox="0 0 50 40"
+                        style="display: block; margin-left: 9px; border: 2px solid;
+                        padding: 4px">
+                        <g transform="translate(5 3) scale(2)"><rect id="rect"></rect></g>
+                    </svg>
+                </div>
+            `);
+            const calc = CssTransformCalculator.fromElement($('rect'), { includeLayout: true });
+            const ctm = $('rect').getScreenCTM();
+            [[0, 0], [10, 5], [-7, 12]].forEach(([x, y]) => {
+                const point = calc.transformPoint(x, y);
+                expect(point.x).toBeCloseTo((ctm.a * x) + (ctm.c * y) + ctm.e, 0);
+                expect(point.y).toBeCloseTo((ctm.b * x) + (ctm.d * y) + ctm.f, 0);
+            });
+        });
+    });
+
+    describe('between', () => {
+        let $;
+
+        beforeEach(() => {
+            $ = createFixture(`
+                <div id="root" style="position: relative; left: 20px; top: 10px;
+                    width: 300px; height: 200px; transform: scale(2); transform-origin: 0 0">
+                    <div id="a" style="position: absolute; left: 10px; top: 20px;
+                        width: 50px; height: 50px; transform: rotate(90deg)"></div>
+                    <div id="b" style="position: absolute; left: 100px; top: 40px;
+                        width: 60px; height: 30px; transform: translate(5px, 5px)">
+                        <div id="c" style="position: absolute; left: 10px; top: 10px;
+                            width: 10px; height: 10px; transform: scale(0.5)"></div>
+                    </div>
+                </div>
+            `);
+        });
+
+        function expectPoint(point, x, y) {
+            expect(point.x).toBeCloseTo(x, 6);
+            expect(point.y).toBeCloseTo(y, 6);
+        }
+
+        it('Should map points between siblings', () => {
+            const calc = CssTransformCalculator.between($('a'), $('b'));
+            expectPoint(calc.transformPoint(0, 0), -45, -25);
+            expectPoint(calc.untransformPoint(-45, -25), 0, 0);
+        });
+
+        it('Should map points from an ancestor to a descendant', () => {
+            const calc = CssTransformCalculator.between($('root'), $('c'));
+            expectPoint(calc.transformPoint(60, 20), -115, -75);
+        });
+
+        it('Should map points from a descendant to an ancestor', () => {
+            const calc = CssTransformCalculator.between($('c'), $('root'));
+            expectPoint(calc.transformPoint(5, 5), 120, 60);
+        });
+
+        it('Should agree with mapping through client coordinates', () => {
+            const calc = CssTransformCalculator.between($('a'), $('c'));
+            const client = CssTransformCalculator.fromElement($('a'), { includeLayout: true })
+                .transformPoint(7, 3);
+            const expected = CssTransformCalculator.fromElement($('c'), { includeLayout: true })
+                .untransformPoint(client.x, client.y);
+            expectPoint(calc.transformPoint(7, 3), expected.x, expected.y);
+        });
+
+        it('Should round-trip points through mapTo()', () => {
+            const calc = CssTransformCalculator.fromElement($('a')).mapTo($('c'));
+            const point = calc.transformPoint(7, 3);
+            expectPoint(calc.untransformPoint(point.x, point.y), 7, 3);
+            const back = CssTransformCalculator.fromElement($('c')).mapTo($('a'));
+            expectPoint(back.transformPoint(point.x, point.y), 7, 3);
+        });
+    });
+
+    describe('live', () => {
+        let $;
+
+        beforeEach(() => {
+            $ = createFixture(`
+                <div id="outer" style="transform: translate(10px, 0)">
+                    <div id="inner" style="transform: translate(0, 5px)"></div>
+                </div>
+                <svg width="100" height="100">
+                    <g id="group" transform="translate(5 0)"><rect id="rect"></rect></g>
+                </svg>
+            `);
+        });
+
+        // mutation observers are notified in a microtask
+        const mutationsDelivered = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        it('Should recalculate when the style of an ancestor changes', async() => {
+            const calc = CssTransformCalculator.fromElement($('inner'), { live: true });
+            const callback = jasmine.createSpy('callback');
+            calc.onChange(callback);
+            $('outer').style.transform = 'translate(20px, 0)';
+            await mutationsDelivered();
+            expect(callback).toHaveBeenCalledWith(calc);
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(20, 6);
+            calc.dispose();
+        });
+
+        it('Should recalculate when the attributes of SVG elements change', async() => {
+            const calc = CssTransformCalculator.fromElement($('rect'), { live: true });
+            const callback = jasmine.createSpy('callback');
+            calc.onChange(callback);
+            $('group').setAttribute('transform', 'translate(15 0)');
+            await mutationsDelivered();
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(15, 6);
+            calc.dispose();
+        });
+
+        it('Should observe both elements passed to between()', async() => {
+            const calc = CssTransformCalculator.between($('inner'), $('outer'), { live: true });
+            const callback = jasmine.createSpy('callback');
+            calc.onChange(callback);
+            $('inner').style.transform = 'translate(0, 8px)';
+            await mutationsDelivered();
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(calc.transformPoint(0, 0).y).toBeCloseTo(8, 6);
+            calc.dispose();
+        });
+
+        it('Should only recalculate when invalidated outside of live mode', async() => {
+            const calc = CssTransformCalculator.fromElement($('inner'));
+            const callback = jasmine.createSpy('callback');
+            calc.onChange(callback);
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(10, 6);
+            $('outer').style.transform = 'translate(20px, 0)';
+            await mutationsDelivered();
+            expect(callback).not.toHaveBeenCalled();
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(10, 6);
+
+            calc.invalidate();
+            expect(callback).toHaveBeenCalledWith(calc);
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(20, 6);
+        });
+
+        it('Should stop notifying callbacks once unregistered or disposed', async() => {
+            const calc = CssTransformCalculator.fromElement($('inner'), { live: true });
+            const unregistered = jasmine.createSpy('unregistered');
+            const callback = jasmine.createSpy('callback');
+            calc.onChange(unregistered)();
+            calc.onChange(callback);
+            $('outer').style.transform = 'translate(20px, 0)';
+            await mutationsDelivered();
+            expect(unregistered).not.toHaveBeenCalled();
+            expect(callback).toHaveBeenCalledTimes(1);
+
+            calc.dispose();
+            $('outer').style.transform = 'translate(30px, 0)';
+            $('outer').setAttribute('class', 'moved');
+            await mutationsDelivered();
+            expect(callback).toHaveBeenCalledTimes(1);
+            // the calculator still works, but no longer updates by itself
+            expect(calc.transformPoint(0, 0).x).toBeCloseTo(20, 6);
+        });
+    });
+});
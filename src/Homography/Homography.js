@@ -0,0 +1,256 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D, { _toDOMMatrix } from '../TransformMatrix3D/TransformMatrix3D';
+import { multiplyArrays, invertArray } from '../matrixOperations/matrixOperations';
+
+/**
+ * Represents a 2D projective transformation, i.e., how the plane of an element
+ * which has been transformed in 3D and seen in perspective maps onto the plane
+ * of the element it is rendered into.
+ *
+ * A Homography is represented by a 3x3 array, like the augmented matrix of a
+ * TransformMatrix, except that the bottom row may be something other than
+ * [0, 0, 1]:
+ *  [
+ *    [a, c, e]
+ *    [b, d, f]
+ *    [g, h, i]
+ *  ]
+ * Transforming a point (x, y) yields the homogeneous coordinates
+ * (x', y', w), and the transformed point is (x' / w, y' / w).
+ *
+ * Homographies are meant to be immutable; performing operations using one of
+ * the Homography methods generally returns a new Homography.
+ *
+ * @class Homography
+ */
+class Homography {
+    /**
+     * Create a Homography from a 3x3 array of rows.
+     *
+     * @param {Array<Array<Number>>} M
+     */
+    constructor(M) {
+        this._rows = M.map(row => [].concat(row));
+    }
+
+    /**
+     * The type of this transformation: 'identity', 'affine' when it is
+     * equivalent to a TransformMatrix (see `to2D()`), or 'projective'.
+     * @readonly
+     * @memberof Homography
+     * @returns {'identity'|'affine'|'projective'}
+     */
+    get type() {
+        if (!this.isAffine) { return 'projective'; }
+        return this.to2D().isIdentity() ? 'identity' : 'affine';
+    }
+
+    /**
+     * Returns a new array containing the matrix as a 3x3 array of rows.
+     * @readonly
+     * @memberof Homography
+     * @return {Array}
+     */
+    get matrix() {
+        return this._rows.map(row => [].concat(row));
+    }
+
+    /**
+     * `true` when this transformation doesn't involve perspective, and can be
+     * represented as a TransformMatrix.
+     * @readonly
+     * @memberof Homography
+     * @type {Boolean}
+     */
+    get isAffine() {
+        const [g, h, i] = this._rows[2];
+        return g === 0 && h === 0 && i !== 0;
+    }
+
+    /**
+     * Returns `true` when this is an identity transformation.
+     * @return {Boolean}
+     */
+    isIdentity() {
+        return this.type === 'identity';
+    }
+
+    /**
+     * Returns the TransformMatrix equivalent to this Homography; see
+     * `isAffine`.
+     *
+     * @returns {TransformMatrix}
+     * @memberof Homography
+     */
+    to2D() {
+        const i = this._rows[2][2];
+        return TransformMatrix.fromArray(this._rows.map(row => row.map(v => v / i)));
+    }
+
+    /**
+     * Returns a DOMMatrix equivalent to this Homography: a 3D matrix which
+     * maps the point (x, y, 0, 1) to the homogeneous coordinates of the
+     * transformed point, so that the `x` and `y` returned by DOMMatrix's
+     * `transformPoint()` must be divided by its `w`. See
+     * `TransformMatrix3D.toDOMMatrix()` for `DOMMatrixClass`.
+     *
+     * @param {Function} [DOMMatrixClass]
+     * @returns {DOMMatrix}
+     * @memberof Homography
+     */
+    toDOMMatrix(DOMMatrixClass) {
+        const [[a, c, e], [b, d, f], [g, h, i]] = this._rows;
+        return _toDOMMatrix([a, b, 0, g, c, d, 0, h, 0, 0, 1, 0, e, f, 0, i], DOMMatrixClass);
+    }
+
+    /**
+     * Return a clone of this Homography.
+     * @returns {Homography}
+     */
+    clone() {
+        return new Homography(this._rows);
+    }
+
+    /**
+     * Transform the point `x`, `y`, dividing by the homogeneous coordinate w.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {{x: Number, y: Number}}
+     * @memberof Homography
+     */
+    transformPoint(x, y) {
+        const [px, py, pw] = this._rows.map(([a, b, c]) => (a * x) + (b * y) + c);
+        return { x: px / pw, y: py / pw };
+    }
+
+    /**
+     * Transform the vector `x`, `y` which starts at the point `atX`, `atY`,
+     * i.e. find how far the transformed end of the vector is from its
+     * transformed start. Under perspective, the same vector maps differently
+     * depending on where it starts.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @returns {{x: Number, y: Number}}
+     * @memberof Homography
+     */
+    transformVector(x, y, atX = 0, atY = 0) {
+        const start = this.transformPoint(atX, atY);
+        const end = this.transformPoint(atX + x, atY + y);
+        return { x: end.x - start.x, y: end.y - start.y };
+    }
+
+    /**
+     * Find the length of the vector of `length` in the direction `angle` (in
+     * radians) which starts at the point `atX`, `atY` once transformed; see
+     * `transformVector()`.
+     *
+     * @param {Number} length
+     * @param {Number} [angle=0]
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @returns {Number}
+     * @memberof Homography
+     */
+    transformLength(length, angle = 0, atX = 0, atY = 0) {
+        const v = this.transformVector(
+            length * Math.cos(angle), length * Math.sin(angle), atX, atY);
+        return Math.hypot(v.x, v.y);
+    }
+
+    /**
+     * Find the direction that the direction `angle` (in radians) at the point
+     * `atX`, `atY` points in once transformed, between -π and π. Under
+     * perspective, straight lines stay straight but their directions change
+     * along them, so this is the direction of the tangent at that point.
+     *
+     * @param {Number} angle
+     * @param {Number} [atX=0]
+     * @param {Number} [atY=0]
+     * @returns {Number}
+     * @memberof Homography
+     */
+    transformAngle(angle, atX = 0, atY = 0) {
+        const [[a, c], [b, d], [g, h, i]] = this._rows;
+        const { x, y } = this.transformPoint(atX, atY);
+        // the derivative of the transformed point in the direction (dx, dy),
+        // multiplied by w, which doesn't change its direction unless w < 0
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const dw = (g * dx) + (h * dy);
+        const sign = (g * atX) + (h * atY) + i < 0 ? -1 : 1;
+        return Math.atan2(
+            sign * (((b * dx) + (d * dy)) - (y * dw)),
+            sign * (((a * dx) + (c * dy)) - (x * dw))
+        );
+    }
+
+    /**
+     * The inverse of this Homography. When the transformation cannot be
+     * inverted, e.g. when the plane of an element is seen edge-on, the
+     * returned Homography maps every point to NaN.
+     * @readonly
+     * @memberof Homography
+     * @type {Homography} new matrix
+     */
+    get inverse() {
+        try {
+            return new Homography(invertArray(this._rows));
+        } catch (err) {
+            return new Homography([[NaN, NaN, NaN], [NaN, NaN, NaN], [NaN, NaN, NaN]]);
+        }
+    }
+
+    /**
+     * Provided an array of Homographies and/or TransformMatrixes, multiply
+     * them to find a single composite Homography.
+     *
+     * @static
+     * @param {Array<Homography|TransformMatrix>} transforms
+     * @returns {Homography}
+     * @memberof Homography
+     */
+    static compose(transforms) {
+        const product = transforms.reduce(
+            (P, M) => multiplyArrays(P, M.matrix),
+            Homography.identity().matrix
+        );
+        return new Homography(product);
+    }
+
+    /**
+     * Return a new identity Homography
+     * @return {Homography}
+     */
+    static identity() {
+        return new Homography([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+    }
+
+    /**
+     * Returns the Homography equivalent to a TransformMatrix.
+     * @param {TransformMatrix} M
+     * @returns {Homography}
+     */
+    static from2D(M) {
+        return new Homography(M.matrix);
+    }
+
+    /**
+     * Returns the Homography describing how the plane z = 0 is mapped onto
+     * the plane z = 0 by `M`, i.e., how an element transformed by `M` appears
+     * once it has been flattened into the plane of its parent.
+     *
+     * @param {TransformMatrix3D|TransformMatrix} M
+     * @returns {Homography}
+     */
+    static fromMatrix3D(M) {
+        const rows = TransformMatrix3D.from2D(M).matrix;
+        const idx = [0, 1, 3];
+        return new Homography(idx.map(row => idx.map(col => rows[row][col])));
+    }
+}
+
+export default Homography;
@@ -0,0 +1,86 @@
+import Homography from './Homography';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+
+describe('Homography', () => {
+    const I = Homography.identity();
+    const affine = Homography.from2D(new TransformMatrix(1, 2, 3, 4, 5, 6));
+    const projective = new Homography([[2, 0, 0], [0, 2, 0], [0.01, 0, 1]]);
+
+    it('Should identify its type', () => {
+        expect(I.type).toBe('identity');
+        expect(I.isIdentity()).toBe(true);
+        expect(affine.type).toBe('affine');
+        expect(affine.isAffine).toBe(true);
+        expect(affine.to2D().cssVector).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(projective.type).toBe('projective');
+        expect(projective.isAffine).toBe(false);
+    });
+
+    it('Should transform points, dividing by w', () => {
+        expect(affine.transformPoint(1, 1)).toEqual({ x: 9, y: 12 });
+        expect(projective.transformPoint(100, 50)).toEqual({ x: 100, y: 50 });
+        expect(projective.transformPoint(0, 50)).toEqual({ x: 0, y: 100 });
+    });
+
+    it('Should transform vectors, lengths and angles where they start', () => {
+        expect(affine.transformVector(1, 1, 10, 20)).toEqual({ x: 4, y: 6 });
+        expect(projective.transformVector(100, 0)).toEqual({ x: 100, y: 0 });
+        expect(projective.transformVector(100, 0, 100, 0).x).toBeCloseTo(100 / 3, 10);
+        expect(projective.transformLength(100, Math.PI / 2, 100, 0)).toBeCloseTo(100, 10);
+        expect(projective.transformAngle(0)).toBe(0);
+        expect(projective.transformAngle(Math.PI / 2, 100, 50)).toBeCloseTo(Math.PI / 2, 10);
+        expect(projective.transformAngle(0, 0, 50)).toBeCloseTo(Math.atan2(-1, 2), 10);
+        const flipped = new Homography([[1, 0, 0], [0, 1, 0], [0, 0, -1]]);
+        expect(Math.abs(flipped.transformAngle(0))).toBeCloseTo(Math.PI, 10);
+    });
+
+    it('Should compose Homographies and TransformMatrixes', () => {
+        const H = Homography.compose([
+            projective,
+            TransformMatrix.fromTranslation(100, 0),
+        ]);
+        expect(H.transformPoint(0, 50)).toEqual(projective.transformPoint(100, 50));
+        expect(Homography.compose([]).isIdentity()).toBe(true);
+    });
+
+    it('Should calculate the inverse', () => {
+        const point = projective.inverse.transformPoint(100, 50);
+        expect(point.x).toBeCloseTo(100, 10);
+        expect(point.y).toBeCloseTo(50, 10);
+    });
+
+    it('Should map every point to NaN when the inverse does not exist', () => {
+        const H = new Homography([[1, 0, 0], [0, 0, 0], [0, 0, 1]]);
+        const point = H.inverse.transformPoint(1, 1);
+        expect(point.x).toBeNaN();
+        expect(point.y).toBeNaN();
+    });
+
+    it('Should create an equivalent DOMMatrix', () => {
+        // a stand-in for DOMMatrix, which isn't available here
+        class FakeDOMMatrix {
+            constructor(init) { this.init = init; }
+        }
+        const dom = projective.toDOMMatrix(FakeDOMMatrix);
+        const point = new TransformMatrix3D(...dom.init).transformPoint(15, 25);
+        const expected = projective.transformPoint(15, 25);
+        expect(point.x).toBeCloseTo(expected.x, 10);
+        expect(point.y).toBeCloseTo(expected.y, 10);
+    });
+
+    it('Should describe how a 3D transform maps the plane z = 0', () => {
+        const M = TransformMatrix3D.compose([
+            TransformMatrix3D.fromPerspective(300),
+            TransformMatrix3D.fromRotate3d(1, 1, 0, 0.7),
+            TransformMatrix3D.fromTranslation(10, 20, 30),
+        ]);
+        const H = Homography.fromMatrix3D(M);
+        const expected = M.transformPoint(15, 25);
+        const point = H.transformPoint(15, 25);
+        expect(point.x).toBeCloseTo(expected.x, 10);
+        expect(point.y).toBeCloseTo(expected.y, 10);
+        expect(Homography.fromMatrix3D(TransformMatrix.fromScale(2, 3)).to2D().cssVector)
+            .toEqual([2, 0, 0, 3, 0, 0]);
+    });
+});
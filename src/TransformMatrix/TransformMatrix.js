@@ -1,6 +1,10 @@
 import decomposeTransformation from '../decomposeTransformation/decomposeTransformation';
 import { invert, matrixVectorProduct, dotProduct } from '../matrixOperations/matrixOperations';
 import parseCss from '../parseCss/parseCss';
+import parseSvgTransform from '../parseSvgTransform/parseSvgTransform';
+import { _options, _formatNumber, _formatAngle } from '../serializeTransform/serializeTransform';
+import TransformMatrix3D, { _toDOMMatrix, _compose } from '../TransformMatrix3D/TransformMatrix3D';
+import { individualTransformFromElement } from '../individualTransforms/individualTransforms';
 
 /**
  * Represents a 2D affine transformation of one of the varieties supported by
@@ -148,6 +152,70 @@ class TransformMatrix {
         ];
     }
 
+    /**
+     * Returns a DOMMatrix equivalent to this matrix, created using
+     * `DOMMatrixClass` (e.g. the DOMMatrix or DOMMatrixReadOnly of another
+     * window), or the global DOMMatrix by default. An error is thrown when
+     * DOMMatrix isn't supported.
+     *
+     * @param {Function} [DOMMatrixClass]
+     * @returns {DOMMatrix}
+     * @memberof TransformMatrix
+     */
+    toDOMMatrix(DOMMatrixClass) {
+        return _toDOMMatrix(this._values, DOMMatrixClass);
+    }
+
+    /**
+     * Returns an SVGMatrix equivalent to this matrix, created by the `<svg>`
+     * element `svgRoot`, e.g. for use with `SVGTransform.setMatrix()`.
+     *
+     * @param {SVGSVGElement} svgRoot
+     * @returns {SVGMatrix}
+     * @memberof TransformMatrix
+     */
+    toSVGMatrix(svgRoot) {
+        const m = svgRoot.createSVGMatrix();
+        [m.a, m.b, m.c, m.d, m.e, m.f] = this._values;
+        return m;
+    }
+
+    /**
+     * Returns the most readable CSS transform function equivalent to this
+     * matrix, based on its `type`, e.g. "translate(10px, 5px)",
+     * "rotate(45deg)", "scale(2)", "skewX(10deg)", or "matrix(...)" for
+     * composite transforms. The identity matrix is "scale(1)". See
+     * `serializeTransformList()` for the `precision` and `angleUnit` options.
+     *
+     * @param {Object} [options]
+     * @returns {String}
+     * @memberof TransformMatrix
+     */
+    toCss(options) {
+        const opts = _options(options);
+        const num = n => _formatNumber(n, opts.precision);
+        const angle = theta => _formatAngle(theta, opts);
+        const [a, b, c, d, e, f] = this._values;
+        switch (this.type) {
+            case 'identity':
+                return 'scale(1)';
+            case 'translate':
+                return f === 0 ? `translate(${num(e)}px)` : `translate(${num(e)}px, ${num(f)}px)`;
+            case 'scale':
+                return a === d ? `scale(${num(a)})` : `scale(${num(a)}, ${num(d)})`;
+            case 'rotate':
+                return `rotate(${angle(Math.atan2(b, a))})`;
+            case 'skewX':
+                return `skewX(${angle(Math.atan(c))})`;
+            case 'skewY':
+                return `skewY(${angle(Math.atan(b))})`;
+            case 'skew':
+                return `skew(${angle(Math.atan(c))}, ${angle(Math.atan(b))})`;
+            default:
+                return `matrix(${this._values.map(num).join(', ')})`;
+        }
+    }
+
     /**
      * Returns an array of TransformationMatrixes representing a decomposition
      * of this matrix into a series of simple transformations.
@@ -199,6 +267,71 @@ class TransformMatrix {
         return { x: product[0], y: product[1] };
     }
 
+    /**
+     * Transform the vector `x`, `y`, e.g. a velocity or the distance a
+     * pointer has moved, into the new space represented by this
+     * TransformationMatrix. Unlike `transformPoint()`, the translation is not
+     * applied.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {{x: Number, y: Number}}
+     * @memberof TransformMatrix
+     */
+    transformVector(x, y) {
+        const [a, b, c, d] = this._values;
+        return { x: (a * x) + (c * y), y: (b * x) + (d * y) };
+    }
+
+    /**
+     * Find the length that `length`, measured in the direction `angle`
+     * (in radians, clockwise from the x axis), has once transformed; e.g.
+     * under scale(2, 3), 10 becomes 20 along the x axis and 30 along the y
+     * axis.
+     *
+     * @param {Number} length
+     * @param {Number} [angle=0]
+     * @returns {Number}
+     * @memberof TransformMatrix
+     */
+    transformLength(length, angle = 0) {
+        const v = this.transformVector(length * Math.cos(angle), length * Math.sin(angle));
+        return Math.hypot(v.x, v.y);
+    }
+
+    /**
+     * Find the direction that the direction `angle` (in radians, clockwise
+     * from the x axis) points in once transformed, between -π and π.
+     *
+     * @param {Number} angle
+     * @returns {Number}
+     * @memberof TransformMatrix
+     */
+    transformAngle(angle) {
+        const v = this.transformVector(Math.cos(angle), Math.sin(angle));
+        return Math.atan2(v.y, v.x);
+    }
+
+    /**
+     * Returns a new TransformMatrix which applies this transformation around
+     * the point `x`, `y` rather than around (0, 0), i.e.,
+     * translate(x, y) * M * translate(-x, -y). This is how browsers apply
+     * the `transform-origin` property.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {TransformMatrix}
+     * @memberof TransformMatrix
+     */
+    aroundOrigin(x, y) {
+        if (x === 0 && y === 0) { return this.clone(); }
+        return TransformMatrix.compose([
+            TransformMatrix.fromTranslation(x, y),
+            this,
+            TransformMatrix.fromTranslation(-x, -y),
+        ]);
+    }
+
     /**
      * Return a clone of this TransformMatrix.
      * @returns {TransformMatrix}
@@ -330,64 +463,136 @@ class TransformMatrix {
     }
 
     /**
-     * Given the element `el`, see if it has a 2D transform applied to it.
-     * If it does, return the 3x3 matrix (Array) that represents the
-     * transform. Otherwise, return null.
+     * Given the element `el`, see if it has a transform applied to it.
+     * If it does, return the TransformMatrix that represents the transform,
+     * or a TransformMatrix3D if it is a 3D transform. Otherwise, return null.
+     *
+     * The individual transform properties `translate`, `rotate` and `scale`,
+     * and the motion path properties (`offset-path` etc.), are applied before
+     * the `transform` property, in that order; see
+     * `individualTransformFromElement()`.
+     *
+     * Note that the returned matrix is the one reported by the browser, which
+     * is applied around the element's `transform-origin` rather than (0, 0);
+     * see `aroundOrigin()`.
+     *
+     * For backward compatibility, the `safe` flag of earlier versions, which
+     * didn't support 3D transforms, is still accepted. When it is `true`, an
+     * error is thrown if the element has a 3D transform.
+     *
      * @param {HTMLElement} el
-     * @param {boolean} [safe = false] - when `true`, throw an error if 3D
-     *   transforms are in use; otherwise, just log a warning to the console
-     *   and return the identity matrix.
-     * @return {TransformMatrix|null}
+     * @param {Boolean} [safe = false]
+     * @return {TransformMatrix|TransformMatrix3D|null}
      */
     static fromElement(el, safe = false) {
         // we may be working on an element that belongs to a different window.
         // be sure to use the right window to calculate the style.
         const { getComputedStyle } = el.ownerDocument.defaultView;
-        const str = getComputedStyle(el).transform.trim().toLowerCase();
-
-        if (str === 'none') { return null; }
-
-        // browsers will represent transforms as a composite matrix like this:
-        // "matrix(a, b, c, d, e, f)"
-        if (str.indexOf('matrix3d') > -1) {
-            const msg = 'TransformMatrix cannot be created from an element with 3D transforms.';
-            if (safe) {
-                throw new Error(msg);
-            } else {
-                console.warn(msg);
-                return TransformMatrix.identity();
-            }
+        const transform = _fromComputedTransform(getComputedStyle(el).transform);
+        const individual = individualTransformFromElement(el);
+        const M = individual == null || transform == null ?
+            individual || transform :
+            _compose([individual, transform]);
+        if (safe && M instanceof TransformMatrix3D) {
+            throw new Error('Cannot parse 3D transforms');
         }
-        if (str.indexOf('matrix(') !== 0) { return null; }
-        const css = str.split(/[^.0-9]+/).slice(1, 7)
-            .map(parseFloat);
-        if (css == null) { return null; }
-
-        return new TransformMatrix(
-            css[0], css[1], css[2], css[3], css[4], css[5]);
+        return M;
     }
 
     /**
      * Given a string representing the value of a CSS transform property,
      * return an array of TransformMatrixes representing each individual
-     * transform function in the string.
+     * transform function in the string. 3D transform functions are
+     * represented by TransformMatrix3Ds; see `parseCss()`.
+     *
+     * For backward compatibility, the second argument may instead be the
+     * boolean `safe` flag of earlier versions, which didn't support 3D
+     * transforms. When it is `true`, an error is thrown if any of the
+     * functions are 3D; when it is `false`, it is ignored.
      *
      * @static
      * @param {String} funcStr
-     * @param {boolean} [safe = false] - when `true`, throw an error if 3D
-     *   transforms are in use; otherwise, just log a warning to the console
-     *   and return the identity matrix.
-     * @returns {Array<TransformMatrix>}
+     * @param {{width: Number, height: Number}|HTMLElement|Boolean} [referenceBox] -
+     *   the box that percentages in translate functions are resolved against;
+     *   see `parseCss()`.
+     * @param {Object|HTMLElement} [units] - the font and viewport sizes that
+     *   relative length units are resolved against; see `parseCss()`.
+     * @param {Object|Map|HTMLElement} [variables] - the values of custom
+     *   properties used by `var()` references; see `parseCss()`.
+     * @returns {Array<TransformMatrix|TransformMatrix3D>}
      * @memberof TransformMatrix
      */
-    static fromCss(funcStr, safe = false) {
-        const matrixes = parseCss(funcStr, safe);
+    static fromCss(funcStr, referenceBox, units, variables) {
+        const safe = typeof referenceBox === 'boolean' ? referenceBox : false;
+        const box = typeof referenceBox === 'boolean' ? null : referenceBox;
+        const matrixes = parseCss(funcStr, box, units, variables);
+        if (safe && matrixes.some(M => M instanceof TransformMatrix3D)) {
+            throw new Error('Cannot parse 3D transforms');
+        }
         if (matrixes.length === 0) {
             return [TransformMatrix.identity()];
         } else {
             return matrixes;
         }
     }
+
+    /**
+     * Returns the TransformMatrix equivalent to `m`, which may be a
+     * DOMMatrix, DOMMatrixReadOnly, SVGMatrix or WebKitCSSMatrix. An error is
+     * thrown if `m` is a 3D matrix; see `is2D`, and
+     * `TransformMatrix3D.fromDOMMatrix()`. Matrixes whose `is2D` is false but
+     * only transform x and y, e.g. "matrix3d()" equivalents of 2D matrixes,
+     * are accepted.
+     *
+     * @static
+     * @param {DOMMatrixReadOnly|SVGMatrix} m
+     * @returns {TransformMatrix}
+     * @memberof TransformMatrix
+     */
+    static fromDOMMatrix(m) {
+        if (m.is2D !== true && !TransformMatrix3D.fromDOMMatrix(m).is2D) {
+            throw new Error('Cannot convert a 3D matrix into a TransformMatrix; use TransformMatrix3D.fromDOMMatrix() instead');
+        }
+        return new TransformMatrix(m.a, m.b, m.c, m.d, m.e, m.f);
+    }
+
+    /**
+     * Given the value of an SVG `transform` attribute, return an array of
+     * TransformMatrixes representing each transform function in the
+     * string; see `parseSvgTransform()`.
+     *
+     * @static
+     * @param {String} attrValue - e.g. "translate(10 20) rotate(45 50 50)"
+     * @returns {Array<TransformMatrix>}
+     * @memberof TransformMatrix
+     */
+    static fromSvg(attrValue) {
+        const matrixes = parseSvgTransform(attrValue);
+        return matrixes.length === 0 ? [TransformMatrix.identity()] : matrixes;
+    }
+}
+
+// converts the computed value of a transform property, which browsers
+// represent as a composite matrix like this: "matrix(a, b, c, d, e, f)", or
+// "matrix3d(a1, b1, ... d4)" for 3D transforms
+function _fromComputedTransform(value) {
+    const str = value.trim().toLowerCase();
+    if (str === 'none') { return null; }
+
+    if (str.indexOf('matrix3d(') === 0) {
+        const css3d = str.replace(/^matrix3d\(|\)$/g, '').split(',')
+            .map(parseFloat);
+        if (css3d.length !== 16 || css3d.some(isNaN)) { return null; }
+        const M = new TransformMatrix3D(...css3d);
+        return M.is2D ? M.to2D() : M;
+    }
+    if (str.indexOf('matrix(') !== 0) { return null; }
+    const css = str.replace(/^matrix\(|\)$/g, '').split(',')
+        .map(parseFloat);
+    if (css.length !== 6 || css.some(isNaN)) { return null; }
+
+    return new TransformMatrix(
+        css[0], css[1], css[2], css[3], css[4], css[5]);
 }
 
 export default TransformMatrix;
@@ -139,6 +139,119 @@ describe('TransformMatrix', () => {
         expect(M.type).toBe('composite');
     });
 
+    it('Should apply a transform around an origin', () => {
+        const M1 = TransformMatrix.fromRotate(Math.PI / 2).aroundOrigin(10, 10);
+        const p1 = M1.transformPoint(10, 10);
+        expect(p1.x).toBeCloseTo(10, 10);
+        expect(p1.y).toBeCloseTo(10, 10);
+        const p2 = M1.transformPoint(20, 10);
+        expect(p2.x).toBeCloseTo(10, 10);
+        expect(p2.y).toBeCloseTo(20, 10);
+        expect(scale.aroundOrigin(0, 0).cssVector).toEqual(scale.cssVector);
+    });
+
+    it('Should accept the legacy safe flag of fromCss()', () => {
+        expect(TransformMatrix.fromCss('rotate(90deg)', true)[0].cssVector)
+            .toEqual(TransformMatrix.fromCss('rotate(90deg)')[0].cssVector);
+        expect(TransformMatrix.fromCss('translateX(5px)', false)[0].cssVector)
+            .toEqual([1, 0, 0, 1, 5, 0]);
+        expect(() => TransformMatrix.fromCss('translateX(50%)', false))
+            .toThrowError(/reference box/);
+        expect(TransformMatrix.fromCss('rotateX(45deg)', false)[0].type).toBe('3d');
+        expect(() => TransformMatrix.fromCss('scale(2) rotateX(45deg)', true))
+            .toThrowError(/3D/);
+    });
+
+    it('Should accept the legacy safe flag of fromElement()', () => {
+        const element = transform => {
+            const style = { transform, transformOrigin: '0px 0px' };
+            return { ownerDocument: { defaultView: { getComputedStyle: () => style } } };
+        };
+        const flat = element('matrix(0, 1, -1, 0, 5, 0)');
+        expect(TransformMatrix.fromElement(flat, true).cssVector).toEqual([0, 1, -1, 0, 5, 0]);
+        expect(TransformMatrix.fromElement(element('none'), true)).toBeNull();
+        const deep = element('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 5, 1)');
+        expect(TransformMatrix.fromElement(deep).type).toBe('3d');
+        expect(TransformMatrix.fromElement(deep, false).type).toBe('3d');
+        expect(() => TransformMatrix.fromElement(deep, true)).toThrowError(/3D/);
+    });
+
+    it('Should parse SVG transform attributes', () => {
+        expect(TransformMatrix.fromSvg('').map(M2 => M2.type)).toEqual(['identity']);
+        expect(TransformMatrix.fromSvg('translate(-13 -17) scale(6 8)').map(M2 => M2.cssVector))
+            .toEqual([translate.cssVector, scale.cssVector]);
+    });
+
+    it('Should convert DOMMatrixes and SVGMatrixes', () => {
+        const values = { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 };
+        const dom2D = Object.assign({ is2D: true }, values);
+        expect(TransformMatrix.fromDOMMatrix(dom2D).cssVector).toEqual(M.cssVector);
+        // SVGMatrix has no is2D
+        expect(TransformMatrix.fromDOMMatrix(values).cssVector).toEqual(M.cssVector);
+        const dom3D = Object.assign({ is2D: false }, values, {
+            m11: 1, m12: 2, m13: 0, m14: 0,
+            m21: 3, m22: 4, m23: 0, m24: 0,
+            m31: 0, m32: 0, m33: 1, m34: 0,
+            m41: 5, m42: 6, m43: 0, m44: 1,
+        });
+        expect(TransformMatrix.fromDOMMatrix(dom3D).cssVector).toEqual(M.cssVector);
+        dom3D.m34 = -0.01;
+        expect(() => TransformMatrix.fromDOMMatrix(dom3D)).toThrowError(/3D/);
+    });
+
+    it('Should create DOMMatrixes and SVGMatrixes', () => {
+        // a stand-in for DOMMatrix, which isn't available in every environment
+        class FakeDOMMatrix {
+            constructor(init) { this.init = init; }
+        }
+        expect(M.toDOMMatrix(FakeDOMMatrix).init).toEqual([1, 2, 3, 4, 5, 6]);
+        // whether a global DOMMatrix exists depends on the environment
+        expect(() => M.toDOMMatrix({})).toThrowError(/not supported/);
+        const svgRoot = { createSVGMatrix: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }) };
+        expect(M.toSVGMatrix(svgRoot)).toEqual({ a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 });
+    });
+
+    it('Should serialize the most readable equivalent CSS function', () => {
+        expect(I.toCss()).toBe('scale(1)');
+        expect(translate.toCss()).toBe('translate(-13px, -17px)');
+        expect(translateX.toCss()).toBe('translate(9px)');
+        expect(scale.toCss()).toBe('scale(6, 8)');
+        expect(TransformMatrix.fromScale(2, 2).toCss()).toBe('scale(2)');
+        expect(TransformMatrix.fromRotate(Math.PI / 4).toCss()).toBe('rotate(45deg)');
+        expect(TransformMatrix.fromRotate(-Math.PI / 2).toCss({ angleUnit: 'turn' }))
+            .toBe('rotate(-0.25turn)');
+        expect(TransformMatrix.fromSkewX(0.5).toCss({ angleUnit: 'rad' })).toBe('skewX(0.5rad)');
+        expect(TransformMatrix.fromSkewY(Math.PI / 6).toCss({ precision: 2 })).toBe('skewY(30deg)');
+        expect(skew.toCss({ angleUnit: 'rad', precision: 3 })).toBe('skew(1rad, -1.142rad)');
+        expect(M.toCss()).toBe('matrix(1, 2, 3, 4, 5, 6)');
+        expect(new TransformMatrix(1 / 3, 0, 0, 1, 2, 0).toCss({ precision: 3 }))
+            .toBe('matrix(0.333, 0, 0, 1, 2, 0)');
+        expect(() => M.toCss({ angleUnit: 'foo' })).toThrow();
+    });
+
+    it('Should transform vectors without translating them', () => {
+        expect(translate.transformVector(3, 4)).toEqual({ x: 3, y: 4 });
+        expect(M.transformVector(1, 1)).toEqual({ x: 4, y: 6 });
+        const v = TransformMatrix.fromRotate(Math.PI / 2).transformVector(1, 0);
+        expect(v.x).toBeCloseTo(0, 10);
+        expect(v.y).toBeCloseTo(1, 10);
+    });
+
+    it('Should transform lengths along a direction', () => {
+        expect(scale.transformLength(10)).toBe(60);
+        expect(scale.transformLength(10, Math.PI / 2)).toBeCloseTo(80, 10);
+        expect(translate.transformLength(10, 1)).toBeCloseTo(10, 10);
+        expect(rotate.transformLength(10, 1)).toBeCloseTo(10, 10);
+    });
+
+    it('Should transform angles', () => {
+        expect(TransformMatrix.fromRotate(0.5).transformAngle(0.25)).toBeCloseTo(0.75, 10);
+        expect(TransformMatrix.fromScale(-1, 1).transformAngle(0)).toBeCloseTo(Math.PI, 10);
+        expect(TransformMatrix.fromScale(1, 2).transformAngle(Math.PI / 4))
+            .toBeCloseTo(Math.atan(2), 10);
+        expect(translate.transformAngle(1)).toBeCloseTo(1, 10);
+    });
+
     it('Should correctly transform an arbitrary point', () => {
         expect(true).toBe(false);
         pending();
@@ -0,0 +1,439 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import { multiplyArrays, invertArray } from '../matrixOperations/matrixOperations';
+import { _options, _formatNumber } from '../serializeTransform/serializeTransform';
+
+/**
+ * Represents a 3D transformation, including perspective, as produced by the
+ * CSS 3D transform functions; this is the 3D counterpart of TransformMatrix.
+ *
+ * TransformMatrix3Ds are meant to be immutable; performing operations using
+ * one of the TransformMatrix3D methods generally returns a new
+ * TransformMatrix3D.
+ *
+ * Transformations are represented internally using one of the
+ * following formats:
+ *
+ *  1. An array of 16 numbers in column-major order, as used in the CSS
+ *     matrix3d syntax, e.g., "matrix3d(a1, b1, c1, d1, a2, ... d4)". This can
+ *     be retrieved from the `cssVector` property.
+ *
+ *  2. A 4x4 array of rows representing the homogeneous matrix, e.g.,
+ *     [
+ *      [a1, a2, a3, a4]
+ *      [b1, b2, b3, b4]
+ *      [c1, c2, c3, c4]
+ *      [d1, d2, d3, d4]
+ *    ]
+ *    This can be retrieved from the `matrix` property.
+ *
+ * Elements are rendered onto their parent's plane, so the coordinate space of
+ * an element is the plane z = 0; see `flatten()` and `unproject()`.
+ *
+ * @class TransformMatrix3D
+ */
+class TransformMatrix3D {
+    /**
+     * Create a TransformMatrix3D from the 16-number CSS-style notation,
+     * matrix3d(a1, b1, c1, d1, a2, b2, c2, d2, a3, b3, c3, d3, a4, b4, c4, d4).
+     *
+     * @param {...Number} values
+     */
+    constructor(...values) {
+        if (values.length !== 16) {
+            throw new Error('TransformMatrix3D requires 16 values');
+        }
+        this._values = values;
+    }
+
+    /**
+     * The type of this transformation; 'identity' or '3d'. Matrixes which
+     * can be expressed in 2D should be converted into TransformMatrixes
+     * via `to2D()`.
+     * @readonly
+     * @memberof TransformMatrix3D
+     * @returns {'identity'|'3d'}
+     */
+    get type() {
+        return this.isIdentity() ? 'identity' : '3d';
+    }
+
+    /**
+     * Returns a copy of the CSS vector used to create the matrix.
+     * @readonly
+     * @memberof TransformMatrix3D
+     * @return {Array}
+     */
+    get cssVector() {
+        return [].concat(this._values);
+    }
+
+    /**
+     * Returns a new array containing the matrix as a 4x4 array of rows.
+     * @readonly
+     * @memberof TransformMatrix3D
+     * @return {Array}
+     */
+    get matrix() {
+        const v = this._values;
+        return [0, 1, 2, 3].map(row => [v[row], v[row + 4], v[row + 8], v[row + 12]]);
+    }
+
+    /**
+     * `true` when this matrix only transforms x and y, and can be represented
+     * as a TransformMatrix without any loss of information.
+     * @readonly
+     * @memberof TransformMatrix3D
+     * @type {Boolean}
+     */
+    get is2D() {
+        const M = this.matrix;
+        return M[0][2] === 0 && M[1][2] === 0 &&
+            M[2][0] === 0 && M[2][1] === 0 && M[2][2] === 1 && M[2][3] === 0 &&
+            M[3][0] === 0 && M[3][1] === 0 && M[3][2] === 0 && M[3][3] === 1;
+    }
+
+    /**
+     * Returns `true` when this is an identity matrix.
+     * @return {Boolean}
+     */
+    isIdentity() {
+        return this._values.every((v, i) => v === (i % 5 === 0 ? 1 : 0));
+    }
+
+    /**
+     * Returns a TransformMatrix containing the 2D part of this
+     * transformation; any z or perspective components are discarded. See
+     * `is2D`.
+     *
+     * @returns {TransformMatrix}
+     * @memberof TransformMatrix3D
+     */
+    to2D() {
+        const M = this.matrix;
+        return new TransformMatrix(M[0][0], M[1][0], M[0][1], M[1][1], M[0][3], M[1][3]);
+    }
+
+    /**
+     * Returns a CSS transform function equivalent to this matrix: that of
+     * the equivalent TransformMatrix (see `TransformMatrix.toCss()`) when it
+     * is 2D, or "matrix3d(...)".
+     *
+     * @param {Object} [options] - see `serializeTransformList()`
+     * @returns {String}
+     * @memberof TransformMatrix3D
+     */
+    toCss(options) {
+        if (this.is2D) {
+            return this.to2D().toCss(options);
+        }
+        const { precision } = _options(options);
+        return `matrix3d(${this._values.map(v => _formatNumber(v, precision)).join(', ')})`;
+    }
+
+    /**
+     * Returns a DOMMatrix equivalent to this matrix, created using
+     * `DOMMatrixClass` (e.g. the DOMMatrix or DOMMatrixReadOnly of another
+     * window), or the global DOMMatrix by default. An error is thrown when
+     * DOMMatrix isn't supported.
+     *
+     * @param {Function} [DOMMatrixClass]
+     * @returns {DOMMatrix}
+     * @memberof TransformMatrix3D
+     */
+    toDOMMatrix(DOMMatrixClass) {
+        return _toDOMMatrix(this._values, DOMMatrixClass);
+    }
+
+    /**
+     * Return a clone of this TransformMatrix3D.
+     * @returns {TransformMatrix3D}
+     */
+    clone() {
+        return new TransformMatrix3D(...this._values);
+    }
+
+    /**
+     * Provided an array of TransformMatrixes and/or TransformMatrix3Ds,
+     * multiply them to find a single composite 3D transform.
+     *
+     * @static
+     * @param {Array<TransformMatrix|TransformMatrix3D>} transforms
+     * @returns {TransformMatrix3D}
+     * @memberof TransformMatrix3D
+     */
+    static compose(transforms) {
+        const product = transforms.reduce(
+            (P, M) => multiplyArrays(P, TransformMatrix3D.from2D(M).matrix),
+            TransformMatrix3D.identity().matrix
+        );
+        return TransformMatrix3D.fromArray(product);
+    }
+
+    /**
+     * Transform the point `x`, `y`, `z` into the space represented by this
+     * TransformMatrix3D, dividing by the homogeneous coordinate w to apply
+     * perspective.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} [z = 0]
+     * @returns {{x: Number, y: Number, z: Number}}
+     * @memberof TransformMatrix3D
+     */
+    transformPoint(x, y, z = 0) {
+        const v = [x, y, z, 1];
+        const [px, py, pz, pw] = this.matrix.map(row =>
+            row.reduce(((sum, a, i) => sum + (a * v[i])), 0));
+        return { x: px / pw, y: py / pw, z: pz / pw };
+    }
+
+    /**
+     * Returns a new TransformMatrix3D which applies this transformation around
+     * the point `x`, `y`, `z` rather than around the origin; see
+     * `TransformMatrix#aroundOrigin()`.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} [z = 0]
+     * @returns {TransformMatrix3D}
+     * @memberof TransformMatrix3D
+     */
+    aroundOrigin(x, y, z = 0) {
+        if (x === 0 && y === 0 && z === 0) { return this.clone(); }
+        return TransformMatrix3D.compose([
+            TransformMatrix3D.fromTranslation(x, y, z),
+            this,
+            TransformMatrix3D.fromTranslation(-x, -y, -z),
+        ]);
+    }
+
+    /**
+     * Returns a new TransformMatrix3D which projects points onto the plane
+     * z = 0 after applying this transformation. This is what browsers do when
+     * rendering a transformed element into its parent, unless the parent
+     * establishes a 3D rendering context (`transform-style: preserve-3d`).
+     *
+     * @returns {TransformMatrix3D}
+     * @memberof TransformMatrix3D
+     */
+    flatten() {
+        const M = this.matrix;
+        M[2] = [0, 0, 0, 0];
+        return TransformMatrix3D.fromArray(M);
+    }
+
+    /**
+     * The inverse of this transform matrix.
+     * @readonly
+     * @memberof TransformMatrix3D
+     * @type {TransformMatrix3D} new matrix
+     */
+    get inverse() {
+        return TransformMatrix3D.fromArray(invertArray(this.matrix));
+    }
+
+    /**
+     * Returns a new TransformMatrix3D which reverses this transformation for
+     * points on the plane z = 0: each point is mapped back along the line of
+     * sight onto the plane z = 0 of the original, untransformed space. Unlike
+     * `inverse`, this also works for flattened matrixes, and is what is
+     * needed to find where on a 3D-transformed element a point on the screen
+     * lies.
+     *
+     * If the plane is viewed edge-on, points can't be mapped back onto it,
+     * and the returned matrix maps every point to NaN.
+     *
+     * @returns {TransformMatrix3D}
+     * @memberof TransformMatrix3D
+     */
+    unproject() {
+        const M = this.matrix;
+        // the transformation of the plane z = 0 onto the plane z = 0 is a 2D
+        // projective transformation, found by dropping the z row and column
+        const idx = [0, 1, 3];
+        let H;
+        try {
+            H = invertArray(idx.map(row => idx.map(col => M[row][col])));
+        } catch (err) {
+            return new TransformMatrix3D(...new Array(16).fill(NaN));
+        }
+        const R = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+        idx.forEach((row, i) => {
+            idx.forEach((col, j) => {
+                R[row][col] = H[i][j];
+            });
+        });
+        return TransformMatrix3D.fromArray(R);
+    }
+
+    /**
+     * Return a new identity TransformMatrix3D
+     * @return {TransformMatrix3D}
+     */
+    static identity() {
+        return new TransformMatrix3D(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+    }
+
+    /**
+     * Returns a new TransformMatrix3D from the provided 4x4 array of rows.
+     * @param {Array} M
+     * @returns {TransformMatrix3D}
+     */
+    static fromArray(M) {
+        return new TransformMatrix3D(
+            M[0][0], M[1][0], M[2][0], M[3][0],
+            M[0][1], M[1][1], M[2][1], M[3][1],
+            M[0][2], M[1][2], M[2][2], M[3][2],
+            M[0][3], M[1][3], M[2][3], M[3][3]
+        );
+    }
+
+    /**
+     * Returns the equivalent TransformMatrix3D for a TransformMatrix; a
+     * TransformMatrix3D is returned as-is.
+     * @param {TransformMatrix|TransformMatrix3D} M
+     * @returns {TransformMatrix3D}
+     */
+    static from2D(M) {
+        if (M instanceof TransformMatrix3D) { return M; }
+        const [a, b, c, d, e, f] = M.cssVector;
+        return new TransformMatrix3D(a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, e, f, 0, 1);
+    }
+
+    /**
+     * Returns the TransformMatrix3D equivalent to `m`, which may be a
+     * DOMMatrix, DOMMatrixReadOnly or WebKitCSSMatrix, or an SVGMatrix (which
+     * is always 2D).
+     *
+     * @static
+     * @param {DOMMatrixReadOnly|SVGMatrix} m
+     * @returns {TransformMatrix3D}
+     * @memberof TransformMatrix3D
+     */
+    static fromDOMMatrix(m) {
+        if (m.m11 == null) {
+            return TransformMatrix3D.from2D(new TransformMatrix(m.a, m.b, m.c, m.d, m.e, m.f));
+        }
+        return new TransformMatrix3D(
+            m.m11, m.m12, m.m13, m.m14,
+            m.m21, m.m22, m.m23, m.m24,
+            m.m31, m.m32, m.m33, m.m34,
+            m.m41, m.m42, m.m43, m.m44
+        );
+    }
+
+    /**
+     * Create a new TransformMatrix3D from a translation
+     * @param {Number} tx
+     * @param {Number} ty
+     * @param {Number} tz
+     * @return {TransformMatrix3D}
+     */
+    static fromTranslation(tx, ty, tz) {
+        return new TransformMatrix3D(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, tx, ty, tz, 1);
+    }
+
+    /**
+     * Create a new TransformMatrix3D from a set of scale factors
+     * @param {Number} sx
+     * @param {Number} sy
+     * @param {Number} sz
+     * @return {TransformMatrix3D}
+     */
+    static fromScale(sx, sy, sz) {
+        return new TransformMatrix3D(sx, 0, 0, 0, 0, sy, 0, 0, 0, 0, sz, 0, 0, 0, 0, 1);
+    }
+
+    /**
+     * Create a new TransformMatrix3D which rotates by `theta` around the
+     * vector [x, y, z], as the CSS rotate3d() function does. If the vector
+     * has no length, returns the identity matrix.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} z
+     * @param {Number} theta - rotation angle (radians)
+     * @return {TransformMatrix3D}
+     */
+    static fromRotate3d(x, y, z, theta) {
+        const length = Math.hypot(x, y, z);
+        if (length === 0) { return TransformMatrix3D.identity(); }
+        const [ux, uy, uz] = [x / length, y / length, z / length];
+        const sc = Math.sin(theta / 2) * Math.cos(theta / 2);
+        const sq = Math.pow(Math.sin(theta / 2), 2);
+        // remove rounding errors, so that e.g. a 90deg rotation leaves the
+        // plane exactly edge-on
+        const clean = row => row.map(v => (Math.abs(v) < 1e-12 ? 0 : v));
+        return TransformMatrix3D.fromArray([
+            [
+                1 - (2 * ((uy * uy) + (uz * uz)) * sq),
+                2 * ((ux * uy * sq) - (uz * sc)),
+                2 * ((ux * uz * sq) + (uy * sc)),
+                0,
+            ],
+            [
+                2 * ((ux * uy * sq) + (uz * sc)),
+                1 - (2 * ((ux * ux) + (uz * uz)) * sq),
+                2 * ((uy * uz * sq) - (ux * sc)),
+                0,
+            ],
+            [
+                2 * ((ux * uz * sq) - (uy * sc)),
+                2 * ((uy * uz * sq) + (ux * sc)),
+                1 - (2 * ((ux * ux) + (uy * uy)) * sq),
+                0,
+            ],
+            [0, 0, 0, 1],
+        ].map(clean));
+    }
+
+    /**
+     * Create a new TransformMatrix3D as the CSS perspective() function does,
+     * for a viewer at distance `d` from the plane z = 0. Distances below 1px
+     * are treated as 1px; `Infinity` returns the identity matrix.
+     *
+     * @param {Number} d - distance (px)
+     * @return {TransformMatrix3D}
+     */
+    static fromPerspective(d) {
+        const distance = Math.max(d, 1);
+        return new TransformMatrix3D(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -1 / distance, 0, 0, 0, 1);
+    }
+}
+
+/**
+ * Creates a DOMMatrix from the CSS vector `values` (6 values for a 2D matrix,
+ * or 16 for a 3D matrix) using `DOMMatrixClass`, or the global DOMMatrix.
+ *
+ * @export
+ * @param {Array<Number>} values
+ * @param {Function} [DOMMatrixClass]
+ * @returns {DOMMatrix}
+ */
+export function _toDOMMatrix(values, DOMMatrixClass) {
+    const DOMMatrixCtor = DOMMatrixClass ||
+        (typeof window === 'undefined' ? null : window.DOMMatrix);
+    if (typeof DOMMatrixCtor !== 'function') {
+        throw new Error('DOMMatrix is not supported in this environment');
+    }
+    return new DOMMatrixCtor(values);
+}
+
+/**
+ * Multiplies a list of TransformMatrixes and/or TransformMatrix3Ds. The
+ * product is a TransformMatrix when all of them are 2D, or when their product
+ * can be expressed in 2D; see `is2D`.
+ *
+ * @export
+ * @param {Array<TransformMatrix|TransformMatrix3D>} matrixes
+ * @returns {TransformMatrix|TransformMatrix3D}
+ */
+export function _compose(matrixes) {
+    if (matrixes.some(M => M instanceof TransformMatrix3D)) {
+        const M = TransformMatrix3D.compose(matrixes);
+        return M.is2D ? M.to2D() : M;
+    }
+    return TransformMatrix.compose(matrixes);
+}
+
+export default TransformMatrix3D;
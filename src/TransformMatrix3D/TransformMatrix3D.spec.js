@@ -0,0 +1,157 @@
+import TransformMatrix3D, { _compose } from './TransformMatrix3D';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+
+describe('TransformMatrix3D', () => {
+    const M = new TransformMatrix3D(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16);
+    const I = TransformMatrix3D.identity();
+
+    it('Should correctly translate CSS vectors into 4x4 Arrays', () => {
+        expect(M.cssVector).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+        expect(M.matrix).toEqual([
+            [1, 5, 9, 13],
+            [2, 6, 10, 14],
+            [3, 7, 11, 15],
+            [4, 8, 12, 16],
+        ]);
+        expect(TransformMatrix3D.fromArray(M.matrix).cssVector).toEqual(M.cssVector);
+    });
+
+    it('Should throw an error when created with the wrong number of values', () => {
+        expect(() => new TransformMatrix3D(1, 2, 3, 4, 5, 6)).toThrowError();
+    });
+
+    it('Should identify identity and 2D matrixes', () => {
+        expect(I.isIdentity()).toBe(true);
+        expect(I.type).toBe('identity');
+        expect(M.type).toBe('3d');
+        expect(M.is2D).toBe(false);
+        expect(TransformMatrix3D.fromTranslation(0, 0, 1).is2D).toBe(false);
+        expect(TransformMatrix3D.fromPerspective(100).is2D).toBe(false);
+        const M2D = TransformMatrix3D.from2D(new TransformMatrix(1, 2, 3, 4, 5, 6));
+        expect(M2D.is2D).toBe(true);
+        expect(M2D.to2D().cssVector).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('Should compose 2D and 3D matrixes', () => {
+        const composed = TransformMatrix3D.compose([
+            TransformMatrix.fromTranslation(10, 20),
+            TransformMatrix3D.fromScale(2, 3, 4),
+        ]);
+        expect(composed.cssVector).toEqual([2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 4, 0, 10, 20, 0, 1]);
+        expect(TransformMatrix3D.compose([]).isIdentity()).toBe(true);
+    });
+
+    it('Should transform points, applying perspective', () => {
+        const translate = TransformMatrix3D.fromTranslation(1, 2, 3);
+        expect(translate.transformPoint(1, 1, 1)).toEqual({ x: 2, y: 3, z: 4 });
+
+        // a point 100px in front of the plane, viewed from 200px away,
+        // appears twice as far from the origin
+        const perspective = TransformMatrix3D.fromPerspective(200);
+        const point = TransformMatrix3D.compose([
+            perspective,
+            TransformMatrix3D.fromTranslation(0, 0, 100),
+        ]).transformPoint(10, 20);
+        expect(point).toEqual({ x: 20, y: 40, z: 200 });
+    });
+
+    it('Should rotate around an axis', () => {
+        const rotateY = TransformMatrix3D.fromRotate3d(0, 1, 0, Math.PI / 2);
+        const point = rotateY.transformPoint(1, 0, 0);
+        expect(point.x).toBeCloseTo(0, 10);
+        expect(point.y).toBeCloseTo(0, 10);
+        expect(point.z).toBeCloseTo(-1, 10);
+        expect(TransformMatrix3D.fromRotate3d(0, 0, 0, 1).isIdentity()).toBe(true);
+    });
+
+    it('Should apply a transform around an origin', () => {
+        const rotateY = TransformMatrix3D.fromRotate3d(0, 1, 0, Math.PI);
+        const point = rotateY.aroundOrigin(50, 0, 0).transformPoint(0, 10);
+        expect(point.x).toBeCloseTo(100, 10);
+        expect(point.y).toBeCloseTo(10, 10);
+        expect(point.z).toBeCloseTo(0, 10);
+    });
+
+    it('Should calculate the inverse', () => {
+        const T = TransformMatrix3D.compose([
+            TransformMatrix3D.fromPerspective(500),
+            TransformMatrix3D.fromRotate3d(1, 1, 0, 0.5),
+            TransformMatrix3D.fromTranslation(3, 4, 5),
+        ]);
+        const point = T.inverse.transformPoint(...Object.values(T.transformPoint(7, 8, 9)));
+        expect(point.x).toBeCloseTo(7, 8);
+        expect(point.y).toBeCloseTo(8, 8);
+        expect(point.z).toBeCloseTo(9, 8);
+    });
+
+    it('Should flatten onto the plane z = 0', () => {
+        const rotateX = TransformMatrix3D.fromRotate3d(1, 0, 0, 1);
+        const flat = rotateX.flatten().transformPoint(5, 10);
+        const full = rotateX.transformPoint(5, 10);
+        expect(flat.x).toBeCloseTo(full.x, 10);
+        expect(flat.y).toBeCloseTo(full.y, 10);
+        expect(flat.z).toBe(0);
+    });
+
+    it('Should project points back onto the plane of the element', () => {
+        // a card tilted away from the viewer, seen in perspective
+        const T = TransformMatrix3D.compose([
+            TransformMatrix3D.fromPerspective(400),
+            TransformMatrix3D.fromRotate3d(1, 0, 0, Math.PI / 4).aroundOrigin(100, 50),
+        ]).flatten();
+        const screen = T.transformPoint(30, 80);
+        const local = T.unproject().transformPoint(screen.x, screen.y);
+        expect(local.x).toBeCloseTo(30, 8);
+        expect(local.y).toBeCloseTo(80, 8);
+        expect(local.z).toBe(0);
+    });
+
+    it('Should convert to and from DOMMatrixes', () => {
+        const names = [1, 2, 3, 4].map(col => [1, 2, 3, 4].map(row => `m${col}${row}`));
+        const dom = [].concat(...names).reduce((m, name, i) =>
+            Object.assign(m, { [name]: i + 1 }), { is2D: false });
+        expect(TransformMatrix3D.fromDOMMatrix(dom).cssVector).toEqual(M.cssVector);
+        const svgMatrix = { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 };
+        expect(TransformMatrix3D.fromDOMMatrix(svgMatrix).to2D().cssVector)
+            .toEqual([1, 2, 3, 4, 5, 6]);
+
+        // a stand-in for DOMMatrix, which isn't available here
+        class FakeDOMMatrix {
+            constructor(init) { this.init = init; }
+        }
+        expect(M.toDOMMatrix(FakeDOMMatrix).init).toEqual(M.cssVector);
+    });
+
+    it('Should serialize to CSS', () => {
+        expect(TransformMatrix3D.fromTranslation(1, 2, 0).toCss()).toBe('translate(1px, 2px)');
+        expect(TransformMatrix3D.fromTranslation(1, 2, 3).toCss())
+            .toBe('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 2, 3, 1)');
+        expect(TransformMatrix3D.fromPerspective(3).toCss({ precision: 2 }))
+            .toBe('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -0.33, 0, 0, 0, 1)');
+    });
+
+    it('Should not map points onto a plane seen edge-on', () => {
+        // rotateY(90deg)
+        const edgeOn = TransformMatrix3D.fromArray([
+            [0, 0, 1, 0],
+            [0, 1, 0, 0],
+            [-1, 0, 0, 0],
+            [0, 0, 0, 1],
+        ]);
+        const point = edgeOn.unproject().transformPoint(1, 1);
+        expect(point.x).toBeNaN();
+        expect(point.y).toBeNaN();
+    });
+});
+
+describe('_compose', () => {
+    it('Should return a TransformMatrix unless the product is 3D', () => {
+        const translate = TransformMatrix.fromTranslation(1, 2);
+        expect(_compose([translate, TransformMatrix.fromScale(2, 2)]) instanceof TransformMatrix)
+            .toBe(true);
+        const z = TransformMatrix3D.fromTranslation(0, 0, 5);
+        expect(_compose([translate, z]) instanceof TransformMatrix3D).toBe(true);
+        const product = _compose([z, translate, TransformMatrix3D.fromTranslation(0, 0, -5)]);
+        expect(product.cssVector).toEqual(translate.cssVector);
+    });
+});
@@ -0,0 +1,97 @@
+const DETAILS = ['offset', 'functionName', 'argumentIndex'];
+
+/**
+ * The error thrown when a CSS transform string can't be parsed.
+ *
+ * `code` identifies the problem, and is one of:
+ *  - 'INVALID_SYNTAX': the string isn't a list of functions
+ *  - 'UNKNOWN_FUNCTION': a function isn't a transform function
+ *  - 'WRONG_ARGUMENT_COUNT': a function has too few or too many arguments
+ *  - 'INVALID_ARGUMENT': an argument has the wrong type or is malformed
+ *  - 'INVALID_UNIT': a math function uses an unsupported unit
+ *  - 'INVALID_MATH': a math function is malformed, e.g. "calc(1px + 1deg)"
+ *  - 'PERCENTAGE_REQUIRES_REFERENCE_BOX': a percentage is used without a
+ *    reference box to resolve it against
+ *  - 'VIEWPORT_SIZE_REQUIRED': a viewport unit is used without the size of
+ *    the viewport
+ *  - 'INVALID_VAR': a `var()` reference is malformed
+ *  - 'UNDEFINED_VARIABLE': a custom property without a fallback is undefined
+ *  - 'CYCLIC_VARIABLE': a custom property without a fallback depends on
+ *    itself
+ *
+ * `offset` is the index in the transform string where the problem was found,
+ * `functionName` is the lower case name of the transform function it was
+ * found in, and `argumentIndex` is the (zero-based) index of the argument;
+ * each of them is null when it doesn't apply or isn't known. Offsets refer to
+ * the string after `var()` references have been substituted, which is the
+ * original string unless it contains `var()`s.
+ *
+ * `message` describes the problem for humans, followed by whichever of the
+ * details above are known.
+ *
+ * @class TransformParseError
+ * @extends {Error}
+ */
+class TransformParseError extends Error {
+    /**
+     * Create a TransformParseError.
+     *
+     * @param {String} code
+     * @param {String} reason - a description of the problem
+     * @param {Object} [details] - `offset`, `functionName` and
+     *  `argumentIndex`, where known
+     */
+    constructor(code, reason, details = {}) {
+        super(reason);
+        this.name = 'TransformParseError';
+        this.code = code;
+        this.reason = reason;
+        this.offset = null;
+        this.functionName = null;
+        this.argumentIndex = null;
+        this.withDetails(details);
+    }
+
+    /**
+     * Fills in whichever of `offset`, `functionName` and `argumentIndex` are
+     * not yet known from `details`, and updates the message. This lets code
+     * that knows where an argument came from add to errors thrown while it
+     * is evaluated.
+     *
+     * @param {Object} details
+     * @memberof TransformParseError
+     * @returns {TransformParseError} this error
+     */
+    withDetails(details) {
+        DETAILS.forEach(key => {
+            if (this[key] == null && details[key] != null) {
+                this[key] = details[key];
+            }
+        });
+        const where = [];
+        if (this.functionName != null) { where.push(`in ${this.functionName}()`); }
+        if (this.argumentIndex != null) { where.push(`argument ${this.argumentIndex + 1}`); }
+        if (this.offset != null) { where.push(`at offset ${this.offset}`); }
+        this.message = where.length ? `${this.reason} (${where.join(', ')})` : this.reason;
+        return this;
+    }
+
+    /**
+     * Returns `err` with the given details filled in, converting it to a
+     * TransformParseError with the given `code` if it is some other error.
+     *
+     * @static
+     * @param {Error} err
+     * @param {String} code - used if `err` is not a TransformParseError
+     * @param {Object} [details]
+     * @memberof TransformParseError
+     * @returns {TransformParseError}
+     */
+    static from(err, code, details = {}) {
+        return err instanceof TransformParseError ?
+            err.withDetails(details) :
+            new TransformParseError(code, err.message, details);
+    }
+}
+
+export default TransformParseError;
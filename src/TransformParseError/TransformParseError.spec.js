@@ -0,0 +1,42 @@
+import TransformParseError from './TransformParseError';
+
+describe('TransformParseError', () => {
+    it('Should be an Error with a code and details', () => {
+        const err = new TransformParseError('INVALID_ARGUMENT', 'Invalid argument', {
+            offset: 7,
+            functionName: 'rotate',
+            argumentIndex: 0,
+        });
+        expect(err instanceof Error).toBe(true);
+        expect(err instanceof TransformParseError).toBe(true);
+        expect(err.name).toBe('TransformParseError');
+        expect(err.code).toBe('INVALID_ARGUMENT');
+        expect(err.reason).toBe('Invalid argument');
+        expect([err.offset, err.functionName, err.argumentIndex]).toEqual([7, 'rotate', 0]);
+        expect(err.message).toBe('Invalid argument (in rotate(), argument 1, at offset 7)');
+    });
+
+    it('Should leave unknown details null', () => {
+        const err = new TransformParseError('INVALID_SYNTAX', 'Invalid CSS transform string');
+        expect([err.offset, err.functionName, err.argumentIndex]).toEqual([null, null, null]);
+        expect(err.message).toBe('Invalid CSS transform string');
+    });
+
+    it('Should fill in details which are not yet known', () => {
+        const err = new TransformParseError('INVALID_UNIT', 'Invalid unit: foo', { offset: 3 });
+        expect(err.withDetails({ offset: 10, functionName: 'scale' })).toBe(err);
+        expect(err.offset).toBe(3);
+        expect(err.functionName).toBe('scale');
+        expect(err.message).toBe('Invalid unit: foo (in scale(), at offset 3)');
+    });
+
+    it('Should convert other errors', () => {
+        const err = TransformParseError.from(new Error('Bad calc'), 'INVALID_MATH', { offset: 2 });
+        expect(err instanceof TransformParseError).toBe(true);
+        expect(err.code).toBe('INVALID_MATH');
+        expect(err.message).toBe('Bad calc (at offset 2)');
+        const original = new TransformParseError('INVALID_UNIT', 'Invalid unit: foo');
+        expect(TransformParseError.from(original, 'INVALID_MATH')).toBe(original);
+        expect(original.code).toBe('INVALID_UNIT');
+    });
+});
@@ -0,0 +1,174 @@
+const KEYWORDS = {
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+const STEP_KEYWORDS = {
+    'step-start': [1, 'jump-start'],
+    'step-end': [1, 'jump-end'],
+};
+
+const NUMBER = '\\s*([-+]?(?:\\d*\\.\\d+|\\d+)(?:e[-+]?\\d+)?)\\s*';
+
+const EASING_RX = {
+    CUBIC_BEZIER: new RegExp(`^cubic-bezier\\(${NUMBER},${NUMBER},${NUMBER},${NUMBER}\\)$`),
+    STEPS: /^steps\(\s*(\d+)\s*(?:,\s*(jump-start|jump-end|jump-none|jump-both|start|end)\s*)?\)$/,
+};
+
+/**
+ * Converts a CSS easing function (as used by the `transition-timing-function`
+ * and `animation-timing-function` properties, or the `easing` of a Web
+ * Animations effect) into a JavaScript function which maps an input
+ * progress value to an output progress value.
+ *
+ * Supports `linear`, the `ease` keywords, `cubic-bezier()`, `steps()`,
+ * `step-start` and `step-end`; see
+ * (syntax)[https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function].
+ *
+ * The returned function accepts a second argument, `before`, which should be
+ * `true` when the animation is in its before phase; this only affects
+ * `steps()` easings with a start jump.
+ *
+ * @export
+ * @param {String} [str = 'linear']
+ * @returns {function(Number, Boolean): Number}
+ */
+export default function parseEasing(str = 'linear') {
+    const clean = str.toLowerCase().trim();
+    if (clean === 'linear') {
+        return t => t;
+    }
+    if (Object.prototype.hasOwnProperty.call(KEYWORDS, clean)) {
+        return cubicBezier(...KEYWORDS[clean]);
+    }
+    if (Object.prototype.hasOwnProperty.call(STEP_KEYWORDS, clean)) {
+        return steps(...STEP_KEYWORDS[clean]);
+    }
+    let match = EASING_RX.CUBIC_BEZIER.exec(clean);
+    if (match) {
+        const [x1, y1, x2, y2] = match.slice(1).map(parseFloat);
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+            throw new Error('cubic-bezier() x values must be between 0 and 1');
+        }
+        return cubicBezier(x1, y1, x2, y2);
+    }
+    match = EASING_RX.STEPS.exec(clean);
+    if (match) {
+        return steps(parseInt(match[1], 10), match[2] || 'jump-end');
+    }
+    throw new Error('Invalid easing function');
+}
+
+/**
+ * Creates a cubic Bézier easing function with control points (x1, y1) and
+ * (x2, y2); the end points are fixed at (0, 0) and (1, 1).
+ *
+ * @export
+ * @param {Number} x1
+ * @param {Number} y1
+ * @param {Number} x2
+ * @param {Number} y2
+ * @returns {function(Number): Number}
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    // coefficients of the polynomial form of each coordinate,
+    // B(t) = ((a * t + b) * t + c) * t
+    const cx = 3 * x1;
+    const bx = (3 * (x2 - x1)) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = (3 * (y2 - y1)) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = t => ((((ax * t) + bx) * t) + cx) * t;
+    const sampleY = t => ((((ay * t) + by) * t) + cy) * t;
+    const sampleDx = t => (((3 * ax * t) + (2 * bx)) * t) + cx;
+
+    return x => {
+        // outside of [0, 1], extrapolate linearly along the tangent at the
+        // nearest end point.
+        if (x < 0) {
+            if (x1 > 0) { return (y1 / x1) * x; }
+            if (y1 === 0 && x2 > 0) { return (y2 / x2) * x; }
+            return 0;
+        }
+        if (x > 1) {
+            if (x2 < 1) { return 1 + (((y2 - 1) / (x2 - 1)) * (x - 1)); }
+            if (y2 === 1 && x1 < 1) { return 1 + (((y1 - 1) / (x1 - 1)) * (x - 1)); }
+            return 1;
+        }
+        return sampleY(solveX(x));
+    };
+
+    // find the parameter t for which B(t).x = x; try Newton's method first,
+    // falling back to bisection.
+    function solveX(x) {
+        const epsilon = 1e-7;
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const err = sampleX(t) - x;
+            if (Math.abs(err) < epsilon) { return t; }
+            const dx = sampleDx(t);
+            if (Math.abs(dx) < 1e-6) { break; }
+            t -= err / dx;
+        }
+        let lo = 0;
+        let hi = 1;
+        t = x;
+        while (lo < hi) {
+            const value = sampleX(t);
+            if (Math.abs(value - x) < epsilon) { return t; }
+            if (x > value) {
+                lo = t;
+            } else {
+                hi = t;
+            }
+            if (hi - lo < epsilon) { return t; }
+            t = (lo + hi) / 2;
+        }
+        return t;
+    }
+}
+
+/**
+ * Creates a step easing function with `count` intervals.
+ *
+ * @export
+ * @param {Number} count
+ * @param {'jump-start'|'jump-end'|'jump-none'|'jump-both'|'start'|'end'} position
+ * @returns {function(Number, Boolean): Number}
+ */
+export function steps(count, position) {
+    const pos = { start: 'jump-start', end: 'jump-end' }[position] || position;
+    if (count < 1 || (pos === 'jump-none' && count < 2)) {
+        throw new Error('Invalid number of steps');
+    }
+    let jumps = count;
+    if (pos === 'jump-none') {
+        jumps = count - 1;
+    } else if (pos === 'jump-both') {
+        jumps = count + 1;
+    }
+    const jumpsAtStart = pos === 'jump-start' || pos === 'jump-both';
+
+    return (x, before = false) => {
+        let step = Math.floor(x * count);
+        if (jumpsAtStart) {
+            step += 1;
+        }
+        // when the input is exactly on a step boundary in the before phase,
+        // the output reflects the previous step
+        if (before && Math.floor(x * count) === x * count) {
+            step -= 1;
+        }
+        if (x >= 0 && step < 0) {
+            step = 0;
+        }
+        if (x <= 1 && step > jumps) {
+            step = jumps;
+        }
+        return step / jumps;
+    };
+}
@@ -0,0 +1,77 @@
+import parseEasing, { cubicBezier, steps } from './easing';
+
+describe('easing', () => {
+    describe('parseEasing', () => {
+        it('Should return a linear function by default', () => {
+            const linear = parseEasing();
+            expect(linear(0)).toBe(0);
+            expect(linear(0.3)).toBe(0.3);
+            expect(linear(1)).toBe(1);
+        });
+
+        it('Should parse keywords', () => {
+            const ease = parseEasing('ease');
+            expect(ease(0)).toBeCloseTo(0, 5);
+            expect(ease(0.5)).toBeCloseTo(0.8024, 3);
+            expect(ease(1)).toBeCloseTo(1, 5);
+            expect(parseEasing('step-start')(0.5)).toBe(1);
+            expect(parseEasing('step-end')(0.5)).toBe(0);
+        });
+
+        it('Should parse cubic-bezier() and steps() functions', () => {
+            const bezier = parseEasing('cubic-bezier(0.42, 0, 0.58, 1)');
+            expect(bezier(0.5)).toBeCloseTo(0.5, 5);
+            const stepped = parseEasing('steps(4, jump-end)');
+            expect(stepped(0.3)).toBe(0.25);
+        });
+
+        it('Should throw an error for invalid easing functions', () => {
+            const bads = [
+                'foo',
+                'cubic-bezier(1.5, 0, 0.5, 1)',
+                'cubic-bezier(0, 0, 1)',
+                'steps(0)',
+                'steps(1, jump-none)',
+                'steps(2, middle)',
+            ];
+            for (const bad of bads) {
+                expect(() => parseEasing(bad)).toThrow();
+            }
+        });
+    });
+
+    describe('cubicBezier', () => {
+        it('Should be linear when the control points are on the diagonal', () => {
+            const linear = cubicBezier(0.25, 0.25, 0.75, 0.75);
+            [0, 0.1, 0.33, 0.5, 0.9, 1].forEach(x => {
+                expect(linear(x)).toBeCloseTo(x, 5);
+            });
+        });
+
+        it('Should extrapolate outside of [0, 1]', () => {
+            const easeOut = cubicBezier(0, 0, 0.58, 1);
+            expect(easeOut(-1)).toBeCloseTo(-1 / 0.58, 5);
+            expect(easeOut(2)).toBe(1);
+            const back = cubicBezier(0.5, -0.5, 0.5, 1.5);
+            expect(back(-1)).toBeCloseTo(1, 5);
+            expect(back(2)).toBeCloseTo(0, 5);
+        });
+    });
+
+    describe('steps', () => {
+        it('Should jump at the correct positions', () => {
+            expect([0, 0.25, 0.5, 0.99, 1].map(x => steps(2, 'jump-end')(x)))
+                .toEqual([0, 0, 0.5, 0.5, 1]);
+            expect([0, 0.25, 0.5, 0.99, 1].map(x => steps(2, 'jump-start')(x)))
+                .toEqual([0.5, 0.5, 1, 1, 1]);
+            expect([0, 0.25, 0.5, 0.99, 1].map(x => steps(3, 'jump-none')(x)))
+                .toEqual([0, 0, 0.5, 1, 1]);
+            expect([0, 0.25, 0.5, 0.99, 1].map(x => steps(2, 'jump-both')(x)))
+                .toEqual([1 / 3, 1 / 3, 2 / 3, 2 / 3, 1]);
+        });
+
+        it('Should use the previous step at a boundary in the before phase', () => {
+            expect(steps(2, 'jump-start')(0, true)).toBe(0);
+        });
+    });
+});
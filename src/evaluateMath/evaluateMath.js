@@ -0,0 +1,240 @@
+import tokenizeCss, { parseComponentValues } from '../tokenizeCss/tokenizeCss';
+
+const MATH_FUNCTIONS = ['calc', 'min', 'max', 'clamp'];
+
+// numeric constants which may be used in math functions
+const CONSTANTS = {
+    e: Math.E,
+    pi: Math.PI,
+    infinity: Infinity,
+    '-infinity': -Infinity,
+    nan: NaN,
+};
+
+// lengths and percentages may be combined; percentages are resolved once
+// the size they are relative to is known
+const LENGTH_PERCENTAGE_TYPES = ['length', 'percentage', 'length-percentage'];
+
+/**
+ * Evaluates a CSS math function, i.e. `calc()`, `min()`, `max()` or
+ * `clamp()`, which may contain nested math functions and parentheses; see
+ * https://www.w3.org/TR/css-values-4/#math
+ *
+ * `input` may be a string, or a function component value as returned by
+ * `parseComponentValues()`.
+ *
+ * Numbers without units and the constants `e`, `pi`, `infinity`,
+ * `-infinity` and `NaN` are handled here; every other value is passed to
+ * `resolve(value, unit)` (where `unit` is lower case, and is '%' for
+ * percentages), which should return an object with the `type` of the value
+ * ('length', 'angle' or 'percentage') and its `value` in a canonical unit
+ * (e.g. px or radians), or throw if the unit is not supported.
+ *
+ * The result has the type of the calculation, which is 'number', 'length',
+ * 'angle', 'percentage', or 'length-percentage' when lengths are combined
+ * with percentages. The value of a 'length-percentage' calculation can't be
+ * found without resolving its percentages, so it is NaN.
+ *
+ * As described in CSS Values 4, the value of the calculation is then
+ * censored: NaN becomes 0, and infinite values are clamped to the largest
+ * finite numbers (±Number.MAX_VALUE). Values within nested math functions and
+ * parentheses are not censored, so "calc(1px / (1 / 0))" is 0px.
+ *
+ * Errors are thrown for malformed expressions and for calculations which
+ * combine incompatible types, e.g. "calc(1px + 1deg)" or "calc(1px * 1px)".
+ *
+ * @export
+ * @param {String|Object} input - e.g. "calc(100% - min(2em, 24px))"
+ * @param {function(Number, String): {type: String, value: Number}} resolve
+ * @returns {{type: String, value: Number}}
+ */
+export default function evaluateMath(input, resolve) {
+    const node = typeof input === 'string' ? _component(input) : input;
+    if (!isMath(node)) {
+        throw new Error('Invalid math function');
+    }
+    return _censor(_function(node, resolve));
+}
+
+/**
+ * Returns `true` when `input` is a CSS math function supported by
+ * `evaluateMath()`.
+ *
+ * @export
+ * @param {String|Object} input - a string or a component value
+ * @returns {Boolean}
+ */
+export function isMath(input) {
+    const node = typeof input === 'string' ? _component(input) : input;
+    return node != null &&
+        node.type === 'function' &&
+        MATH_FUNCTIONS.indexOf(node.name.toLowerCase()) !== -1;
+}
+
+// the top-level result of a calculation, with NaN replaced by 0 and infinite
+// values clamped to finite ones
+function _censor(result) {
+    if (result.type === 'length-percentage') { return result; }
+    let value = result.value;
+    if (isNaN(value)) {
+        value = 0;
+    } else if (!isFinite(value)) {
+        value = value > 0 ? Number.MAX_VALUE : -1 * Number.MAX_VALUE;
+    }
+    return { type: result.type, value };
+}
+
+// returns the only component value in `str`, or null
+function _component(str) {
+    const components = parseComponentValues(tokenizeCss(str))
+        .filter(component => component.type !== 'whitespace');
+    return components.length === 1 ? components[0] : null;
+}
+
+/**
+ * Parses a calculation, i.e. a list of component values, into a sum.
+ *
+ * A `+` or `-` which is not the sign of a number is an operator, which must
+ * be surrounded by whitespace.
+ *
+ * @param {Array<Object>} components
+ * @param {Function} resolve
+ * @returns {{type: String, value: Number}}
+ */
+function _calculation(components, resolve) {
+    components.forEach((component, i) => {
+        const isSumOperator = component.type === 'delim' &&
+            (component.value === '+' || component.value === '-');
+        const isSpaced = j => components[j] != null && components[j].type === 'whitespace';
+        if (isSumOperator && !(isSpaced(i - 1) && isSpaced(i + 1))) {
+            throw new Error('+ and - must be surrounded by whitespace in math functions');
+        }
+    });
+    const state = {
+        tokens: components.filter(component => component.type !== 'whitespace'),
+        pos: 0,
+        resolve,
+    };
+    const result = _sum(state);
+    if (state.pos !== state.tokens.length) {
+        throw new Error('Invalid math function');
+    }
+    return result;
+}
+
+function _peek(state) {
+    const token = state.tokens[state.pos];
+    return token != null && token.type === 'delim' ? token.value : null;
+}
+
+// sum := product [ ('+' | '-') product ]*
+function _sum(state) {
+    let result = _product(state);
+    while (_peek(state) === '+' || _peek(state) === '-') {
+        const sign = _peek(state) === '+' ? 1 : -1;
+        state.pos += 1;
+        const operand = _product(state);
+        const type = _sumType(result.type, operand.type);
+        const value = type === 'length-percentage' ?
+            NaN :
+            result.value + (sign * operand.value);
+        result = { type, value };
+    }
+    return result;
+}
+
+// product := value [ ('*' | '/') value ]*
+function _product(state) {
+    let result = _value(state);
+    while (_peek(state) === '*' || _peek(state) === '/') {
+        const op = _peek(state);
+        state.pos += 1;
+        const operand = _value(state);
+        if (op === '/' || result.type !== 'number') {
+            if (operand.type !== 'number') {
+                throw new Error('Invalid calculation; values with units can only be multiplied or divided by numbers');
+            }
+            const value = op === '/' ? result.value / operand.value : result.value * operand.value;
+            result = { type: result.type, value };
+        } else {
+            result = { type: operand.type, value: result.value * operand.value };
+        }
+    }
+    return result;
+}
+
+// value := number | dimension | percentage | constant | '(' sum ')' | function
+function _value(state) {
+    const token = state.tokens[state.pos];
+    state.pos += 1;
+    switch (token && token.type) {
+        case 'number':
+            return { type: 'number', value: token.value };
+        case 'percentage':
+            return state.resolve(token.value, '%');
+        case 'dimension':
+            return state.resolve(token.value, token.unit.toLowerCase());
+        case 'ident': {
+            const name = token.value.toLowerCase();
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+                return { type: 'number', value: CONSTANTS[name] };
+            }
+            break;
+        }
+        case 'block':
+            if (token.token === '(') {
+                return _calculation(token.value, state.resolve);
+            }
+            break;
+        case 'function':
+            if (isMath(token)) {
+                return _function(token, state.resolve);
+            }
+            break;
+        default:
+            break;
+    }
+    throw new Error('Invalid math function');
+}
+
+function _function(node, resolve) {
+    const args = [[]];
+    node.value.forEach(component => {
+        if (component.type === 'comma') {
+            args.push([]);
+        } else {
+            args[args.length - 1].push(component);
+        }
+    });
+    const values = args.map(arg => _calculation(arg, resolve));
+    const type = values.map(arg => arg.type).reduce(_sumType);
+    const numbers = values.map(arg => arg.value);
+    const result = value => ({ type, value: type === 'length-percentage' ? NaN : value });
+    const name = node.name.toLowerCase();
+    switch (name) {
+        case 'calc':
+            if (values.length === 1) { return values[0]; }
+            break;
+        case 'min':
+            return result(Math.min(...numbers));
+        case 'max':
+            return result(Math.max(...numbers));
+        case 'clamp':
+            if (values.length === 3) {
+                return result(Math.max(numbers[0], Math.min(numbers[1], numbers[2])));
+            }
+            break;
+        default:
+            break;
+    }
+    throw new Error(`Invalid math function: ${name}()`);
+}
+
+// the type of the sum of two values of the given types
+function _sumType(a, b) {
+    if (a === b) { return a; }
+    if (LENGTH_PERCENTAGE_TYPES.indexOf(a) !== -1 && LENGTH_PERCENTAGE_TYPES.indexOf(b) !== -1) {
+        return 'length-percentage';
+    }
+    throw new Error(`Invalid calculation; cannot combine ${a} and ${b}`);
+}
@@ -0,0 +1,122 @@
+import evaluateMath, { isMath } from './evaluateMath';
+
+// resolves px, deg and percentages of 200px
+function resolve(value, unit) {
+    switch (unit) {
+        case 'px':
+            return { type: 'length', value };
+        case 'deg':
+            return { type: 'angle', value };
+        case '%':
+            return { type: 'length', value: value * 2 };
+        default:
+            throw new Error('Invalid unit');
+    }
+}
+
+function keepPercent(value, unit) {
+    return unit === '%' ? { type: 'percentage', value } : resolve(value, unit);
+}
+
+describe('evaluateMath', () => {
+    it('Should recognize math functions', () => {
+        expect(isMath('calc(1px)')).toBe(true);
+        expect(isMath(' CLAMP(1px, 2px, 3px)')).toBe(true);
+        expect(isMath('min(1px, 2px)')).toBe(true);
+        expect(isMath('max(1px, 2px)')).toBe(true);
+        expect(isMath('1px')).toBe(false);
+        expect(isMath('var(--foo)')).toBe(false);
+    });
+
+    it('Should evaluate arithmetic, respecting precedence and parentheses', () => {
+        const tests = [
+            ['calc(3)', 'number', 3],
+            ['calc(1 + 2 * 3)', 'number', 7],
+            ['calc((1 + 2) * 3)', 'number', 9],
+            ['calc(10 - 4 - 3)', 'number', 3],
+            ['calc(12 / 4 / 3)', 'number', 1],
+            ['calc(-2 * -1.5e1)', 'number', 30],
+            ['calc(2*3)', 'number', 6],
+            ['calc(100% - 24px)', 'length', 176],
+            ['calc(2 * 15deg)', 'angle', 30],
+            ['calc(30deg / 2)', 'angle', 15],
+            ['calc(1e1 * 2e-1)', 'number', 2],
+            ['CALC(2PX /* comment */ * 3)', 'length', 6],
+            ['calc(1px', 'length', 1],
+        ];
+        tests.forEach(([str, type, value]) => {
+            expect(evaluateMath(str, resolve)).toEqual({ type, value });
+        });
+    });
+
+    it('Should evaluate nested min(), max() and clamp()', () => {
+        const tests = [
+            ['min(10px, 5px, 20px)', 5],
+            ['max(10px, 5px, 20px)', 20],
+            ['clamp(10px, 5px, 20px)', 10],
+            ['clamp(10px, 15px, 20px)', 15],
+            ['clamp(10px, 25px, 20px)', 20],
+            ['calc(min(50%, 120px) / 2 + max(1px, calc(2px * 2)))', 54],
+        ];
+        tests.forEach(([str, value]) => {
+            expect(evaluateMath(str, resolve)).toEqual({ type: 'length', value });
+        });
+    });
+
+    it('Should evaluate constants', () => {
+        expect(evaluateMath('calc(pi * 1deg)', resolve).value).toBe(Math.PI);
+        expect(evaluateMath('calc(E)', resolve).value).toBe(Math.E);
+        expect(evaluateMath('min(infinity * 1px, 3px)', resolve).value).toBe(3);
+        expect(evaluateMath('max(-infinity * 1px, 3px)', resolve).value).toBe(3);
+    });
+
+    it('Should censor NaN and infinite results', () => {
+        expect(evaluateMath('calc(NaN)', resolve).value).toBe(0);
+        expect(evaluateMath('calc(1px * NaN)', resolve)).toEqual({ type: 'length', value: 0 });
+        expect(evaluateMath('calc(1px / 0)', resolve))
+            .toEqual({ type: 'length', value: Number.MAX_VALUE });
+        expect(evaluateMath('calc(-infinity * 1deg)', resolve).value).toBe(-1 * Number.MAX_VALUE);
+        expect(evaluateMath('calc(1px / (1 / 0))', resolve).value).toBe(0);
+        expect(evaluateMath('max(1px / 0, 3px)', resolve).value).toBe(Number.MAX_VALUE);
+    });
+
+    it('Should find the type of calculations mixing lengths and percentages', () => {
+        expect(evaluateMath('calc(50% * 2)', keepPercent))
+            .toEqual({ type: 'percentage', value: 100 });
+        const mixed = evaluateMath('min(100% - 24px, 10px)', keepPercent);
+        expect(mixed.type).toBe('length-percentage');
+        expect(mixed.value).toBeNaN();
+    });
+
+    it('Should throw an error for malformed expressions', () => {
+        const bads = [
+            'calc()',
+            'calc(1px))',
+            'calc(())',
+            'calc([1px])',
+            'calc(1px 2px)',
+            'calc(1px -2px)',
+            'calc(1px-2px)',
+            'calc(1px +2px)',
+            'calc(1 +)',
+            'calc(1, 2)',
+            'clamp(1px, 2px)',
+            'calc(foo)',
+            'calc(1px) 2px',
+            'var(--foo)',
+        ];
+        bads.forEach(str => expect(() => evaluateMath(str, resolve)).toThrow());
+    });
+
+    it('Should throw an error for calculations combining incompatible types', () => {
+        const bads = [
+            'calc(1px + 1deg)',
+            'calc(1px + 1)',
+            'calc(1px * 1px)',
+            'calc(2 / 1px)',
+            'min(1px, 1deg)',
+            'calc(1em)',
+        ];
+        bads.forEach(str => expect(() => evaluateMath(str, resolve)).toThrow());
+    });
+});
@@ -0,0 +1,251 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import { _compose } from '../TransformMatrix3D/TransformMatrix3D';
+import TransformParseError from '../TransformParseError/TransformParseError';
+import parseCss from '../parseCss/parseCss';
+import substituteVars from '../substituteVars/substituteVars';
+import evaluateMath, { isMath } from '../evaluateMath/evaluateMath';
+import tokenizeCss, { parseComponentValues } from '../tokenizeCss/tokenizeCss';
+import parseTransformOrigin, { transformOriginFromElement } from '../transformOrigin/transformOrigin';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// the functions equivalent to each axis keyword of the `rotate` property
+const ROTATE_AXES = { x: 'rotateX', y: 'rotateY', z: 'rotate' };
+
+/**
+ * Converts the values of the CSS individual transform properties `translate`,
+ * `rotate` and `scale` (e.g. from a computed style) into the transform they
+ * apply, which is the product of the three in that order; see
+ * https://www.w3.org/TR/css-transforms-2/#individual-transforms
+ *
+ * Like `transform`, this transform is applied around the `transform-origin`.
+ * Percentages, relative units and `var()` references are resolved using
+ * `referenceBox`, `units` and `variables`, as for `parseCss()`. Missing
+ * properties are treated as `none`, and null is returned when all of them
+ * are `none`.
+ *
+ * @export
+ * @param {{translate: ?String, rotate: ?String, scale: ?String}} values
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox]
+ * @param {Object|HTMLElement} [units]
+ * @param {Object|Map|HTMLElement} [variables]
+ * @returns {TransformMatrix|TransformMatrix3D|null}
+ */
+export default function individualTransform(values, referenceBox, units, variables) {
+    const matrixes = individualTransformList(values, referenceBox, units, variables);
+    return matrixes.length > 0 ? _compose(matrixes) : null;
+}
+
+/**
+ * Like `individualTransform()`, but returns the transforms of `translate`,
+ * `rotate` and `scale` as a list, like `parseCss()`. The list is empty when
+ * all of them are `none`.
+ *
+ * @export
+ * @param {{translate: ?String, rotate: ?String, scale: ?String}} values
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox]
+ * @param {Object|HTMLElement} [units]
+ * @param {Object|Map|HTMLElement} [variables]
+ * @returns {Array<TransformMatrix|TransformMatrix3D>}
+ */
+export function individualTransformList(values, referenceBox, units, variables) {
+    const value = name => (values[name] == null ?
+        null :
+        substituteVars(String(values[name]), variables));
+    const functions = [
+        _translateFunction(value('translate')),
+        _rotateFunction(value('rotate')),
+        _scaleFunction(value('scale')),
+    ].filter(fn => fn != null);
+    return functions.length > 0 ? parseCss(functions.join(' '), referenceBox, units) : [];
+}
+
+/**
+ * Calculates the transform applied by the CSS motion path properties
+ * `offset-path`, `offset-distance`, `offset-rotate` and `offset-anchor`; see
+ * https://www.w3.org/TR/motion-1/
+ *
+ * The element is moved so that its anchor point (its transform origin, for
+ * `offset-anchor: auto`) lies on the path at `offset-distance`, and is
+ * rotated around that point by `offset-rotate`, where `auto` follows the
+ * direction of the path. As in browsers, the coordinates of the path are
+ * relative to the border box of the element as it is laid out. Distances
+ * wrap around closed paths, and are clamped to the length of open paths.
+ *
+ * Only `path()` is supported; null is returned for other paths and `none`.
+ * `createPath(data)` should return an object with the `getTotalLength()` and
+ * `getPointAtLength()` methods of an SVGPathElement for the path data `data`.
+ *
+ * The result is relative to `origin` (the transform origin), so that it can
+ * be combined with `transform`.
+ *
+ * @export
+ * @param {Object} values - the values of `offsetPath`, `offsetDistance`,
+ *   `offsetRotate` and `offsetAnchor`
+ * @param {{width: Number, height: Number}} box - the border box
+ * @param {{x: Number, y: Number}} origin
+ * @param {function(String): SVGPathElement} createPath
+ * @returns {TransformMatrix|null}
+ */
+export function offsetTransform(values, box, origin, createPath) {
+    const data = _pathData(values.offsetPath);
+    if (data == null) { return null; }
+    const path = createPath(data);
+    const length = path.getTotalLength();
+    let distance = _resolveDistance(values.offsetDistance || '0px', length);
+    if (/z\s*$/i.test(data) && length > 0) {
+        distance = ((distance % length) + length) % length;
+    } else {
+        distance = Math.min(Math.max(distance, 0), length);
+    }
+    const point = path.getPointAtLength(distance);
+    const anchor = values.offsetAnchor == null || values.offsetAnchor.trim() === 'auto' ?
+        origin :
+        parseTransformOrigin(values.offsetAnchor, box);
+
+    const rotation = TransformMatrix.compose(
+        _offsetRotation(values.offsetRotate || 'auto', path, distance, length));
+    const M = TransformMatrix.compose([
+        TransformMatrix.fromTranslation(point.x - anchor.x, point.y - anchor.y),
+        rotation.aroundOrigin(anchor.x, anchor.y),
+    ]);
+    return M.aroundOrigin(-1 * origin.x, -1 * origin.y);
+}
+
+/**
+ * Reads the computed individual transform and motion path properties of
+ * `el`, and returns the transform they apply before its `transform`, or null
+ * if there is none; see `individualTransform()` and `offsetTransform()`.
+ *
+ * @export
+ * @param {HTMLElement} el
+ * @returns {TransformMatrix|TransformMatrix3D|null}
+ */
+export function individualTransformFromElement(el) {
+    const doc = el.ownerDocument;
+    const style = doc.defaultView.getComputedStyle(el);
+    const box = {
+        width: el.offsetWidth || 0,
+        height: el.offsetHeight || 0,
+    };
+    const createPath = data => {
+        const path = doc.createElementNS(SVG_NAMESPACE, 'path');
+        path.setAttribute('d', data);
+        return path;
+    };
+    const matrixes = [
+        individualTransform(style, box),
+        offsetTransform(style, box, transformOriginFromElement(el), createPath),
+    ].filter(M => M != null);
+    return matrixes.length > 0 ? _compose(matrixes) : null;
+}
+
+// returns the component values of a property value, ignoring whitespace
+function _components(str) {
+    if (str == null) { return []; }
+    return parseComponentValues(tokenizeCss(str))
+        .filter(component => component.type !== 'whitespace')
+        .map(component => Object.assign(component, {
+            text: str.slice(component.start, component.end),
+        }));
+}
+
+function _isNone(components) {
+    return components.length === 0 ||
+        (components.length === 1 && components[0].type === 'ident' &&
+            components[0].value.toLowerCase() === 'none');
+}
+
+function _translateFunction(str) {
+    const components = _components(str);
+    if (_isNone(components)) { return null; }
+    const args = components.map(({ text }) => text).join(', ');
+    return components.length === 3 ? `translate3d(${args})` : `translate(${args})`;
+}
+
+// the axis may be given before or after the angle, e.g. "x 45deg", or as
+// three numbers, e.g. "1 1 0 45deg"
+function _rotateFunction(str) {
+    const components = _components(str);
+    if (_isNone(components)) { return null; }
+    const isAngle = component => component.type === 'dimension' || isMath(component);
+    const angle = components.find(isAngle);
+    const axis = components.filter(component => component !== angle);
+    if (angle == null) {
+        throw new TransformParseError(
+            'INVALID_ARGUMENT',
+            `Invalid CSS rotate property; expected an angle: ${str}`
+        );
+    }
+    if (axis.length === 0) {
+        return `rotate(${angle.text})`;
+    } else if (axis.length === 1 && axis[0].type === 'ident' &&
+        Object.prototype.hasOwnProperty.call(ROTATE_AXES, axis[0].value.toLowerCase())) {
+        return `${ROTATE_AXES[axis[0].value.toLowerCase()]}(${angle.text})`;
+    }
+    return `rotate3d(${axis.map(({ text }) => text).join(', ')}, ${angle.text})`;
+}
+
+function _scaleFunction(str) {
+    const components = _components(str);
+    if (_isNone(components)) { return null; }
+    const args = components.map(({ text }) => text).join(', ');
+    return components.length === 3 ? `scale3d(${args})` : `scale(${args})`;
+}
+
+// the path data of a `path()` offset path, e.g. 'path("M 0 0 L 10 0")'
+function _pathData(str) {
+    const [fn, ...rest] = _components(str);
+    if (fn == null || rest.length > 0 || fn.type !== 'function' ||
+        fn.name.toLowerCase() !== 'path') {
+        return null;
+    }
+    const strings = fn.value.filter(component => component.type === 'string');
+    return strings.length > 0 ? strings[strings.length - 1].value : null;
+}
+
+// resolves the length-percentage `str` against the length of the path
+function _resolveDistance(str, length) {
+    const [component] = _components(str);
+    const resolve = (value, unit) => {
+        if (unit === '%') { return { type: 'length', value: (value / 100) * length }; }
+        if (unit === 'px') { return { type: 'length', value }; }
+        throw new Error(`Invalid CSS offset-distance: ${str}`);
+    };
+    if (component == null) { return 0; }
+    if (isMath(component)) { return evaluateMath(component, resolve).value; }
+    if (component.type === 'percentage') { return resolve(component.value, '%').value; }
+    if (component.type === 'number' && component.value === 0) { return 0; }
+    if (component.type === 'dimension') {
+        return resolve(component.value, component.unit.toLowerCase()).value;
+    }
+    throw new Error(`Invalid CSS offset-distance: ${str}`);
+}
+
+// the rotations applied by `offset-rotate`, e.g. "auto 90deg"
+function _offsetRotation(str, path, distance, length) {
+    const matrixes = [TransformMatrix.identity()];
+    _components(str).forEach(component => {
+        const keyword = component.type === 'ident' ? component.value.toLowerCase() : null;
+        if (keyword === 'auto' || keyword === 'reverse') {
+            matrixes.push(TransformMatrix.fromRotate(_direction(path, distance, length)));
+            if (keyword === 'reverse') {
+                matrixes.push(TransformMatrix.fromRotate(Math.PI));
+            }
+        } else {
+            matrixes.push(...parseCss(`rotate(${component.text})`));
+        }
+    });
+    return matrixes;
+}
+
+// the direction of the path at `distance`, in radians
+function _direction(path, distance, length) {
+    const delta = Math.min(0.01, length / 2);
+    const [from, to] = distance + delta <= length ?
+        [distance, distance + delta] :
+        [distance - delta, distance];
+    const p1 = path.getPointAtLength(from);
+    const p2 = path.getPointAtLength(to);
+    return Math.atan2(p2.y - p1.y, p2.x - p1.x);
+}
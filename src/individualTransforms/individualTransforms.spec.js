@@ -0,0 +1,113 @@
+import individualTransform, { offsetTransform } from './individualTransforms';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import TransformParseError from '../TransformParseError/TransformParseError';
+
+// the CSS vector of `M`, rounded
+function vector(M) {
+    return M.cssVector.map(v => Math.round(v * 10000) / 10000);
+}
+
+// a stand-in for an SVGPathElement, for straight paths like "M 0 0 L 100 0"
+function createPath(data) {
+    const [x1, y1, x2, y2] = data.match(/-?\d+/g).map(Number);
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    return {
+        getTotalLength: () => length,
+        getPointAtLength: d => ({
+            x: x1 + ((x2 - x1) * d) / length,
+            y: y1 + ((y2 - y1) * d) / length,
+        }),
+    };
+}
+
+describe('individualTransform', () => {
+    const box = { width: 200, height: 100 };
+
+    it('Should convert the translate property', () => {
+        expect(vector(individualTransform({ translate: '10px 20px' }))).toEqual([1, 0, 0, 1, 10, 20]);
+        expect(vector(individualTransform({ translate: '50% calc(10% + 5px)' }, box)))
+            .toEqual([1, 0, 0, 1, 100, 15]);
+        const M = individualTransform({ translate: '10px 20px 30px' });
+        expect(M instanceof TransformMatrix3D).toBe(true);
+        expect(M.transformPoint(0, 0, 0)).toEqual({ x: 10, y: 20, z: 30 });
+    });
+
+    it('Should convert the rotate property', () => {
+        expect(vector(individualTransform({ rotate: '90deg' }))).toEqual([0, 1, -1, 0, 0, 0]);
+        expect(vector(individualTransform({ rotate: 'z 0.25turn' }))).toEqual([0, 1, -1, 0, 0, 0]);
+        expect(vector(individualTransform({ rotate: '90deg z' }))).toEqual([0, 1, -1, 0, 0, 0]);
+        expect(vector(individualTransform({ rotate: '0 0 1 90deg' }))).toEqual([0, 1, -1, 0, 0, 0]);
+        expect(individualTransform({ rotate: 'x 45deg' }) instanceof TransformMatrix3D).toBe(true);
+        expect(individualTransform({ rotate: '1 1 0 45deg' }) instanceof TransformMatrix3D)
+            .toBe(true);
+        expect(() => individualTransform({ rotate: 'x' })).toThrowError(TransformParseError);
+        expect(() => individualTransform({ rotate: '1 0 0' }))
+            .toThrow(jasmine.objectContaining({ code: 'INVALID_ARGUMENT' }));
+    });
+
+    it('Should convert the scale property', () => {
+        expect(vector(individualTransform({ scale: '2' }))).toEqual([2, 0, 0, 2, 0, 0]);
+        expect(vector(individualTransform({ scale: '2 3' }))).toEqual([2, 0, 0, 3, 0, 0]);
+        expect(vector(individualTransform({ scale: '200% 50%' }))).toEqual([2, 0, 0, 0.5, 0, 0]);
+        expect(individualTransform({ scale: '1 1 2' }) instanceof TransformMatrix3D).toBe(true);
+    });
+
+    it('Should apply translate, then rotate, then scale', () => {
+        const M = individualTransform({ scale: '2', rotate: '90deg', translate: '10px' });
+        const point = M.transformPoint(1, 0);
+        expect(point.x).toBeCloseTo(10, 10);
+        expect(point.y).toBeCloseTo(2, 10);
+    });
+
+    it('Should return null when there are no individual transforms', () => {
+        expect(individualTransform({})).toBe(null);
+        expect(individualTransform({ translate: 'none', rotate: 'none', scale: 'none' }))
+            .toBe(null);
+    });
+});
+
+describe('offsetTransform', () => {
+    const box = { width: 20, height: 20 };
+    const origin = { x: 10, y: 10 };
+
+    // maps a point in the border box of the element through its offset transform
+    function place(values, x, y) {
+        const M = offsetTransform(values, box, origin, createPath);
+        const point = M.aroundOrigin(origin.x, origin.y).transformPoint(x, y);
+        return [point.x, point.y].map(v => (Math.round(v * 10000) / 10000) || 0);
+    }
+
+    it('Should move the anchor point along the path', () => {
+        const offsetPath = 'path("M 0 0 L 100 0")';
+        expect(place({ offsetPath, offsetDistance: '50%' }, 10, 10)).toEqual([50, 0]);
+        expect(place({ offsetPath, offsetDistance: 'calc(10% + 5px)' }, 10, 10)).toEqual([15, 0]);
+        expect(place({ offsetPath, offsetAnchor: '0px 0px' }, 0, 0)).toEqual([0, 0]);
+        expect(place({ offsetPath, offsetAnchor: '100% 100%' }, 20, 20)).toEqual([0, 0]);
+    });
+
+    it('Should rotate the element to follow the path', () => {
+        const offsetPath = 'path("M 0 0 L 0 100")';
+        const offsetDistance = '50px';
+        expect(place({ offsetPath, offsetDistance }, 20, 10)).toEqual([0, 60]);
+        expect(place({ offsetPath, offsetDistance, offsetRotate: 'reverse' }, 20, 10))
+            .toEqual([0, 40]);
+        expect(place({ offsetPath, offsetDistance, offsetRotate: 'auto -90deg' }, 20, 10))
+            .toEqual([10, 50]);
+        expect(place({ offsetPath, offsetDistance, offsetRotate: '0deg' }, 20, 10))
+            .toEqual([10, 50]);
+    });
+
+    it('Should clamp distances on open paths and wrap them on closed paths', () => {
+        const values = { offsetDistance: '150px', offsetRotate: '0deg' };
+        expect(place(Object.assign({ offsetPath: 'path("M 0 0 L 100 0")' }, values), 10, 10))
+            .toEqual([100, 0]);
+        expect(place(Object.assign({ offsetPath: 'path("M 0 0 L 100 0 Z")' }, values), 10, 10))
+            .toEqual([50, 0]);
+    });
+
+    it('Should ignore offset paths other than path()', () => {
+        ['none', 'ray(45deg closest-side)', 'url(#path)', null].forEach(offsetPath => {
+            expect(offsetTransform({ offsetPath }, box, origin, createPath)).toBe(null);
+        });
+    });
+});
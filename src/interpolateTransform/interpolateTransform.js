@@ -0,0 +1,517 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D, { _compose } from '../TransformMatrix3D/TransformMatrix3D';
+import { invertArray } from '../matrixOperations/matrixOperations';
+import {
+    parseTransformList,
+    _values,
+    _referenceBox,
+    _unitContext,
+} from '../parseCss/parseCss';
+
+// Each transform function can be expressed as one of these primitives; these
+// are the argument values which make each primitive an identity transform.
+// The identity of rotate3d() keeps the axis of the function it replaces.
+const PRIMITIVES = {
+    translate: [0, 0],
+    translate3d: [0, 0, 0],
+    scale: [1, 1],
+    scale3d: [1, 1, 1],
+    rotate: [0],
+    rotate3d: [0, 0, 1, 0],
+    skew: [0, 0],
+    perspective: [Infinity],
+    matrix: [1, 0, 0, 1, 0, 0],
+    matrix3d: TransformMatrix3D.identity().cssVector,
+};
+
+// converts the arguments of 2D primitives into those of their 3D
+// counterparts, so that e.g. translate() can be interpolated with translate3d()
+const TO_3D = {
+    translate: ([x, y]) => [x, y, 0],
+    scale: ([x, y]) => [x, y, 1],
+    rotate: ([angle]) => [0, 0, 1, angle],
+    matrix: args => TransformMatrix3D.from2D(new TransformMatrix(...args)).cssVector,
+};
+
+/**
+ * Interpolates between two values of the CSS transform property in the same
+ * way that browsers do when running transitions and animations; see
+ * https://www.w3.org/TR/css-transforms-2/#interpolation-of-transforms
+ *
+ * When both values consist of the same transform functions in the same order
+ * (or one of them is `none`), each pair of functions is interpolated
+ * individually, so that e.g. "rotate(0deg)" and "rotate(360deg)" describe a
+ * full turn. Functions which share a primitive, like "translateX()" and
+ * "translate3d()", are converted into that primitive first. Otherwise, both
+ * values are converted into matrixes, which are decomposed and interpolated;
+ * see `interpolateMatrix()` and `interpolateMatrix3D()`. The same is done
+ * for pairs of matrix3d() and perspective() functions, and for rotate3d()
+ * functions around different axes.
+ *
+ * @export
+ * @param {String} from - CSS transform value, e.g. "rotate(45deg)" or "none"
+ * @param {String} to - CSS transform value
+ * @param {Number} progress - 0 returns `from`, 1 returns `to`; values
+ *  outside of this range extrapolate.
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox] - used
+ *  to resolve percentages in translate functions; see `parseCss()`.
+ * @param {Object|HTMLElement} [units] - used to resolve relative length
+ *  units; see `parseCss()`.
+ * @returns {TransformMatrix|TransformMatrix3D} a TransformMatrix, unless the
+ *  result is 3D
+ */
+export default function interpolateTransform(from, to, progress, referenceBox, units) {
+    const box = _referenceBox(referenceBox);
+    const context = _unitContext(units);
+    let fromList = parseTransformList(from).map(node => _toPrimitive(node, box, context));
+    let toList = parseTransformList(to).map(node => _toPrimitive(node, box, context));
+    if (fromList.length === 0) {
+        fromList = toList.map(_identityOf);
+    } else if (toList.length === 0) {
+        toList = fromList.map(_identityOf);
+    }
+
+    const pairs = fromList.length === toList.length ?
+        fromList.map((fromFn, i) => _match(fromFn, toList[i])) :
+        [null];
+    if (pairs.some(pair => pair == null)) {
+        return _interpolateMatrixes(
+            _composeAll(fromList.map(_toMatrix)),
+            _composeAll(toList.map(_toMatrix)),
+            progress
+        );
+    }
+
+    const matrixes = pairs.map(([fromFn, toFn]) => {
+        if (fromFn.name === 'matrix' || fromFn.name === 'matrix3d' ||
+            fromFn.name === 'perspective' ||
+            (fromFn.name === 'rotate3d' && !_isSameAxis(fromFn.args, toFn.args))) {
+            return _interpolateMatrixes(_toMatrix(fromFn), _toMatrix(toFn), progress);
+        }
+        const args = fromFn.args.map((a, j) => a + ((toFn.args[j] - a) * progress));
+        return _toMatrix({ name: fromFn.name, args });
+    });
+    return _composeAll(matrixes);
+}
+
+/**
+ * Interpolates between two TransformMatrixes by decomposing each of them into
+ * a translation, rotation, scale and skew (see `decomposeMatrix()`),
+ * interpolating each component, and recomposing the result.
+ *
+ * @export
+ * @param {TransformMatrix} from
+ * @param {TransformMatrix} to
+ * @param {Number} progress
+ * @returns {TransformMatrix}
+ */
+export function interpolateMatrix(from, to, progress) {
+    const a = decomposeMatrix(from);
+    const b = decomposeMatrix(to);
+
+    // If the matrixes were flipped along different axes, treat one of the
+    // flips as a rotation instead.
+    if ((a.scale[0] < 0 && b.scale[1] < 0) || (a.scale[1] < 0 && b.scale[0] < 0)) {
+        a.scale = a.scale.map(s => -1 * s);
+        a.angle += a.angle < 0 ? Math.PI : -1 * Math.PI;
+    }
+
+    // Don't rotate the long way around.
+    if (a.angle === 0) { a.angle = 2 * Math.PI; }
+    if (b.angle === 0) { b.angle = 2 * Math.PI; }
+    if (Math.abs(a.angle - b.angle) > Math.PI) {
+        if (a.angle > b.angle) {
+            a.angle -= 2 * Math.PI;
+        } else {
+            b.angle -= 2 * Math.PI;
+        }
+    }
+
+    const lerp = (x, y) => x + ((y - x) * progress);
+    return recomposeMatrix({
+        translate: a.translate.map((x, i) => lerp(x, b.translate[i])),
+        scale: a.scale.map((x, i) => lerp(x, b.scale[i])),
+        angle: lerp(a.angle, b.angle),
+        skew: a.skew.map((x, i) => lerp(x, b.skew[i])),
+    });
+}
+
+/**
+ * Decomposes a TransformMatrix into a translation, a rotation `angle`
+ * (radians), a `scale`, and the remaining 2x2 `skew` matrix (given in the
+ * CSS order [a, b, c, d]), such that
+ * matrix = translate * rotate(angle) * skew * scale.
+ *
+ * Based on the 2D "unmatrix" algorithm in the CSS Transforms specification.
+ *
+ * @export
+ * @param {TransformMatrix} matrix
+ * @returns {{translate: Array<Number>, scale: Array<Number>, angle: Number, skew: Array<Number>}}
+ */
+export function decomposeMatrix(matrix) {
+    const [a, b, c, d, e, f] = matrix.cssVector;
+    const scale = [Math.hypot(a, b), Math.hypot(c, d)];
+
+    // If the determinant is negative, one axis was flipped.
+    if ((a * d) - (b * c) < 0) {
+        if (a < d) {
+            scale[0] *= -1;
+        } else {
+            scale[1] *= -1;
+        }
+    }
+
+    // normalize each column of the linear transformation
+    const col0 = scale[0] ? [a / scale[0], b / scale[0]] : [a, b];
+    const col1 = scale[1] ? [c / scale[1], d / scale[1]] : [c, d];
+
+    // find the rotation, and remove it from the normalized columns
+    const angle = Math.atan2(col0[1], col0[0]);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const unrotate = ([x, y]) => [(cos * x) + (sin * y), (cos * y) - (sin * x)];
+
+    return {
+        translate: [e, f],
+        scale,
+        angle,
+        skew: [...unrotate(col0), ...unrotate(col1)],
+    };
+}
+
+/**
+ * The inverse of `decomposeMatrix()`.
+ *
+ * @export
+ * @param {Object} decomposed - as returned by `decomposeMatrix()`
+ * @returns {TransformMatrix}
+ */
+export function recomposeMatrix(decomposed) {
+    const { translate, scale, angle, skew } = decomposed;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const rotate = ([x, y]) => [(cos * x) - (sin * y), (sin * x) + (cos * y)];
+    const [a, b] = rotate([skew[0], skew[1]]).map(v => v * scale[0]);
+    const [c, d] = rotate([skew[2], skew[3]]).map(v => v * scale[1]);
+    return new TransformMatrix(a, b, c, d, translate[0], translate[1]);
+}
+
+/**
+ * Interpolates between two TransformMatrix3Ds by decomposing each of them
+ * into a translation, scale, skew, perspective and rotation quaternion (see
+ * `decomposeMatrix3D()`), interpolating each component (using spherical
+ * linear interpolation for the quaternions), and recomposing the result. If
+ * either matrix can't be decomposed, the result jumps from `from` to `to`
+ * halfway through, as in browsers.
+ *
+ * @export
+ * @param {TransformMatrix3D} from
+ * @param {TransformMatrix3D} to
+ * @param {Number} progress
+ * @returns {TransformMatrix3D}
+ */
+export function interpolateMatrix3D(from, to, progress) {
+    const a = decomposeMatrix3D(from);
+    const b = decomposeMatrix3D(to);
+    if (a == null || b == null) {
+        return progress < 0.5 ? from : to;
+    }
+
+    const lerp = (x, y) => x + ((y - x) * progress);
+    const lerpAll = key => a[key].map((x, i) => lerp(x, b[key][i]));
+    return recomposeMatrix3D({
+        translate: lerpAll('translate'),
+        scale: lerpAll('scale'),
+        skew: lerpAll('skew'),
+        perspective: lerpAll('perspective'),
+        quaternion: _slerp(a.quaternion, b.quaternion, progress),
+    });
+}
+
+/* eslint-disable max-len */
+/**
+ * Decomposes a TransformMatrix3D into a `translate` vector, a `scale`
+ * vector, the `skew` factors [xy, xz, yz], a `perspective` vector [x, y, z, w]
+ * and a rotation `quaternion` [x, y, z, w], such that
+ * matrix = perspective * translate * rotate * skew * scale.
+ * Returns null when the matrix can't be decomposed because it is singular.
+ *
+ * Based on the 3D "unmatrix" algorithm in the CSS Transforms specification;
+ * see https://www.w3.org/TR/css-transforms-2/#decomposing-a-3d-matrix
+ *
+ * @export
+ * @param {TransformMatrix3D} matrix
+ * @returns {?{translate: Array<Number>, scale: Array<Number>, skew: Array<Number>, perspective: Array<Number>, quaternion: Array<Number>}}
+ */
+/* eslint-enable max-len */
+export function decomposeMatrix3D(matrix) {
+    const rows = matrix.matrix;
+    const w = rows[3][3];
+    if (w === 0) { return null; }
+    const M = rows.map(row => row.map(v => v / w));
+
+    // the matrix without perspective must be invertible
+    const withoutPerspective = [M[0], M[1], M[2], [0, 0, 0, 1]];
+    const [c0, c1, c2] = [0, 1, 2].map(i => [M[0][i], M[1][i], M[2][i]]);
+    if (_dot(c0, _cross(c1, c2)) === 0) { return null; }
+
+    // M = P * N, where N is `withoutPerspective` and the bottom row of P is
+    // the perspective vector p, so p = (bottom row of M) * inverse(N)
+    let perspective = [0, 0, 0, 1];
+    if (M[3][0] !== 0 || M[3][1] !== 0 || M[3][2] !== 0) {
+        const inverse = invertArray(withoutPerspective);
+        perspective = [0, 1, 2, 3].map(j =>
+            M[3].reduce((sum, v, k) => sum + (v * inverse[k][j]), 0));
+    }
+    const translate = [M[0][3], M[1][3], M[2][3]];
+
+    // Gram-Schmidt orthogonalization of the columns, finding the scale and
+    // skew factors along the way
+    const scale = [0, 0, 0];
+    const skew = [0, 0, 0];
+    const col = [c0, c1, c2];
+    scale[0] = Math.hypot(...col[0]);
+    col[0] = _scaleVector(col[0], 1 / scale[0]);
+
+    skew[0] = _dot(col[0], col[1]);
+    col[1] = _combine(col[1], col[0], -1 * skew[0]);
+    scale[1] = Math.hypot(...col[1]);
+    col[1] = _scaleVector(col[1], 1 / scale[1]);
+    skew[0] /= scale[1];
+
+    skew[1] = _dot(col[0], col[2]);
+    col[2] = _combine(col[2], col[0], -1 * skew[1]);
+    skew[2] = _dot(col[1], col[2]);
+    col[2] = _combine(col[2], col[1], -1 * skew[2]);
+    scale[2] = Math.hypot(...col[2]);
+    col[2] = _scaleVector(col[2], 1 / scale[2]);
+    skew[1] /= scale[2];
+    skew[2] /= scale[2];
+
+    // the columns are now orthonormal; if they form a left-handed system,
+    // one axis was flipped
+    if (_dot(col[0], _cross(col[1], col[2])) < 0) {
+        [0, 1, 2].forEach(i => {
+            scale[i] *= -1;
+            col[i] = _scaleVector(col[i], -1);
+        });
+    }
+
+    // R[row][column] = col[column][row]
+    const R = [0, 1, 2].map(i => [col[0][i], col[1][i], col[2][i]]);
+    const quaternion = [
+        0.5 * Math.sqrt(Math.max(1 + R[0][0] - R[1][1] - R[2][2], 0)),
+        0.5 * Math.sqrt(Math.max(1 - R[0][0] + R[1][1] - R[2][2], 0)),
+        0.5 * Math.sqrt(Math.max(1 - R[0][0] - R[1][1] + R[2][2], 0)),
+        0.5 * Math.sqrt(Math.max(1 + R[0][0] + R[1][1] + R[2][2], 0)),
+    ];
+    if (R[2][1] < R[1][2]) { quaternion[0] *= -1; }
+    if (R[0][2] < R[2][0]) { quaternion[1] *= -1; }
+    if (R[1][0] < R[0][1]) { quaternion[2] *= -1; }
+
+    return { translate, scale, skew, perspective, quaternion };
+}
+
+/**
+ * The inverse of `decomposeMatrix3D()`.
+ *
+ * @export
+ * @param {Object} decomposed - as returned by `decomposeMatrix3D()`
+ * @returns {TransformMatrix3D}
+ */
+export function recomposeMatrix3D(decomposed) {
+    const { translate, scale, skew, perspective, quaternion } = decomposed;
+    const [x, y, z, w] = quaternion;
+    const P = TransformMatrix3D.fromArray([
+        [1, 0, 0, 0],
+        [0, 1, 0, 0],
+        [0, 0, 1, 0],
+        perspective,
+    ]);
+    const rotate = TransformMatrix3D.fromArray([
+        [1 - (2 * ((y * y) + (z * z))), 2 * ((x * y) - (z * w)), 2 * ((x * z) + (y * w)), 0],
+        [2 * ((x * y) + (z * w)), 1 - (2 * ((x * x) + (z * z))), 2 * ((y * z) - (x * w)), 0],
+        [2 * ((x * z) - (y * w)), 2 * ((y * z) + (x * w)), 1 - (2 * ((x * x) + (y * y))), 0],
+        [0, 0, 0, 1],
+    ]);
+    const shear = TransformMatrix3D.fromArray([
+        [1, skew[0], skew[1], 0],
+        [0, 1, skew[2], 0],
+        [0, 0, 1, 0],
+        [0, 0, 0, 1],
+    ]);
+    return TransformMatrix3D.compose([
+        P,
+        TransformMatrix3D.fromTranslation(...translate),
+        rotate,
+        shear,
+        TransformMatrix3D.fromScale(...scale),
+    ]);
+}
+
+/**
+ * Converts a transform function node (see `parseTransformList()`) into a
+ * primitive transform function, e.g. "translateX(3px)" becomes
+ * { name: 'translate', args: [3, 0] }, and "rotateY(1rad)" becomes
+ * { name: 'rotate3d', args: [0, 1, 0, 1] }.
+ *
+ * @param {{name: String, args: Array<Object>}} node
+ * @param {{width: Number, height: Number}|null} box
+ * @param {Object} units - as returned by `_unitContext()`
+ * @returns {{name: String, args: Array<Number>}}
+ */
+function _toPrimitive(node, box, units) {
+    const { width, height } = box || {};
+    const values = sizes => _values(node, sizes, units);
+    switch (node.name) {
+        case 'translate': {
+            const [x, y = 0] = values([width, height]);
+            return { name: 'translate', args: [x, y] };
+        }
+        case 'translatex':
+            return { name: 'translate', args: [values([width])[0], 0] };
+        case 'translatey':
+            return { name: 'translate', args: [0, values([height])[0]] };
+        case 'translatez':
+            return { name: 'translate3d', args: [0, 0, values()[0]] };
+        case 'translate3d':
+            return { name: 'translate3d', args: values([width, height]) };
+        case 'scale': {
+            const [x, y = x] = values();
+            return { name: 'scale', args: [x, y] };
+        }
+        case 'scalex':
+            return { name: 'scale', args: [values()[0], 1] };
+        case 'scaley':
+            return { name: 'scale', args: [1, values()[0]] };
+        case 'scalez':
+            return { name: 'scale3d', args: [1, 1, values()[0]] };
+        case 'rotate':
+        case 'rotatez':
+            return { name: 'rotate', args: values() };
+        case 'rotatex':
+            return { name: 'rotate3d', args: [1, 0, 0, values()[0]] };
+        case 'rotatey':
+            return { name: 'rotate3d', args: [0, 1, 0, values()[0]] };
+        case 'skew': {
+            const [x, y = 0] = values();
+            return { name: 'skew', args: [x, y] };
+        }
+        case 'skewx':
+            return { name: 'skew', args: [values()[0], 0] };
+        case 'skewy':
+            return { name: 'skew', args: [0, values()[0]] };
+        case 'perspective':
+            return {
+                name: 'perspective',
+                args: node.args[0].type === 'keyword' ? [Infinity] : values(),
+            };
+        default:
+            // matrix, matrix3d, scale3d and rotate3d are primitives
+            return { name: node.name, args: values() };
+    }
+}
+
+// Returns the pair of primitives `from` and `to`, converted into a common
+// primitive if necessary, or null if they can't be interpolated individually.
+function _match(from, to) {
+    if (from.name === to.name) {
+        return [from, to];
+    } else if (`${from.name}3d` === to.name) {
+        return [_to3D(from), to];
+    } else if (`${to.name}3d` === from.name) {
+        return [from, _to3D(to)];
+    }
+    return null;
+}
+
+function _to3D(fn) {
+    return { name: `${fn.name}3d`, args: TO_3D[fn.name](fn.args) };
+}
+
+function _identityOf(fn) {
+    if (fn.name === 'rotate3d') {
+        return { name: fn.name, args: [...fn.args.slice(0, 3), 0] };
+    }
+    return { name: fn.name, args: [].concat(PRIMITIVES[fn.name]) };
+}
+
+// `true` when the rotate3d() arguments `a` and `b` have the same direction
+function _isSameAxis(a, b) {
+    const normalize = v => _scaleVector(v, 1 / (Math.hypot(...v) || 1));
+    const [u, v] = [normalize(a.slice(0, 3)), normalize(b.slice(0, 3))];
+    return u.every((value, i) => Math.abs(value - v[i]) < 1e-12);
+}
+
+function _toMatrix(fn) {
+    const [x, y] = fn.args;
+    switch (fn.name) {
+        case 'translate':
+            return TransformMatrix.fromTranslation(x, y);
+        case 'translate3d':
+            return _compose([TransformMatrix3D.fromTranslation(...fn.args)]);
+        case 'scale':
+            return TransformMatrix.fromScale(x, y);
+        case 'scale3d':
+            return _compose([TransformMatrix3D.fromScale(...fn.args)]);
+        case 'rotate':
+            return TransformMatrix.fromRotate(x);
+        case 'rotate3d':
+            return _compose([TransformMatrix3D.fromRotate3d(...fn.args)]);
+        case 'skew':
+            return TransformMatrix.fromSkewBoth(x, y);
+        case 'perspective':
+            return TransformMatrix3D.fromPerspective(x);
+        case 'matrix3d':
+            return _compose([new TransformMatrix3D(...fn.args)]);
+        default:
+            return new TransformMatrix(...fn.args);
+    }
+}
+
+function _composeAll(matrixes) {
+    return matrixes.length > 0 ? _compose(matrixes) : TransformMatrix.identity();
+}
+
+// interpolates 2D matrixes in 2D, and others in 3D
+function _interpolateMatrixes(from, to, progress) {
+    if (from instanceof TransformMatrix && to instanceof TransformMatrix) {
+        return interpolateMatrix(from, to, progress);
+    }
+    return _compose([interpolateMatrix3D(
+        TransformMatrix3D.from2D(from),
+        TransformMatrix3D.from2D(to),
+        progress
+    )]);
+}
+
+// spherical linear interpolation between the unit quaternions `a` and `b`
+function _slerp(a, b, progress) {
+    const product = Math.min(Math.max(_dot(a, b), -1), 1);
+    if (Math.abs(product) === 1) { return [].concat(a); }
+    const theta = Math.acos(product);
+    const w = Math.sin(progress * theta) / Math.sqrt(1 - (product * product));
+    const scaleA = Math.cos(progress * theta) - (product * w);
+    return a.map((value, i) => (value * scaleA) + (b[i] * w));
+}
+
+function _dot(u, v) {
+    return u.reduce((sum, value, i) => sum + (value * v[i]), 0);
+}
+
+function _cross(u, v) {
+    return [
+        (u[1] * v[2]) - (u[2] * v[1]),
+        (u[2] * v[0]) - (u[0] * v[2]),
+        (u[0] * v[1]) - (u[1] * v[0]),
+    ];
+}
+
+function _scaleVector(v, factor) {
+    return v.map(value => value * factor);
+}
+
+// u + (factor * v)
+function _combine(u, v, factor) {
+    return u.map((value, i) => value + (factor * v[i]));
+}
@@ -0,0 +1,203 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import parseCss from '../parseCss/parseCss';
+import interpolateTransform, {
+    interpolateMatrix,
+    decomposeMatrix,
+    recomposeMatrix,
+    interpolateMatrix3D,
+    decomposeMatrix3D,
+    recomposeMatrix3D,
+} from './interpolateTransform';
+
+describe('interpolateTransform', () => {
+    describe('interpolateTransform', () => {
+        it('Should interpolate matching transform functions individually', () => {
+            expectMatrix(
+                interpolateTransform('rotate(0deg)', 'rotate(360deg)', 0.25),
+                TransformMatrix.fromRotate(Math.PI / 2)
+            );
+            expectMatrix(
+                interpolateTransform('translate(0px, 10px) scale(1)', 'translate(100px, 20px) scale(3)', 0.5),
+                TransformMatrix.compose([
+                    TransformMatrix.fromTranslation(50, 15),
+                    TransformMatrix.fromScale(2, 2),
+                ])
+            );
+        });
+
+        it('Should treat translateX/translateY as translate()', () => {
+            expectMatrix(
+                interpolateTransform('translateX(10px)', 'translate(20px, 20px)', 0.5),
+                TransformMatrix.fromTranslation(15, 10)
+            );
+        });
+
+        it('Should resolve percentages against the reference box', () => {
+            expectMatrix(
+                interpolateTransform('translate(-50%, 0px)', 'translateY(100%)', 0.5, {
+                    width: 100,
+                    height: 20,
+                }),
+                TransformMatrix.fromTranslation(-25, 10)
+            );
+        });
+
+        it('Should interpolate from and to `none`', () => {
+            expectMatrix(
+                interpolateTransform('none', 'scale(3) translateY(10px)', 0.5),
+                TransformMatrix.compose([
+                    TransformMatrix.fromScale(2, 2),
+                    TransformMatrix.fromTranslation(0, 5),
+                ])
+            );
+            expectMatrix(
+                interpolateTransform('skewX(1rad)', 'none', 1),
+                TransformMatrix.identity()
+            );
+        });
+
+        it('Should fall back to matrix interpolation for mismatched functions', () => {
+            expectMatrix(
+                interpolateTransform('scale(2)', 'rotate(90deg) scale(2)', 0.5),
+                TransformMatrix.compose([
+                    TransformMatrix.fromRotate(Math.PI / 4),
+                    TransformMatrix.fromScale(2, 2),
+                ])
+            );
+        });
+
+        it('Should interpolate 3D transform functions individually', () => {
+            expectMatrix(
+                interpolateTransform('rotateX(0deg)', 'rotateX(360deg)', 0.25),
+                composeCss('rotateX(90deg)')
+            );
+            expectMatrix(
+                interpolateTransform('none', 'perspective(100px) translateZ(20px)', 1),
+                composeCss('perspective(100px) translateZ(20px)')
+            );
+            expectMatrix(
+                interpolateTransform('scale3d(1, 1, 1)', 'scale3d(3, 2, 5)', 0.5),
+                TransformMatrix3D.fromScale(2, 1.5, 3)
+            );
+        });
+
+        it('Should convert 2D functions into their 3D counterparts', () => {
+            expectMatrix(
+                interpolateTransform('translate(10px, 20px)', 'translateZ(30px)', 0.5),
+                TransformMatrix3D.fromTranslation(5, 10, 15)
+            );
+            expectMatrix(
+                interpolateTransform('rotate(0deg)', 'rotate3d(0, 0, 1, 360deg)', 0.25),
+                TransformMatrix.fromRotate(Math.PI / 2)
+            );
+        });
+
+        it('Should interpolate rotations around different axes as matrixes', () => {
+            // halfway between the quaternions of the two rotations
+            const axis = [1, 1, 0];
+            const angle = 2 * Math.acos(Math.sqrt(2 / 3));
+            expectMatrix(
+                interpolateTransform('rotateX(90deg)', 'rotateY(90deg)', 0.5),
+                TransformMatrix3D.fromRotate3d(...axis, angle)
+            );
+        });
+
+        it('Should fall back to 3D matrix interpolation for mismatched functions', () => {
+            const from = 'rotateX(90deg) scale(2)';
+            const to = 'scale(2) translateZ(10px)';
+            expectMatrix(interpolateTransform(from, to, 0), composeCss(from));
+            expectMatrix(interpolateTransform(from, to, 1), composeCss(to));
+        });
+
+        it('Should return a TransformMatrix for 2D results', () => {
+            expect(interpolateTransform('rotateX(0deg)', 'rotateX(90deg)', 0) instanceof TransformMatrix)
+                .toBe(true);
+        });
+
+        it('Should throw an error for invalid transforms', () => {
+            expect(() => interpolateTransform('foo(1)', 'none', 0.5)).toThrow();
+            expect(() => interpolateTransform('translateX(1px, 2px)', 'none', 0.5)).toThrow();
+            expect(() => interpolateTransform('none', 'scale(1) rotateX(1px)', 0.5))
+                .toThrow(jasmine.objectContaining({ code: 'INVALID_ARGUMENT', offset: 17 }));
+        });
+    });
+
+    describe('decomposeMatrix', () => {
+        it('Should recompose the original matrix', () => {
+            const matrixes = [
+                new TransformMatrix(1, 2, 3, 4, 5, 6),
+                new TransformMatrix(-1, 0, 0, 1, 0, 0),
+                TransformMatrix.fromRotate(2),
+                TransformMatrix.fromSkewBoth(0.3, -0.2),
+            ];
+            matrixes.forEach(M => {
+                expectMatrix(recomposeMatrix(decomposeMatrix(M)), M);
+            });
+        });
+    });
+
+    describe('decomposeMatrix3D', () => {
+        it('Should recompose the original matrix', () => {
+            [
+                'rotateY(-70deg) translate3d(1px, 2px, 3px)',
+                'rotate3d(1, 2, 3, 40deg) scale3d(2, -1, 3)',
+                'perspective(200px) rotateX(10deg) skew(10deg, 5deg)',
+                'matrix3d(1, 0, 0, 0.001, 0, 1, 0, 0.002, 0, 0, 1, 0, 5, 6, 7, 1)',
+            ].forEach(str => {
+                const M = TransformMatrix3D.compose(parseCss(str));
+                expectMatrix(recomposeMatrix3D(decomposeMatrix3D(M)), M);
+            });
+        });
+
+        it('Should return null for singular matrixes', () => {
+            expect(decomposeMatrix3D(TransformMatrix3D.fromScale(1, 1, 0))).toBe(null);
+        });
+    });
+
+    describe('interpolateMatrix3D', () => {
+        it('Should return the endpoints at 0 and 1', () => {
+            const from = TransformMatrix3D.compose(parseCss('perspective(50px) rotateY(30deg)'));
+            const to = TransformMatrix3D.fromTranslation(10, 0, -20);
+            expectMatrix(interpolateMatrix3D(from, to, 0), from);
+            expectMatrix(interpolateMatrix3D(from, to, 1), to);
+        });
+
+        it('Should switch between matrixes which can\'t be decomposed halfway', () => {
+            const from = TransformMatrix3D.fromScale(1, 1, 0);
+            const to = TransformMatrix3D.fromTranslation(0, 0, 5);
+            expect(interpolateMatrix3D(from, to, 0.4)).toBe(from);
+            expect(interpolateMatrix3D(from, to, 0.5)).toBe(to);
+        });
+    });
+
+    describe('interpolateMatrix', () => {
+        it('Should rotate the short way around', () => {
+            const from = TransformMatrix.fromRotate(Math.PI * 0.9);
+            const to = TransformMatrix.fromRotate(Math.PI * -0.9);
+            expectMatrix(
+                interpolateMatrix(from, to, 0.5),
+                TransformMatrix.fromRotate(Math.PI)
+            );
+        });
+
+        it('Should return the endpoints at 0 and 1', () => {
+            const from = new TransformMatrix(1, 2, 3, 4, 5, 6);
+            const to = TransformMatrix.fromSkewX(0.5);
+            expectMatrix(interpolateMatrix(from, to, 0), from);
+            expectMatrix(interpolateMatrix(from, to, 1), to);
+        });
+    });
+
+    function composeCss(str) {
+        return TransformMatrix3D.compose(parseCss(str));
+    }
+
+    // compares matrixes as 3D, so that 2D and 3D matrixes may be compared
+    function expectMatrix(actual, expected) {
+        const e = TransformMatrix3D.from2D(expected).cssVector;
+        TransformMatrix3D.from2D(actual).cssVector.forEach((value, i) => {
+            expect(value).toBeCloseTo(e[i], 6);
+        });
+    }
+});
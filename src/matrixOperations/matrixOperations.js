@@ -51,80 +51,71 @@ export function dotProduct(matrix1, matrix2) {
  * so that we can take coordinates in the transformed space and
  * find their original values.
  *
- * Uses Gauss-Jordan elimination; algorithm thanks to
- * http://blog.acipo.com/matrix-inversion-in-javascript/
+ * Uses Gauss-Jordan elimination with partial pivoting (see `invertArray()`),
+ * so that matrixes with tiny values on the diagonal, such as rotations by
+ * 90deg, are inverted accurately.
  * @param {TransformMatrix} matrix1
  * @return {TransformMatrix}
  */
 export function invert(matrix1) {
-    const C = matrix1.matrix;
-    const I = TransformMatrix.identity().matrix;
+    return TransformMatrix.fromArray(invertArray(matrix1.matrix));
+}
 
-    // Perform elementary row operations
-    for (let i = 0; i < 3; i++) {
-        // get the element e on the diagonal
-        let ii;
-        let j;
-        let e = C[i][i];
+/**
+ * Multiply two square matrixes of the same size, each given as an Array of
+ * rows.
+ *
+ * @export
+ * @param {Array<Array<Number>>} A
+ * @param {Array<Array<Number>>} B
+ * @returns {Array<Array<Number>>}
+ */
+export function multiplyArrays(A, B) {
+    return A.map(row =>
+        B[0].map((_, j) =>
+            row.reduce(((sum, a, k) => sum + (a * B[k][j])), 0)
+        )
+    );
+}
+
+/**
+ * Find the inverse of a square matrix of any size, given as an Array of rows,
+ * using Gauss-Jordan elimination with partial pivoting.
+ *
+ * @export
+ * @param {Array<Array<Number>>} A
+ * @returns {Array<Array<Number>>}
+ */
+export function invertArray(A) {
+    const n = A.length;
+    const C = A.map(row => [].concat(row));
+    const I = A.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
 
-        // if we have a 0 on the diagonal (we'll need to swap with a lower
-        // row)
-        if (e === 0) {
-            // look through every row below the i'th row
-            let asc;
-            let start;
-            for (start = i + 1, ii = start, asc = start <= 3;
-                asc ? ii < 3 : ii > 3;
-                asc ? ii++ : ii--) {
-                // if the ii'th row has a non-0 in the i'th col
-                if (C[ii][i] !== 0) {
-                    // it would make the diagonal have a non-0 so swap it
-                    for (j = 0; j < 3; j++) {
-                        e = C[i][j];        // temp store i'th row
-                        C[i][j] = C[ii][j]; // replace i'th row by ii'th
-                        C[ii][j] = e;       // repace ii'th by temp
-                        e = I[i][j];        // temp store i'th row
-                        I[i][j] = I[ii][j]; // replace i'th row by ii'th
-                        I[ii][j] = e;
-                    } // repace ii'th by temp
-                    // don't bother checking other rows since we've swapped
-                    break;
-                }
+    for (let i = 0; i < n; i++) {
+        // use the row with the largest value in this column as the pivot
+        let pivot = i;
+        for (let ii = i + 1; ii < n; ii++) {
+            if (Math.abs(C[ii][i]) > Math.abs(C[pivot][i])) {
+                pivot = ii;
             }
-            // get the new diagonal
-            e = C[i][i];
-            // if it's still 0, not invertable (error). I think all 2D
-            // transforms are invertible?
-            if (e === 0) { throw new Error('matrix not invertible'); }
         }
+        if (C[pivot][i] === 0) { throw new Error('matrix not invertible'); }
+        [C[i], C[pivot]] = [C[pivot], C[i]];
+        [I[i], I[pivot]] = [I[pivot], I[i]];
 
-        // Scale this row down by e (so we have a 1 on the diagonal)
-        for (j = 0; j < 3; j++) {
-            C[i][j] = C[i][j] / e; // apply to original matrix
-            I[i][j] = I[i][j] / e;
-        } // apply to identity
-
-        // Subtract this row (scaled appropriately for each row) from ALL of
-        // the other rows so that there will be 0's in this column in the
-        // rows above and below this one
-        for (ii = 0; ii < 3; ii++) {
-            // Only apply to other rows (we want a 1 on the diagonal)
+        const e = C[i][i];
+        for (let j = 0; j < n; j++) {
+            C[i][j] /= e;
+            I[i][j] /= e;
+        }
+        for (let ii = 0; ii < n; ii++) {
             if (ii === i) { continue; }
-
-            // We want to change this element to 0
-            e = C[ii][i];
-
-            // Subtract (the row above(or below) scaled by e) from (the
-            // current row) but start at the i'th column and assume all the
-            // stuff left of diagonal is 0
-            for (j = 0; j < 3; j++) {
-                C[ii][j] -= e * C[i][j]; // apply to original matrix
-                I[ii][j] -= e * I[i][j];
+            const f = C[ii][i];
+            for (let j = 0; j < n; j++) {
+                C[ii][j] -= f * C[i][j];
+                I[ii][j] -= f * I[i][j];
             }
         }
-    } // apply to identity
-
-    // we've done all operations, C should be the identity
-    // matrix I should be the inverse
-    return TransformMatrix.fromArray(I);
+    }
+    return I;
 }
@@ -1,4 +1,10 @@
-import { matrixVectorProduct, dotProduct, invert } from './matrixOperations';
+import {
+    matrixVectorProduct,
+    dotProduct,
+    invert,
+    multiplyArrays,
+    invertArray,
+} from './matrixOperations';
 import TransformMatrix from '../TransformMatrix/TransformMatrix';
 
 describe('matrixVectorProduct', () => {
@@ -70,7 +76,45 @@ describe('invert', () => {
         }
     });
 
+    it('Should pivot on tiny values on the diagonal', () => {
+        const M = new TransformMatrix(Math.cos(Math.PI / 2) * 2, 2, -2, Math.cos(Math.PI / 2) * 2,
+            -115, -75);
+        const r = invert(M).cssVector;
+        const e = [0, -0.5, 0.5, 0, 37.5, -57.5];
+        r.forEach((rslt, i) => expect(rslt).toBeCloseTo(e[i], 6));
+    });
+
     it('Should throw an error when the matrix is not invertible', () => {
         expect(() => invert(M2)).toThrowError();
     });
 });
+
+describe('multiplyArrays', () => {
+    it('Should multiply square matrixes of any size', () => {
+        expect(multiplyArrays([[1, 2], [3, 4]], [[5, 6], [7, 8]])).toEqual([[19, 22], [43, 50]]);
+        const I = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+        const M = [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12], [13, 14, 15, 16]];
+        expect(multiplyArrays(I, M)).toEqual(M);
+        expect(multiplyArrays(M, I)).toEqual(M);
+    });
+});
+
+describe('invertArray', () => {
+    it('Should calculate the inverse of an invertible matrix', () => {
+        const M = [[0, 2, 0, 1], [1, 0, 0, 0], [0, 0, 4, 0], [0, 0, -0.25, 1]];
+        const product = multiplyArrays(M, invertArray(M));
+        product.forEach((row, i) => {
+            row.forEach((v, j) => expect(v).toBeCloseTo(i === j ? 1 : 0, 10));
+        });
+    });
+
+    it('Should not modify its input', () => {
+        const M = [[2, 0], [0, 4]];
+        expect(invertArray(M)).toEqual([[0.5, 0], [0, 0.25]]);
+        expect(M).toEqual([[2, 0], [0, 4]]);
+    });
+
+    it('Should throw an error when the matrix is not invertible', () => {
+        expect(() => invertArray([[1, 2], [2, 4]])).toThrowError();
+    });
+});
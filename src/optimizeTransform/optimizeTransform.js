@@ -0,0 +1,201 @@
+import parseCss, { parseTransformList, _parseFunctions, _isRelative } from '../parseCss/parseCss';
+import serializeTransformList from '../serializeTransform/serializeTransform';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import TransformParseError from '../TransformParseError/TransformParseError';
+import tokenizeCss from '../tokenizeCss/tokenizeCss';
+
+// the types of 2D functions which can be merged with an adjacent function of
+// the same type, e.g. "translate(10px) translate(5px, 0)" is "translate(15px)"
+const MERGEABLE_TYPES = ['translate', 'scale', 'rotate', 'skewX', 'skewY'];
+
+const DEFAULT_TOLERANCE = 1e-5;
+
+// the codes of errors thrown when a transform can't be evaluated without
+// knowing more about the element it is applied to
+const CONTEXT_ERRORS = [
+    'PERCENTAGE_REQUIRES_REFERENCE_BOX', 'VIEWPORT_SIZE_REQUIRED', 'UNDEFINED_VARIABLE',
+];
+
+/**
+ * Rewrites a CSS transform as the shortest equivalent string that can be
+ * found, e.g. "translate(10px) translate(5px, 0) rotate(0deg) scale(1)"
+ * becomes "translate(15px)".
+ *
+ * Functions whose values depend on the element they are applied to, i.e.
+ * those using percentages of lengths, relative units like em or vw, or
+ * `var()` references (see `_isRelative()`), are kept as written. Each run of
+ * the other functions between them is parsed into matrixes (see
+ * `parseCss()`); identity transforms are dropped, and adjacent functions of
+ * the same type (translate, scale, rotate, skewX or skewY), or adjacent 3D
+ * functions, are merged using `compose()`. Each run is replaced by the
+ * shortest of the serialized list (see `serializeTransformList()`), the
+ * single function equivalent to the whole run, the original functions
+ * without the identities (which keeps functions like "perspective()" that
+ * are otherwise serialized as "matrix3d()"), and the run itself.
+ *
+ * The result is guaranteed to be visually identical to `str`: the values of
+ * the composite matrix of each run are each within `options.tolerance`
+ * (1e-5 by default) of those of the original run. When `str` can be
+ * evaluated using `options.referenceBox`, `options.units` and
+ * `options.variables` (see `parseCss()`), the composite matrix of the whole
+ * result is checked in the same way. Rounding (see `options.precision`) may
+ * prevent a shorter string from meeting this guarantee, in which case a
+ * longer one is returned, or `str` itself if nothing else will do.
+ *
+ * @export
+ * @param {String} str
+ * @param {Object} [options] - `referenceBox`, `units` and `variables` (see
+ *   `parseCss()`), `precision` and `angleUnit` (see
+ *   `serializeTransformList()`), and `tolerance`.
+ * @returns {String}
+ */
+export default function optimizeTransform(str, options = {}) {
+    const tolerance = options.tolerance == null ? DEFAULT_TOLERANCE : options.tolerance;
+    const segments = [];
+    let run = [];
+    const flush = () => {
+        if (run.length > 0) {
+            segments.push(_optimizeRun(run.join(' '), options, tolerance));
+        }
+        run = [];
+    };
+    _functions(str).forEach(({ text, isRelative }) => {
+        if (isRelative) {
+            flush();
+            segments.push(text);
+        } else {
+            run.push(text);
+        }
+    });
+    flush();
+
+    const kept = segments.filter(segment => segment !== 'none');
+    const result = kept.length > 0 ? kept.join(' ') : 'none';
+    const target = _evaluate(str, options);
+    if (result.length >= str.trim().length ||
+        (target != null && !_isEquivalent(result, target, tolerance, options))) {
+        return str.trim();
+    }
+    return result;
+}
+
+// Returns the text of each function in `str`, and whether its value depends
+// on the element it is applied to. Functions which don't use `var()` are
+// validated as in `parseTransformList()`.
+function _functions(str) {
+    if (str.trim().toLowerCase() === 'none') { return []; }
+    let end = 0;
+    return _parseFunctions(str).map(text => {
+        const offset = str.indexOf(text, end);
+        end = offset + text.length;
+        const hasVar = tokenizeCss(text)
+            .some(token => token.type === 'function' && token.value.toLowerCase() === 'var');
+        if (hasVar) {
+            return { text, isRelative: true };
+        }
+        try {
+            return { text, isRelative: _isRelative(parseTransformList(text)[0]) };
+        } catch (err) {
+            // errors give offsets in `text`; make them relative to `str`
+            if (err instanceof TransformParseError && err.offset != null) {
+                err.offset += offset;
+                err.withDetails({});
+            }
+            throw err;
+        }
+    });
+}
+
+// the shortest string equivalent to the functions `run`, none of which are
+// relative; see `optimizeTransform()`
+function _optimizeRun(run, options, tolerance) {
+    const serializeOptions = { precision: options.precision, angleUnit: options.angleUnit };
+    const matrixes = parseCss(run, options.referenceBox, options.units, options.variables);
+    const target = TransformMatrix3D.compose(matrixes);
+    const merged = _merge(matrixes, tolerance);
+
+    const functions = parseTransformList(run, options.variables)
+        .filter((fn, i) => !_isIdentity(matrixes[i], tolerance));
+
+    const candidates = [serializeTransformList(merged, serializeOptions)];
+    if (merged.length > 1) {
+        candidates.push(_simplify(target).toCss(serializeOptions));
+    }
+    candidates.push(serializeTransformList(functions, serializeOptions), run);
+    const equivalent = candidates
+        .filter(candidate => _isEquivalent(candidate, target, tolerance, options))
+        .sort((a, b) => a.length - b.length);
+    return equivalent.length > 0 ? equivalent[0] : run;
+}
+
+// the composite matrix of `str`, or null if it can't be evaluated without
+// knowing more about the element it is applied to
+function _evaluate(str, options) {
+    try {
+        return TransformMatrix3D.compose(
+            parseCss(str, options.referenceBox, options.units, options.variables));
+    } catch (err) {
+        if (err instanceof TransformParseError && CONTEXT_ERRORS.indexOf(err.code) !== -1) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+// `true` when the transform `str` is close to the matrix `target`, using the
+// same reference box, units and variables
+function _isEquivalent(str, target, tolerance, options) {
+    let matrixes;
+    try {
+        matrixes = parseCss(str, options.referenceBox, options.units, options.variables);
+    } catch (err) {
+        return false;
+    }
+    return _isClose(TransformMatrix3D.compose(matrixes), target, tolerance);
+}
+
+/**
+ * Removes identity transforms from the list `matrixes`, and merges adjacent
+ * transforms which can be expressed as a single function.
+ *
+ * @param {Array<TransformMatrix|TransformMatrix3D>} matrixes
+ * @param {Number} tolerance
+ * @returns {Array<TransformMatrix|TransformMatrix3D>}
+ */
+function _merge(matrixes, tolerance) {
+    return matrixes.reduce((list, M) => {
+        const prev = list[list.length - 1];
+        if (prev != null && _isMergeable(prev, M)) {
+            list.pop();
+            const product = prev instanceof TransformMatrix3D ?
+                _simplify(TransformMatrix3D.compose([prev, M])) :
+                TransformMatrix.compose([prev, M]);
+            return _isIdentity(product, tolerance) ? list : list.concat(product);
+        }
+        return _isIdentity(M, tolerance) ? list : list.concat(M);
+    }, []);
+}
+
+// 3D functions are all serialized as matrix3d(), so any two may be merged
+function _isMergeable(M1, M2) {
+    if (M1 instanceof TransformMatrix3D && M2 instanceof TransformMatrix3D) {
+        return true;
+    }
+    return M1.type === M2.type && MERGEABLE_TYPES.indexOf(M1.type) !== -1;
+}
+
+function _isIdentity(M, tolerance) {
+    return M.isIdentity() || _isClose(M, TransformMatrix3D.identity(), tolerance);
+}
+
+// `true` when each value of M1 is within `tolerance` of that of M2
+function _isClose(M1, M2, tolerance) {
+    const v2 = TransformMatrix3D.from2D(M2).cssVector;
+    return TransformMatrix3D.from2D(M1).cssVector
+        .every((v, i) => Math.abs(v - v2[i]) <= tolerance);
+}
+
+function _simplify(M) {
+    return M.is2D ? M.to2D() : M;
+}
@@ -0,0 +1,66 @@
+import optimizeTransform from './optimizeTransform';
+import parseCss from '../parseCss/parseCss';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+
+describe('optimizeTransform', () => {
+    it('Should merge adjacent functions of the same type and drop identities', () => {
+        expect(optimizeTransform('translate(10px) translate(5px, 0) rotate(0deg) scale(1)'))
+            .toBe('translate(15px)');
+        expect(optimizeTransform('rotate(30deg) rotate(60deg)')).toBe('rotate(90deg)');
+        expect(optimizeTransform('skewX(10deg) skewX(5deg)')).toBe('skewX(14.778803deg)');
+        expect(optimizeTransform('scale(2) scale(0.5) translate(1px)')).toBe('translate(1px)');
+        expect(optimizeTransform('rotate(180deg) rotate(180deg)')).toBe('none');
+        expect(optimizeTransform('none')).toBe('none');
+    });
+
+    it('Should use a single function when it is shorter', () => {
+        expect(optimizeTransform('translate(10px, 5px) scale(2) translate(3px)'))
+            .toBe('matrix(2, 0, 0, 2, 16, 5)');
+        expect(optimizeTransform('translate(10px) rotate(45deg)')).toBe('translate(10px) rotate(45deg)');
+    });
+
+    it('Should keep readable 3D functions', () => {
+        expect(optimizeTransform('perspective(100px) rotateX(30deg) rotateY(0deg) translateZ(0)'))
+            .toBe('perspective(100px) rotateX(30deg)');
+    });
+
+    it('Should keep percentages, relative units and variables as written', () => {
+        expect(optimizeTransform('translate(-50%, -50%) rotate(0deg)')).toBe('translate(-50%, -50%)');
+        expect(optimizeTransform('translate(1em) translate(var(--x)) translate(calc(50% + 2px))'))
+            .toBe('translate(1em) translate(var(--x)) translate(calc(50% + 2px))');
+        expect(optimizeTransform('scale(50%) translate(2px) translate(3px) translate(1vw)'))
+            .toBe('scale(0.5) translate(5px) translate(1vw)');
+
+        const options = {
+            referenceBox: { width: 100, height: 10 },
+            units: { fontSize: 20 },
+            variables: { '--x': '1em' },
+        };
+        expect(optimizeTransform('translate(50%) translate(var(--x))', options))
+            .toBe('translate(50%) translate(var(--x))');
+        expect(optimizeTransform('translate(1px) translate(1px) translate(1em) rotate(0deg)', options))
+            .toBe('translate(2px) translate(1em)');
+    });
+
+    it('Should report errors at their offset in the string', () => {
+        expect(() => optimizeTransform('translate(1em) foo(1px)'))
+            .toThrow(jasmine.objectContaining({ code: 'UNKNOWN_FUNCTION', offset: 15 }));
+    });
+
+    it('Should only return visually identical transforms', () => {
+        const strings = [
+            'scale(0.3333333) translate(1000px)',
+            'rotate(33.3333333deg) translate(12.345678px, 9px) rotate(1deg)',
+            'skew(10deg, 20deg) scale(1.0000001)',
+        ];
+        strings.forEach(str => {
+            const expected = TransformMatrix3D.compose(parseCss(str)).cssVector;
+            const actual = TransformMatrix3D.compose(parseCss(optimizeTransform(str))).cssVector;
+            actual.forEach((v, i) => expect(Math.abs(v - expected[i])).toBeLessThan(1e-5));
+        });
+        expect(optimizeTransform('scale(0.3333333) translate(1000px)'))
+            .toBe('scale(0.3333333) translate(1000px)');
+        expect(optimizeTransform('scale(0.3333333) translate(1000px)', { tolerance: 1e-3 }))
+            .toBe('scale(0.333333) translate(1000px)');
+    });
+});
@@ -1,249 +1,864 @@
 import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import TransformParseError from '../TransformParseError/TransformParseError';
+import evaluateMath, { isMath } from '../evaluateMath/evaluateMath';
+import substituteVars from '../substituteVars/substituteVars';
+import tokenizeCss, { parseComponentValues } from '../tokenizeCss/tokenizeCss';
 
-const DECIMAL = '[-+]?((\\d?\\.\\d+)|(\\d+))';
-const ANGLE_ARG = `\\s*${DECIMAL}(?:deg|rad|grad|turn)\\s*`;
-const LENGTH_ARG = `\\s*${DECIMAL}px\\s*`;
-const UNITLESS_ARG = `\\s*${DECIMAL}\\s*`;
+const LENGTH_UNITS = [
+    'px', 'cm', 'mm', 'q', 'in', 'pt', 'pc',
+    'rem', 'em', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax',
+];
 
-const THREED_FUNCTIONS = 'matrix3d|perspective|rotate3d|rotatex|rotatey|rotatez|scale3d|scalez|translate3d|translatez';
+// the number of px in each absolute length unit
+const PX_PER_UNIT = {
+    px: 1,
+    'in': 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 101.6,
+    pt: 96 / 72,
+    pc: 16,
+};
+
+// the number of radians in each angle unit
+const RAD_PER_UNIT = {
+    deg: Math.PI / 180,
+    rad: 1,
+    grad: Math.PI / 200,
+    turn: 2 * Math.PI,
+};
+
+// The arguments of each transform function; see
+// https://www.w3.org/TR/css-transforms-1/#transform-functions and
+// https://www.w3.org/TR/css-transforms-2/#transform-functions
+// Optional arguments end with '?'.
+const TRANSFORM_FUNCTIONS = {
+    matrix: Array(6).fill('number'),
+    translate: ['length-percentage', 'length-percentage?'],
+    translatex: ['length-percentage'],
+    translatey: ['length-percentage'],
+    scale: ['number-percentage', 'number-percentage?'],
+    scalex: ['number-percentage'],
+    scaley: ['number-percentage'],
+    rotate: ['angle'],
+    skew: ['angle', 'angle?'],
+    skewx: ['angle'],
+    skewy: ['angle'],
+    matrix3d: Array(16).fill('number'),
+    translate3d: ['length-percentage', 'length-percentage', 'length'],
+    translatez: ['length'],
+    scale3d: Array(3).fill('number-percentage'),
+    scalez: ['number-percentage'],
+    rotate3d: ['number', 'number', 'number', 'angle'],
+    rotatex: ['angle'],
+    rotatey: ['angle'],
+    rotatez: ['angle'],
+    perspective: ['length-none'],
+};
+
+// the kinds of values (see `_argType()`) accepted by each type of argument;
+// 'zero' is a literal 0, which may be used in place of a length or an angle
+const ACCEPTED_TYPES = {
+    number: ['number', 'zero'],
+    'number-percentage': ['number', 'zero', 'percentage'],
+    length: ['length', 'zero'],
+    'length-percentage': ['length', 'zero', 'percentage', 'length-percentage'],
+    'length-none': ['length', 'zero', 'none'],
+    angle: ['angle', 'zero'],
+};
 
-const UNIT_RX = {
-    UNITLESS: new RegExp(`^${DECIMAL}$`),
-    PX: new RegExp(`${DECIMAL}px`),
-    DEG: new RegExp(`${DECIMAL}deg`),
-    RAD: new RegExp(`${DECIMAL}rad`),
-    GRAD: new RegExp(`${DECIMAL}grad`),
-    TURN: new RegExp(`${DECIMAL}turn`),
+// how each type of argument is described in error messages
+const TYPE_NAMES = {
+    number: 'a number',
+    'number-percentage': 'a number or percentage',
+    length: 'a length',
+    'length-percentage': 'a length or percentage',
+    'length-none': 'a length or none',
+    angle: 'an angle',
 };
 
-const FUNCTION_RX = {
-    FUNCTIONS: /\w+\(.*?\)/gmi,
-    IS_THREED: new RegExp(`(${THREED_FUNCTIONS})\\(`, 'i'),
-    MATRIX: new RegExp(`matrix\\((${UNITLESS_ARG},){5}${UNITLESS_ARG}\\)`, 'i'),
-    TRANSLATE_X: new RegExp(`(translatex\\(${LENGTH_ARG}\\))|(translate\\(${LENGTH_ARG}\\))`, 'i'),
-    TRANSLATE_Y: new RegExp(`translatey\\(${LENGTH_ARG}\\)`, 'i'),
-    TRANSLATE: new RegExp(`translate\\(${LENGTH_ARG},${LENGTH_ARG}\\)`, 'i'),
-    SCALE_X: new RegExp(`scalex\\(${UNITLESS_ARG}\\)`, 'i'),
-    SCALE_Y: new RegExp(`scaley\\(${UNITLESS_ARG}\\)`, 'i'),
-    SCALE_UNIFORM: new RegExp(`scale\\(${UNITLESS_ARG}\\)`, 'i'),
-    SCALE_NONUNIFORM: new RegExp(`scale\\(${UNITLESS_ARG},${UNITLESS_ARG}\\)`, 'i'),
-    ROTATE: new RegExp(`rotate\\(${ANGLE_ARG}\\)`, 'i'),
-    SKEW_X: new RegExp(`(skewx\\(${ANGLE_ARG}\\))|(skew\\(${ANGLE_ARG}\\))`, 'i'),
-    SKEW_Y: new RegExp(`skewy\\(${ANGLE_ARG}\\)`, 'i'),
-    SKEW_BOTH: new RegExp(`skew\\(${ANGLE_ARG},${ANGLE_ARG}\\)`, 'i'),
+const DEFAULT_UNITS = {
+    rootFontSize: 16,
+    fontSize: null,
+    viewportWidth: null,
+    viewportHeight: null,
 };
 
 /**
  * Converts a string representing a set of CSS transformations into an array
  * of transform matrixes.
  *
+ * The string is tokenized as described in CSS Syntax Level 3 (see
+ * `tokenizeCss()`), so comments, scientific notation and upper case names
+ * and units are supported, and each transform function is validated against
+ * the grammar given in the CSS Transforms specifications. Values which
+ * browsers reject, such as "translate(5)" or "perspective(-1px)", cause an
+ * error to be thrown. The matrixes are built from the list of functions
+ * returned by `parseTransformList()`.
+ *
+ * 3D transform functions are returned as TransformMatrix3Ds, unless they are
+ * equivalent to a 2D transform (e.g., "rotateZ(45deg)" or
+ * "translate3d(1px, 2px, 0px)"), in which case a TransformMatrix is returned.
+ *
+ * Percentages in translate functions are resolved against the width (for x)
+ * or height (for y) of `referenceBox`; an error is thrown if they are used
+ * without one.
+ *
+ * Other lengths are converted to px: absolute units (in, cm, mm, Q, pt, pc)
+ * use the CSS ratio of 96px per inch, and relative units (em, rem, ex, ch,
+ * vw, vh, vmin, vmax) are resolved using `units`; see `_unitContext()`.
+ *
+ * Arguments may be math functions, i.e. `calc()`, `min()`, `max()` and
+ * `clamp()`; see `evaluateMath()`. `var()` references are substituted using
+ * `variables` before the string is parsed; see `substituteVars()`.
+ *
+ * Errors are TransformParseErrors, which give the position of the problem
+ * and a `code` identifying it.
+ *
  * @export
  * @param {String} func - valid CSS transform.
- * @param {Boolean} safe3D - when true, throw an error if 3D transformation
- *   functions are used; otherwise, return false.
- * @returns {Array<TransformMatrix>}
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox] - the
+ *   dimensions of the box the transform is applied to, or an element whose
+ *   border box should be measured.
+ * @param {Object|HTMLElement} [units] - the font and viewport sizes used to
+ *   resolve relative length units, or an element to read them from.
+ * @param {Object|Map|HTMLElement} [variables] - the values of custom
+ *   properties, or an element to read computed custom properties from.
+ * @returns {Array<TransformMatrix|TransformMatrix3D>}
  */
-export default function parseCss(func, safe3D) {
-    const clean = func.toLowerCase().trim()
-        .replace(/^transform:\s*/, '')
-        .replace(/;$/, '')
-        .replace(/\s+/g, ' ');
-    const functions = _parseFunctions(clean);
-    const parsers = [_translate, _scale, _rotate, _skew, _matrix];
-    const matrixes = [];
-    // console.log(functions);
-    functions.forEach(funcStr => {
-        let matched = false;
+export default function parseCss(func, referenceBox, units, variables) {
+    const parsers = [
+        _translate, _scale, _rotate, _skew, _matrix,
+        _translate3d, _scale3d, _rotate3d, _perspective, _matrix3d,
+    ];
+    const box = _referenceBox(referenceBox);
+    const context = _unitContext(units);
+    return parseTransformList(func, variables).map(node => {
         for (const parser of parsers) {
-            const M = parser(funcStr);
-            // console.log(parser, M);
-            if (M) {
-                matched = true;
-                matrixes.push(M);
-                break;
-            }
-        }
-        if (matched === false) {
-            if (FUNCTION_RX.IS_THREED.test(funcStr)) {
-                const msg = 'Cannot parse 3D transforms';
-                if (safe3D) {
-                    throw new Error(msg);
-                } else {
-                    console.warn(msg);
-                }
-            } else {
-                throw new Error('Invalid CSS transform function');
-            }
+            const M = parser(node, box, context);
+            if (M) { return M; }
         }
+        throw _unknownFunctionError(node.name, { offset: node.start, functionName: node.name });
     });
-    return matrixes;
 };
 
+/**
+ * Parses a string representing a set of CSS transformations into a list of
+ * transform functions, keeping the values and units of their arguments,
+ * e.g. "rotate(30deg) translateX(calc(50% + 1px))" becomes
+ *  [
+ *    { name: 'rotate', args: [{ type: 'angle', value: 30, unit: 'deg' }] },
+ *    { name: 'translatex', args: [
+ *      { type: 'math', value: 'calc(50% + 1px)', unit: null },
+ *    ] },
+ *  ]
+ * Function names and units are lower case. Each argument has one of the
+ * following types:
+ *  - 'number', e.g. `2` or `0`, whose unit is null
+ *  - 'percentage', e.g. `50%`, whose unit is '%'
+ *  - 'length', e.g. `3px`
+ *  - 'angle', e.g. `1turn`
+ *  - 'keyword', i.e. the `none` of "perspective(none)", whose value is 'none'
+ *    and unit is null
+ *  - 'math', a math function (see `evaluateMath()`), whose value is its CSS
+ *    text and unit is null
+ *
+ * Each function and argument also has the `start` and `end` offsets of its
+ * text in the string, once `var()` references have been substituted using
+ * `variables`. "none" is an empty list. The functions are validated as in
+ * `parseCss()`, so a TransformParseError is thrown for invalid strings.
+ *
+ * @export
+ * @param {String} str
+ * @param {Object|Map|HTMLElement} [variables] - the values of custom
+ *   properties; see `substituteVars()`.
+ * @returns {Array<{name: String, args: Array<Object>, start: Number, end: Number}>}
+ */
+export function parseTransformList(str, variables) {
+    const source = substituteVars(str, variables);
+    const components = _declarationValue(_components(source));
+    if (components.length === 1 && _argType(components[0]) === 'none') {
+        return [];
+    }
+    return components.map(component => {
+        if (component.type !== 'function') {
+            throw _syntaxError(component);
+        }
+        const error = _functionError(component);
+        if (error != null) { throw error; }
+        return _node(component, source);
+    });
+}
+
+/**
+ * Splits a string containing a list of CSS functions into a string for each
+ * function, e.g. "scale(2) rotate(calc(3 * 1deg))" becomes
+ * ["scale(2)", "rotate(calc(3 * 1deg))"]. An error is thrown if the string
+ * contains anything other than functions, whitespace and comments.
+ *
+ * @export
+ * @param {String} str
+ * @returns {Array<String>}
+ */
 export function _parseFunctions(str) {
-    let atEndFunc = false;
-    let betweenFuncs = true;
-    let inFuncName = false;
-    let inFuncBody = false;
-    const funcs = [];
-    let thisFunc = null;
-    let thisChar = null;
-    const err = new Error('Invalid CSS transform string');
-    for (let i = 0; i < str.length; i++) {
-        thisChar = str[i];
-        if (betweenFuncs) {
-            if (thisChar.search(/\w/) === 0) {
-                thisFunc = [thisChar];
-                betweenFuncs = false;
-                inFuncName = true;
-            } else if (thisChar !== ' ') {
-                throw err;
-            }
-        } else if (inFuncName) {
-            if (thisChar.search(/\w/) === 0) {
-                thisFunc.push(thisChar);
-            } else if (thisChar === '(') {
-                thisFunc.push(thisChar);
-                inFuncName = false;
-                inFuncBody = true;
-            } else {
-                throw err;
-            }
-        } else if (inFuncBody) {
-            thisFunc.push(thisChar);
-            if (thisChar === ')') {
-                funcs.push(thisFunc.join(''));
-                inFuncBody = false;
-                atEndFunc = true;
-            }
-        } else if (atEndFunc) {
-            if (thisChar === ' ') {
-                betweenFuncs = true;
-                atEndFunc = false;
-            } else {
-                throw err;
-            }
+    return _components(str).map(component => {
+        if (component.type !== 'function') {
+            throw _syntaxError(component);
         }
+        return str.slice(component.start, component.end);
+    });
+}
+
+/**
+ * Finds the width and height of `referenceBox`, which may be an element or
+ * an object with `width` and `height` properties; see `parseCss()`.
+ *
+ * @export
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox]
+ * @returns {{width: Number, height: Number}|null}
+ */
+export function _referenceBox(referenceBox) {
+    if (referenceBox == null) { return null; }
+    if (referenceBox.nodeType === 1) {
+        // offsetWidth & offsetHeight measure the border box, ignoring
+        // transforms
+        return {
+            width: referenceBox.offsetWidth || 0,
+            height: referenceBox.offsetHeight || 0,
+        };
     }
-    if (!betweenFuncs && !atEndFunc) {
-        throw err;
+    return {
+        width: referenceBox.width || 0,
+        height: referenceBox.height || 0,
+    };
+}
+
+/**
+ * Finds the sizes that relative length units are resolved against. `units`
+ * may be an element, in which case its font size, the font size of the root
+ * element and the size of the viewport are read from the document.
+ * Otherwise, it may be an object with any of the following properties:
+ *  - rootFontSize: the size of 1rem in px; defaults to 16
+ *  - fontSize: the size of 1em in px; defaults to `rootFontSize`
+ *  - viewportWidth, viewportHeight: the size of the viewport in px, which
+ *    is required to resolve vw, vh, vmin and vmax
+ *
+ * @export
+ * @param {Object|HTMLElement} [units]
+ * @returns {Object} with the properties described above
+ */
+export function _unitContext(units) {
+    if (units != null && units.nodeType === 1) {
+        const doc = units.ownerDocument;
+        const win = doc.defaultView;
+        const { getComputedStyle } = win;
+        const rootFontSize = parseFloat(getComputedStyle(doc.documentElement).fontSize) ||
+            DEFAULT_UNITS.rootFontSize;
+        return {
+            rootFontSize,
+            fontSize: parseFloat(getComputedStyle(units).fontSize) || rootFontSize,
+            viewportWidth: win.innerWidth,
+            viewportHeight: win.innerHeight,
+        };
+    }
+    const context = Object.assign({}, DEFAULT_UNITS);
+    Object.keys(DEFAULT_UNITS).forEach(key => {
+        if (units != null && units[key] != null) {
+            context[key] = units[key];
+        }
+    });
+    if (context.fontSize == null) {
+        context.fontSize = context.rootFontSize;
     }
-    return funcs;
+    return context;
 }
 
-export function _parseArgs(str, type) {
-    const arr = str.trim()
-        .replace(/^\w+\(/, '')
-        .replace(/\)$/, '')
-        .split(/,/g)
-        .map(s => s.trim());
-    switch (type) {
-        case 'length':
-            return arr.map(x => _getPx(x));
-        case 'angle':
-            return arr.map(x => _getAngle(x));
+/**
+ * Splits the arguments of the CSS function `str` and parses each of them as
+ * a value of the given `type` (see ACCEPTED_TYPES). For lengths, `sizes` are
+ * the lengths that percentages of each argument are resolved against, and
+ * `units` is used to resolve relative length units; see `_unitContext()`.
+ *
+ * @export
+ * @param {String} str
+ * @param {String} [type = 'number'] - 'number', 'number-percentage',
+ *  'length', 'length-percentage' or 'angle'
+ * @param {Array<Number>} [sizes]
+ * @param {Object} [units]
+ * @returns {Array<Number>}
+ */
+export function _parseArgs(str, type = 'number', sizes = [], units = _unitContext()) {
+    const components = _components(str);
+    const unexpected = components.find((component, i) => i > 0 || component.type !== 'function');
+    if (components.length === 0 || unexpected != null) {
+        throw new TransformParseError(
+            'INVALID_SYNTAX',
+            'Invalid arguments; expected a single function',
+            { offset: unexpected == null ? 0 : unexpected.start }
+        );
+    }
+    const [fn] = components;
+    return _argLists(fn).map((arg, i) => {
+        const details = _argDetails(fn, arg, i);
+        const error = _argumentError(arg, type, details);
+        if (error != null) { throw error; }
+        return _evaluateWithDetails(_argNode(arg[0], str), type, sizes[i], units, details);
+    });
+}
+
+function _components(str) {
+    return parseComponentValues(tokenizeCss(str))
+        .filter(component => component.type !== 'whitespace');
+}
+
+// removes the property name and semicolon when the component values are a
+// declaration, e.g. "transform: scale(2);"
+function _declarationValue(components) {
+    let result = components;
+    const [property, colon] = result;
+    if (property != null && property.type === 'ident' &&
+        property.value.toLowerCase() === 'transform' &&
+        colon != null && colon.type === 'colon') {
+        result = result.slice(2);
+    }
+    if (result.length > 0 && result[result.length - 1].type === 'semicolon') {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+function _unknownFunctionError(name, details) {
+    return new TransformParseError(
+        'UNKNOWN_FUNCTION',
+        `Invalid CSS transform function; ${name}() is not a transform function`,
+        details
+    );
+}
+
+function _syntaxError(component) {
+    return new TransformParseError(
+        'INVALID_SYNTAX',
+        'Invalid CSS transform string; expected a transform function',
+        { offset: component.start }
+    );
+}
+
+function _singleComponent(str) {
+    const components = _components(str);
+    return components.length === 1 ? components[0] : null;
+}
+
+function _has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Returns the component values (other than whitespace) of each
+// comma-separated argument of the function component `fn`.
+function _argLists(fn) {
+    const args = [[]];
+    fn.value.forEach(component => {
+        if (component.type === 'comma') {
+            args.push([]);
+        } else if (component.type !== 'whitespace') {
+            args[args.length - 1].push(component);
+        }
+    });
+    return args.length === 1 && args[0].length === 0 ? [] : args;
+}
+
+// Returns the component value of each comma-separated argument of the
+// function component `fn`, or null if an argument is not a single component.
+function _splitArgs(fn) {
+    const args = _argLists(fn);
+    return args.every(arg => arg.length === 1) ? args.map(arg => arg[0]) : null;
+}
+
+// the details given by errors in the `i`th argument of `fn`, whose component
+// values are `arg`; a missing argument is found after the preceding comma
+function _argDetails(fn, arg, i) {
+    let offset = fn.start;
+    if (arg.length > 0) {
+        offset = arg[0].start;
+    } else if (i > 0) {
+        offset = fn.value.filter(component => component.type === 'comma')[i - 1].end;
+    }
+    return {
+        offset,
+        functionName: fn.name.toLowerCase(),
+        argumentIndex: i,
+    };
+}
+
+/**
+ * Returns a TransformParseError describing why the function component `fn`
+ * is not a valid transform function (see TRANSFORM_FUNCTIONS), or null if it
+ * is valid.
+ *
+ * @param {Object} fn
+ * @returns {?TransformParseError}
+ */
+function _functionError(fn) {
+    const name = fn.name.toLowerCase();
+    const details = { offset: fn.start, functionName: name };
+    if (!_has(TRANSFORM_FUNCTIONS, name)) {
+        return _unknownFunctionError(fn.name, details);
+    }
+    const args = _argLists(fn);
+    const grammar = TRANSFORM_FUNCTIONS[name];
+    const required = grammar.filter(type => !/\?$/.test(type)).length;
+    if (args.length < required || args.length > grammar.length) {
+        const count = required === grammar.length ? required : `${required} or ${grammar.length}`;
+        return new TransformParseError(
+            'WRONG_ARGUMENT_COUNT',
+            `Invalid arguments; expected ${count} argument${grammar.length > 1 ? 's' : ''}`,
+            details
+        );
+    }
+    for (let i = 0; i < args.length; i++) {
+        const type = grammar[i].replace(/\?$/, '');
+        const error = _argumentError(args[i], type, _argDetails(fn, args[i], i));
+        if (error != null) { return error; }
+    }
+    const [[depth] = []] = args;
+    if (name === 'perspective' && depth.type === 'dimension' && depth.value < 0) {
+        // negative depths are invalid, but negative math functions are
+        // clamped to 1px like any depth less than 1px
+        return new TransformParseError(
+            'INVALID_ARGUMENT',
+            'Invalid argument; perspective() depth must not be negative',
+            _argDetails(fn, args[0], 0)
+        );
+    }
+    return null;
+}
+
+/**
+ * Returns a TransformParseError describing why the component values `arg`
+ * are not a valid argument of the given `type` (see ACCEPTED_TYPES), or null
+ * if they are valid.
+ *
+ * @param {Array<Object>} arg
+ * @param {String} type
+ * @param {Object} details - see `_argDetails()`
+ * @returns {?TransformParseError}
+ */
+function _argumentError(arg, type, details) {
+    if (arg.length !== 1) {
+        const reason = arg.length === 0 ? 'missing value' : 'expected a single value';
+        return new TransformParseError('INVALID_ARGUMENT', `Invalid argument; ${reason}`, details);
+    }
+    const [value] = arg;
+    if (ACCEPTED_TYPES[type].indexOf(_argType(value)) !== -1) { return null; }
+    if (isMath(value)) {
+        try {
+            evaluateMath(value, _mathResolver(null, null));
+        } catch (err) {
+            return TransformParseError.from(err, 'INVALID_MATH', details);
+        }
+    }
+    return new TransformParseError(
+        'INVALID_ARGUMENT',
+        `Invalid argument; expected ${TYPE_NAMES[type]}`,
+        details
+    );
+}
+
+// the node of the valid transform function component `fn`, whose text is
+// in `source`; see `parseTransformList()`
+function _node(fn, source) {
+    return {
+        name: fn.name.toLowerCase(),
+        args: _splitArgs(fn).map(arg => _argNode(arg, source)),
+        start: fn.start,
+        end: fn.end,
+    };
+}
+
+// the node of the argument component `arg`; see `parseTransformList()`
+function _argNode(arg, source) {
+    const node = { type: null, value: arg.value, unit: null, start: arg.start, end: arg.end };
+    switch (arg.type) {
+        case 'number':
+            node.type = 'number';
+            break;
+        case 'percentage':
+            node.type = 'percentage';
+            node.unit = '%';
+            break;
+        case 'dimension':
+            node.unit = arg.unit.toLowerCase();
+            node.type = LENGTH_UNITS.indexOf(node.unit) !== -1 ? 'length' : 'angle';
+            break;
+        case 'ident':
+            node.type = 'keyword';
+            node.value = arg.value.toLowerCase();
+            break;
         default:
-            return arr.map(x => _getUnitless(x));
+            node.type = 'math';
+            node.value = source.slice(arg.start, arg.end);
+            break;
     }
+    return node;
 }
 
-function _getUnitless(str) {
-    let val = null;
-    if (UNIT_RX.UNITLESS.test(str)) {
-        val = parseFloat(str);
+/**
+ * Returns the node of the transform function `input` (a string, or a node
+ * returned by `parseTransformList()`) if it is named one of `names`, and, for
+ * strings, is valid; see TRANSFORM_FUNCTIONS. Otherwise, returns null.
+ *
+ * @param {String|Object} input
+ * @param {Array<String>} names - lower case
+ * @returns {?{name: String, args: Array<Object>, start: Number, end: Number}}
+ */
+function _transformFunction(input, names) {
+    let node = input;
+    if (typeof input === 'string') {
+        const fn = _singleComponent(input);
+        const valid = fn != null && fn.type === 'function' && _functionError(fn) == null;
+        node = valid ? _node(fn, input) : null;
     }
-    if (val == null || isNaN(val)) {
-        throw new Error('Invalid argument');
+    return node != null && names.indexOf(node.name) !== -1 ? node : null;
+}
+
+/**
+ * Returns `true` when the value of `node`, a transform function node returned
+ * by `parseTransformList()`, depends on the box it is applied to or on font
+ * or viewport sizes, i.e. when an argument is a percentage of a length or
+ * uses a relative length unit, either directly or within a math function.
+ *
+ * @export
+ * @param {{name: String, args: Array<Object>}} node
+ * @returns {Boolean}
+ */
+export function _isRelative(node) {
+    const grammar = TRANSFORM_FUNCTIONS[node.name];
+    return node.args.some((arg, i) => {
+        const isLengthPercentage = grammar[i].replace(/\?$/, '') !== 'number-percentage';
+        const isRelative = (type, unit) =>
+            (type === 'percentage' && isLengthPercentage) ||
+            (type === 'length' && !_has(PX_PER_UNIT, unit));
+        if (arg.type !== 'math') {
+            return isRelative(arg.type, arg.unit);
+        }
+        return tokenizeCss(arg.value).some(token => {
+            if (token.type === 'dimension') {
+                const unit = token.unit.toLowerCase();
+                return LENGTH_UNITS.indexOf(unit) !== -1 && isRelative('length', unit);
+            }
+            return isRelative(token.type);
+        });
+    });
+}
+
+/**
+ * Returns the values of the arguments of `node`, a transform function node
+ * returned by `parseTransformList()`, in px for lengths and radians for
+ * angles. `sizes` are the lengths that percentages of each argument are
+ * resolved against, and `units` is used to resolve relative length units;
+ * see `_unitContext()`.
+ *
+ * @export
+ * @param {{name: String, args: Array<Object>}} node
+ * @param {Array<?Number>} [sizes]
+ * @param {Object} [units]
+ * @returns {Array<Number>}
+ */
+export function _values(node, sizes = [], units = _unitContext()) {
+    const grammar = TRANSFORM_FUNCTIONS[node.name];
+    return node.args.map((arg, i) => {
+        const details = { offset: arg.start, functionName: node.name, argumentIndex: i };
+        const type = grammar[i].replace(/\?$/, '');
+        return _evaluateWithDetails(arg, type, sizes[i], units, details);
+    });
+}
+
+// evaluates an argument (see `_evaluate()`), adding `details` to any error
+/**
+ * Returns the value in px of `component`, a component value returned by
+ * `parseComponentValues()` whose text is in `source`, for use outside of
+ * transform functions, e.g. in `transform-origin`. As for the arguments of
+ * transform functions, it may use any length unit or math function, and
+ * percentages are resolved against `size`; a TransformParseError is thrown
+ * at the offset of `component` if it can't be resolved.
+ *
+ * @export
+ * @param {Object} component
+ * @param {String} source
+ * @param {String} type - 'length' or 'length-percentage'
+ * @param {?Number} size
+ * @param {Object} [units] - as returned by `_unitContext()`
+ * @returns {Number}
+ */
+export function _length(component, source, type, size, units = _unitContext()) {
+    const details = { offset: component.start };
+    const error = _argumentError([component], type, details);
+    if (error != null) { throw error; }
+    return _evaluateWithDetails(_argNode(component, source), type, size, units, details);
+}
+
+function _evaluateWithDetails(arg, type, size, units, details) {
+    try {
+        return _evaluate(arg, type, size, units);
+    } catch (err) {
+        throw TransformParseError.from(err, 'INVALID_ARGUMENT', details);
     }
-    return val;
 }
 
-function _getPx(str) {
-    if (!(UNIT_RX.PX.test(str))) {
-        throw new Error('Length units must be provided in px');
+/**
+ * Returns the kind of value of the component `arg`: 'number', 'zero',
+ * 'percentage', 'length', 'angle', 'length-percentage', 'none', or null if
+ * it can't be used as an argument of a transform function.
+ *
+ * @param {Object} arg
+ * @returns {?String}
+ */
+function _argType(arg) {
+    switch (arg.type) {
+        case 'number':
+            return arg.value === 0 ? 'zero' : 'number';
+        case 'percentage':
+            return 'percentage';
+        case 'dimension': {
+            const unit = arg.unit.toLowerCase();
+            if (LENGTH_UNITS.indexOf(unit) !== -1) { return 'length'; }
+            return _has(RAD_PER_UNIT, unit) ? 'angle' : null;
+        }
+        case 'ident':
+            return arg.value.toLowerCase() === 'none' ? 'none' : null;
+        case 'function':
+            if (!isMath(arg)) { return null; }
+            try {
+                return evaluateMath(arg, _mathResolver(null, null)).type;
+            } catch (err) {
+                return null;
+            }
+        default:
+            return null;
     }
-    const px = parseFloat(str);
-    if (isNaN(px)) {
-        throw new Error('Invalid unit length');
+}
+
+/**
+ * Returns the value of `arg`, an argument node (see `parseTransformList()`)
+ * of the given `type`, in px for lengths and radians for angles. Percentages
+ * are resolved against `size`, except for 'number-percentage' arguments,
+ * where 100% is 1.
+ *
+ * @param {Object} arg
+ * @param {String} type
+ * @param {?Number} size
+ * @param {Object} units - as returned by `_unitContext()`
+ * @returns {Number}
+ */
+function _evaluate(arg, type, size, units) {
+    switch (arg.type) {
+        case 'number':
+            return arg.value;
+        case 'percentage':
+            if (type === 'number-percentage') {
+                return arg.value / 100;
+            } else if (size == null) {
+                throw _percentageError();
+            }
+            return (arg.value / 100) * size;
+        case 'length':
+            return arg.value * _pxPerUnit(arg.unit, units);
+        case 'angle':
+            return arg.value * RAD_PER_UNIT[arg.unit];
+        default: {
+            let result;
+            try {
+                result = evaluateMath(arg.value, _mathResolver(size, units));
+            } catch (err) {
+                throw TransformParseError.from(err, 'INVALID_MATH');
+            }
+            if (result.type === 'percentage' && type === 'number-percentage') {
+                return result.value / 100;
+            } else if (/percentage/.test(result.type)) {
+                throw _percentageError();
+            }
+            return result.value;
+        }
     }
-    return px;
 }
 
-function _getAngle(str) {
-    let rad;
-    if (UNIT_RX.DEG.test(str)) {
-        const deg = parseFloat(str);
-        rad = deg * (Math.PI / 180);
-    } else if (UNIT_RX.TURN.test(str)) {
-        const turn = parseFloat(str);
-        rad = turn * Math.PI * 2;
-    } else if (UNIT_RX.RAD.test(str)) {
-        rad = parseFloat(str);
-    } else if (UNIT_RX.GRAD.test(str)) {
-        const grad = parseFloat(str);
-        rad = grad * (Math.PI / 200);
-    } else {
-        throw new Error('Angle units are not correctly specified; see https://developer.mozilla.org/en-US/docs/Web/CSS/angle');
+/**
+ * Returns a function which resolves the dimensions and percentages in a
+ * math function; see `evaluateMath()`. Lengths are converted to px using
+ * `units`, unless it is null, in which case only their type is found.
+ *
+ * @param {?Number} size - the length percentages are resolved against
+ * @param {?Object} units - as returned by `_unitContext()`
+ * @returns {function(Number, String): {type: String, value: Number}}
+ */
+function _mathResolver(size, units) {
+    return (value, unit) => {
+        if (unit === '%') {
+            return size == null ?
+                { type: 'percentage', value } :
+                { type: 'length', value: (value / 100) * size };
+        } else if (_has(RAD_PER_UNIT, unit)) {
+            return { type: 'angle', value: value * RAD_PER_UNIT[unit] };
+        } else if (LENGTH_UNITS.indexOf(unit) !== -1) {
+            return {
+                type: 'length',
+                value: units == null ? NaN : value * _pxPerUnit(unit, units),
+            };
+        }
+        throw new TransformParseError('INVALID_UNIT', `Invalid unit: ${unit}`);
+    };
+}
+
+function _percentageError() {
+    return new TransformParseError(
+        'PERCENTAGE_REQUIRES_REFERENCE_BOX',
+        'Percentages require a reference box'
+    );
+}
+
+function _pxPerUnit(unit, units) {
+    if (_has(PX_PER_UNIT, unit)) {
+        return PX_PER_UNIT[unit];
+    }
+    const { rootFontSize, fontSize, viewportWidth, viewportHeight } = units;
+    if (unit[0] === 'v' && (viewportWidth == null || viewportHeight == null)) {
+        throw new TransformParseError(
+            'VIEWPORT_SIZE_REQUIRED',
+            'Viewport units require the size of the viewport'
+        );
     }
-    if (isNaN(rad)) {
-        throw new Error('Invalid angle');
+    switch (unit) {
+        case 'rem':
+            return rootFontSize;
+        case 'em':
+            return fontSize;
+        case 'ex':
+        case 'ch':
+            // without font metrics, use the fallback of 0.5em
+            return fontSize / 2;
+        case 'vw':
+            return viewportWidth / 100;
+        case 'vh':
+            return viewportHeight / 100;
+        case 'vmin':
+            return Math.min(viewportWidth, viewportHeight) / 100;
+        default:
+            return Math.max(viewportWidth, viewportHeight) / 100;
     }
-    return rad;
 }
 
 export function _matrix(str) {
-    if (FUNCTION_RX.MATRIX.test(str)) {
-        const [a, b, c, d, e, f] = _parseArgs(str);
-        return new TransformMatrix(a, b, c, d, e, f);
+    const fn = _transformFunction(str, ['matrix']);
+    if (fn) {
+        return new TransformMatrix(..._values(fn));
     }
 }
 
-export function _translate(str) {
-    if (FUNCTION_RX.TRANSLATE_X.test(str)) {
-        const x = _parseArgs(str, 'length')[0];
-        return TransformMatrix.fromTranslation(x, 0);
-    } else if (FUNCTION_RX.TRANSLATE_Y.test(str)) {
-        const y = _parseArgs(str, 'length')[0];
-        return TransformMatrix.fromTranslation(0, y);
-    } else if (FUNCTION_RX.TRANSLATE.test(str)) {
-        const [x, y] = _parseArgs(str, 'length');
-        return TransformMatrix.fromTranslation(x, y);
+export function _translate(str, box = null, units = _unitContext()) {
+    const fn = _transformFunction(str, ['translate', 'translatex', 'translatey']);
+    if (!fn) { return; }
+    const { width, height } = box || {};
+    switch (fn.name) {
+        case 'translatex':
+            return TransformMatrix.fromTranslation(_values(fn, [width], units)[0], 0);
+        case 'translatey':
+            return TransformMatrix.fromTranslation(0, _values(fn, [height], units)[0]);
+        default: {
+            const [x, y = 0] = _values(fn, [width, height], units);
+            return TransformMatrix.fromTranslation(x, y);
+        }
     }
 }
 
 export function _scale(str) {
-    let x = 1;
-    let y = 1;
-    if (FUNCTION_RX.SCALE_UNIFORM.test(str)) {
-        x = _parseArgs(str)[0];
-        y = x;
-    } else if (FUNCTION_RX.SCALE_NONUNIFORM.test(str)) {
-        [x, y] = _parseArgs(str);
-    } else if (FUNCTION_RX.SCALE_X.test(str)) {
-        x = _parseArgs(str)[0];
-    } else if (FUNCTION_RX.SCALE_Y.test(str)) {
-        y = _parseArgs(str)[0];
-    } else {
-        return;
-    }
-    return TransformMatrix.fromScale(x, y);
+    const fn = _transformFunction(str, ['scale', 'scalex', 'scaley']);
+    if (!fn) { return; }
+    const [x, y = x] = _values(fn);
+    switch (fn.name) {
+        case 'scalex':
+            return TransformMatrix.fromScale(x, 1);
+        case 'scaley':
+            return TransformMatrix.fromScale(1, x);
+        default:
+            return TransformMatrix.fromScale(x, y);
+    }
 }
 
 export function _rotate(str) {
-    if (FUNCTION_RX.ROTATE.test(str)) {
-        const angle = _parseArgs(str, 'angle')[0];
-        return TransformMatrix.fromRotate(angle);
+    const fn = _transformFunction(str, ['rotate']);
+    if (fn) {
+        return TransformMatrix.fromRotate(_values(fn)[0]);
     }
 }
 
 export function _skew(str) {
-    if (FUNCTION_RX.SKEW_X.test(str)) {
-        const angle = _parseArgs(str, 'angle')[0];
-        return TransformMatrix.fromSkewX(angle);
-    } else if (FUNCTION_RX.SKEW_Y.test(str)) {
-        const angle = _parseArgs(str, 'angle')[0];
-        return TransformMatrix.fromSkewY(angle);
-    } else if (FUNCTION_RX.SKEW_BOTH.test(str)) {
-        const [x, y] = _parseArgs(str, 'angle');
-        return TransformMatrix.fromSkewBoth(x, y);
+    const fn = _transformFunction(str, ['skew', 'skewx', 'skewy']);
+    if (!fn) { return; }
+    const angles = _values(fn);
+    if (fn.name === 'skewy') {
+        return TransformMatrix.fromSkewY(angles[0]);
+    } else if (angles.length === 2) {
+        return TransformMatrix.fromSkewBoth(angles[0], angles[1]);
+    }
+    return TransformMatrix.fromSkewX(angles[0]);
+}
+
+export function _matrix3d(str) {
+    const fn = _transformFunction(str, ['matrix3d']);
+    if (fn) {
+        return _simplify(new TransformMatrix3D(..._values(fn)));
+    }
+}
+
+export function _translate3d(str, box = null, units = _unitContext()) {
+    const fn = _transformFunction(str, ['translate3d', 'translatez']);
+    if (!fn) { return; }
+    if (fn.name === 'translatez') {
+        const z = _values(fn, [], units)[0];
+        return _simplify(TransformMatrix3D.fromTranslation(0, 0, z));
+    }
+    const { width, height } = box || {};
+    const [x, y, z] = _values(fn, [width, height], units);
+    return _simplify(TransformMatrix3D.fromTranslation(x, y, z));
+}
+
+export function _scale3d(str) {
+    const fn = _transformFunction(str, ['scale3d', 'scalez']);
+    if (!fn) { return; }
+    const values = _values(fn);
+    if (fn.name === 'scalez') {
+        return _simplify(TransformMatrix3D.fromScale(1, 1, values[0]));
+    }
+    return _simplify(TransformMatrix3D.fromScale(...values));
+}
+
+export function _rotate3d(str) {
+    const fn = _transformFunction(str, ['rotate3d', 'rotatex', 'rotatey', 'rotatez']);
+    if (!fn) { return; }
+    const values = _values(fn);
+    switch (fn.name) {
+        case 'rotatex':
+            return _simplify(TransformMatrix3D.fromRotate3d(1, 0, 0, values[0]));
+        case 'rotatey':
+            return _simplify(TransformMatrix3D.fromRotate3d(0, 1, 0, values[0]));
+        case 'rotatez':
+            return TransformMatrix.fromRotate(values[0]);
+        default:
+            return _simplify(TransformMatrix3D.fromRotate3d(...values));
     }
 }
+
+export function _perspective(str, box, units = _unitContext()) {
+    const fn = _transformFunction(str, ['perspective']);
+    if (!fn) { return; }
+    const [arg] = fn.args;
+    if (arg.type === 'keyword') {
+        return TransformMatrix.identity();
+    }
+    return TransformMatrix3D.fromPerspective(_values(fn, [], units)[0]);
+}
+
+// 3D transforms which don't affect z are returned as 2D TransformMatrixes
+function _simplify(M) {
+    return M.is2D ? M.to2D() : M;
+}
@@ -6,16 +6,23 @@ import {
     _scale,
     _rotate,
     _skew,
+    _unitContext,
+    _isRelative,
+    parseTransformList,
     default as parseCss,
 } from './parseCss';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformParseError from '../TransformParseError/TransformParseError';
 
 describe('parseCss', () => {
     describe('_parseFunctions', () => {
         it('Should throw an error when an unparseable string is provided', () => {
             throwAll ([
-                'scale(1.5',
                 'scale(1.5) translate',
-                'scale(1.5)translate(3px, 3px)',
+                'scale(1.5), translate(3px)',
+                'scale(1.5) 3px',
+                '(scale(1.5))',
+                'scale(1.5))',
             ], _parseFunctions);
         });
 
@@ -24,10 +31,83 @@ describe('parseCss', () => {
                 ['scale(1.5)', ['scale(1.5)']],
                 ['scale(1.5) translate(3px)', ['scale(1.5)', 'translate(3px)']],
                 ['scale(1.5, 2) translate(3px, 10px)', ['scale(1.5, 2)', 'translate(3px, 10px)']],
+                [
+                    'translate(calc(100% - (2px * 3)), 1px) scale(2)',
+                    ['translate(calc(100% - (2px * 3)), 1px)', 'scale(2)'],
+                ],
+                ['scale(1.5)translate(3px, 3px)', ['scale(1.5)', 'translate(3px, 3px)']],
+                ['scale(1.5) /* comment */ rotate(1deg)', ['scale(1.5)', 'rotate(1deg)']],
+                // functions still open at the end are closed, as in browsers
+                ['scale(1.5', ['scale(1.5']],
             ], _parseFunctions);
         });
     });
 
+    describe('parseTransformList', () => {
+        // the nodes of `str`, without their positions
+        const nodes = (str, variables) => parseTransformList(str, variables).map(node => ({
+            name: node.name,
+            args: node.args.map(({ type, value, unit }) => ({ type, value, unit })),
+        }));
+
+        it('Should keep the names, values and units of each function', () => {
+            expect(nodes('rotate(30DEG) translate(10%, 0) scale(1.5) perspective(none)')).toEqual([
+                { name: 'rotate', args: [{ type: 'angle', value: 30, unit: 'deg' }] },
+                {
+                    name: 'translate',
+                    args: [
+                        { type: 'percentage', value: 10, unit: '%' },
+                        { type: 'number', value: 0, unit: null },
+                    ],
+                },
+                { name: 'scale', args: [{ type: 'number', value: 1.5, unit: null }] },
+                { name: 'perspective', args: [{ type: 'keyword', value: 'none', unit: null }] },
+            ]);
+            expect(nodes('translateX(calc(50% + 1em))')).toEqual([{
+                name: 'translatex',
+                args: [{ type: 'math', value: 'calc(50% + 1em)', unit: null }],
+            }]);
+            expect(nodes('transform: scale(var(--zoom));', { '--zoom': '2' })).toEqual([
+                { name: 'scale', args: [{ type: 'number', value: 2, unit: null }] },
+            ]);
+            expect(parseTransformList('none')).toEqual([]);
+        });
+
+        it('Should record the position of each function and argument', () => {
+            const [, node] = parseTransformList('scale(2) skew(1deg, 2rad)');
+            expect([node.start, node.end]).toEqual([9, 25]);
+            expect(node.args.map(arg => [arg.start, arg.end])).toEqual([[14, 18], [20, 24]]);
+        });
+
+        it('Should throw an error for invalid transform functions', () => {
+            throwAll([
+                'scale(2) 3px',
+                'foo(1)',
+                'rotate(1px)',
+                'translate(1px 2px)',
+            ], parseTransformList);
+        });
+    });
+
+    describe('_isRelative', () => {
+        const isRelative = str => _isRelative(parseTransformList(str)[0]);
+
+        it('Should be true for percentages of lengths and relative units', () => {
+            expect(isRelative('translate(10px, 50%)')).toBe(true);
+            expect(isRelative('translateX(1em)')).toBe(true);
+            expect(isRelative('perspective(10vw)')).toBe(true);
+            expect(isRelative('translate(calc(50% + 2px))')).toBe(true);
+            expect(isRelative('translate(calc(1rem * 2))')).toBe(true);
+        });
+
+        it('Should be false for absolute values', () => {
+            expect(isRelative('translate(10px, 1in)')).toBe(false);
+            expect(isRelative('scale(50%)')).toBe(false);
+            expect(isRelative('rotate(calc(45deg + 1turn))')).toBe(false);
+            expect(isRelative('translate(calc(1px * 2))')).toBe(false);
+        });
+    });
+
     describe('_parseArgs', () => {
         it('Should throw an error if arguments aren’t correctly delimited', () => {
             throwAll([
@@ -63,23 +143,53 @@ describe('parseCss', () => {
             ], _parseArgs);
         });
 
-        it('Should throw an error if lengths aren’t specified in px', () => {
+        it('Should throw an error if lengths don’t have valid units', () => {
             throwAll([
                 'foo(3)',
                 'foo(NaN)',
-                'foo(3em)',
                 'foo(3deg)',
                 'foo(5%, 3px)',
-                'foo(3em, 5rem)',
+                'foo(3 em, 5rem)',
+                'foo(3foo)',
             ], _parseArgs, ['length']);
         });
 
+        it('Should convert absolute length units to px', () => {
+            const tests = [
+                ['foo(1in, 2.54cm, 25.4mm, 101.6q)', [96, 96, 96, 96]],
+                ['foo(72pt, 6pc, -3px)', [96, 96, -3]],
+            ];
+            tests.forEach(([string, expected]) => {
+                _parseArgs(string, 'length').forEach((px, i) => {
+                    expect(px).toBeCloseTo(expected[i], 10);
+                });
+            });
+        });
+
+        it('Should convert relative length units to px', () => {
+            const units = _unitContext({
+                rootFontSize: 10,
+                fontSize: 20,
+                viewportWidth: 800,
+                viewportHeight: 600,
+            });
+            checkAll([
+                ['foo(2rem, 2em)', [20, 40]],
+                ['foo(1ex, 1ch)', [10, 10]],
+                ['foo(10vw, 10vh)', [80, 60]],
+                ['foo(10vmin, 10vmax)', [60, 80]],
+            ], _parseArgs, ['length', [], units]);
+            expect(_parseArgs('foo(2rem, 2em)', 'length')).toEqual([32, 32]);
+            expect(() => _parseArgs('foo(1vw)', 'length')).toThrow();
+        });
+
         it('Should correctly parse length arguments', () => {
             checkAll([
                 ['foo(1px)', [1]],
                 ['foo(1px, 2px,3px)', [1, 2, 3]],
                 ['foo(+1px, -2px,3px)', [1, -2, 3]],
                 ['foo(1.23px, 4.56px)', [1.23, 4.56]],
+                ['foo(12.5px, .5px)', [12.5, 0.5]],
             ], _parseArgs, ['length']);
         });
 
@@ -172,6 +282,24 @@ describe('parseCss', () => {
                 },
             ], _translate, 'translate');
         });
+
+        it('Should resolve percentages against the reference box', () => {
+            const box = { width: 200, height: 50 };
+            const tests = [
+                ['translate(-50%, -50%)', [1, 0, 0, 1, -100, -25]],
+                ['translate(10%)', [1, 0, 0, 1, 20, 0]],
+                ['translateX(25%)', [1, 0, 0, 1, 50, 0]],
+                ['translateY(25%)', [1, 0, 0, 1, 0, 12.5]],
+                ['translate(10px, 100%)', [1, 0, 0, 1, 10, 50]],
+            ];
+            tests.forEach(([string, vector]) => {
+                expect(_translate(string, box).cssVector).toEqual(vector);
+            });
+        });
+
+        it('Should throw an error for percentages without a reference box', () => {
+            throwAll(['translate(-50%, -50%)', 'translateY(1%)'], _translate);
+        });
     });
 
     describe('_scale', () => {
@@ -383,56 +511,269 @@ describe('parseCss', () => {
                 'rotate(3)',
                 'rotate(4deg, 5deg)',
                 'skew(2deg) foo(3)',
-                'skew(2deg) translate(3px, 4em)',
-                'skew(2deg) translate(3px, 4px)scale(3)',
+                'skew(2deg) translate(3px, 4deg)',
+                'skew(2deg) translate(3px, 4px), scale(3)',
+                'matrix(1 0 0 1 0 0)',
+                'translate(3px 4px)',
+                'translate(5)',
+                'scale(1px)',
+                'rotate(90)',
+                'rotate(0deg, )',
+                'perspective(-1px)',
+                'translateX(1px, 2px)',
+                'scale(2) none',
+                'url(foo)',
             ];
             throwAll(bads, parseCss, [false]);
         });
 
-        it('Should throw an error in safe mode when a 3D function is used', () => {
-            const bads = [
-                'translate3d(1px, 2px, 3px)',
-                'translateZ(1px)',
-                'perspective(1px)',
-                'rotate3d(1deg, 2deg, 3deg)',
-                'rotateX(4deg)',
-                'rotateY(4deg)',
-                'rotateZ(4deg)',
-                'scaleZ(4)',
-                'scale3d(4, 1, 3)',
-                'skew(2deg) matrix3d(1, 2, 3, 4, 5, 6)',
+        it('Should accept CSS syntax which browsers accept', () => {
+            const tests = [
+                ['translate(1e1px, 2E-1PX)', [1, 0, 0, 1, 10, 0.2]],
+                ['TRANSLATEX(/* one */ 1px /* two */)', [1, 0, 0, 1, 1, 0]],
+                ['translate(0)', [1, 0, 0, 1, 0, 0]],
+                ['translate(0, 3px)', [1, 0, 0, 1, 0, 3]],
+                ['skew(0, 0)', [1, 0, 0, 1, 0, 0]],
+                ['scale(50%, 200%)', [0.5, 0, 0, 2, 0, 0]],
+                ['matrix(1,2,3,4,5,6)', [1, 2, 3, 4, 5, 6]],
+                ['matrix( +1 , .5e1 , 3 , 4 , 5 , -6 )', [1, 5, 3, 4, 5, -6]],
+                ['transform: scale(2);', [2, 0, 0, 2, 0, 0]],
+                ['\\73 cale(2)', [2, 0, 0, 2, 0, 0]],
             ];
-            throwAll(bads, parseCss, [true]);
+            tests.forEach(([string, vector]) => {
+                const Ms = parseCss(string);
+                expect(Ms.length).toBe(1);
+                expect(Ms[0].cssVector).toEqual(vector);
+            });
+            expect(parseCss('none')).toEqual([]);
+            expect(parseCss(' ')).toEqual([]);
+            expect(parseCss('scale(2)rotate(0)').map(M => M.type)).toEqual(['scale', 'identity']);
         });
 
-        it('Should not throw an error in default mode when 3D function is used', () => {
+        it('Should parse 3D transform functions', () => {
             const tests = [
-                {
-                    string: 'translate(3px) perspective(3px) scale(2)',
-                    results: [
-                        {
-                            type: 'translate',
-                            vector: [1, 0, 0, 1, 3, 0],
-                        },
-                        {
-                            type: 'scale',
-                            vector: [2, 0, 0, 2, 0, 0],
-                        },
-                    ],
+                ['translate3d(1px, 2px, 3px)', [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 2, 3, 1]],
+                ['translateZ(3px)', [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 3, 1]],
+                ['scale3d(4, 1, 3)', [4, 0, 0, 0, 0, 1, 0, 0, 0, 0, 3, 0, 0, 0, 0, 1]],
+                ['scaleZ(4)', [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 4, 0, 0, 0, 0, 1]],
+                ['perspective(4px)', [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -0.25, 0, 0, 0, 1]],
+                ['perspective(0px)', [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -1, 0, 0, 0, 1]],
+                [
+                    'matrix3d(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16)',
+                    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+                ],
+            ];
+            tests.forEach(([string, vector]) => {
+                const Ms = parseCss(string);
+                expect(Ms.length).toBe(1);
+                expect(Ms[0].type).toBe('3d');
+                expect(Ms[0].cssVector).toEqual(vector);
+            });
+        });
+
+        it('Should parse 3D rotations', () => {
+            const c = Math.cos(Math.PI / 6);
+            const s = Math.sin(Math.PI / 6);
+            const tests = [
+                ['rotateX(30deg)', [1, 0, 0, 0, 0, c, s, 0, 0, -s, c, 0, 0, 0, 0, 1]],
+                ['rotateY(30deg)', [c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1]],
+                ['rotate3d(2, 0, 0, 30deg)', [1, 0, 0, 0, 0, c, s, 0, 0, -s, c, 0, 0, 0, 0, 1]],
+            ];
+            tests.forEach(([string, vector]) => {
+                const M = parseCss(string)[0];
+                expect(M.type).toBe('3d');
+                M.cssVector.forEach((v, i) => expect(v).toBeCloseTo(vector[i], 10));
+            });
+        });
+
+        it('Should return 2D matrixes for 3D functions that are equivalent to 2D transforms', () => {
+            const tests = [
+                ['rotateZ(90deg)', TransformMatrix.fromRotate(Math.PI / 2)],
+                ['rotate3d(0, 0, 1, 90deg)', TransformMatrix.fromRotate(Math.PI / 2)],
+                ['translate3d(1px, 2px, 0px)', TransformMatrix.fromTranslation(1, 2)],
+                ['scale3d(2, 3, 1)', TransformMatrix.fromScale(2, 3)],
+                ['rotate3d(0, 0, 0, 45deg)', TransformMatrix.identity()],
+                ['perspective(none)', TransformMatrix.identity()],
+                [
+                    'matrix3d(1, 2, 0, 0, 3, 4, 0, 0, 0, 0, 1, 0, 5, 6, 0, 1)',
+                    new TransformMatrix(1, 2, 3, 4, 5, 6),
+                ],
+            ];
+            tests.forEach(([string, expected]) => {
+                const Ms = parseCss(string);
+                expect(Ms.length).toBe(1);
+                expect(Ms[0] instanceof TransformMatrix).toBe(true);
+                Ms[0].cssVector.forEach((v, i) => {
+                    expect(v).toBeCloseTo(expected.cssVector[i], 10);
+                });
+            });
+        });
+
+        it('Should resolve percentages using an element or box', () => {
+            const el = { nodeType: 1, offsetWidth: 100, offsetHeight: 40 };
+            expect(parseCss('translate(-50%, -50%) rotate(0deg)', el)[0].cssVector)
+                .toEqual([1, 0, 0, 1, -50, -20]);
+            expect(parseCss('translate3d(50%, 50%, 2px)', { width: 10, height: 20 })[0].cssVector)
+                .toEqual([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 10, 2, 1]);
+            expect(() => parseCss('translateZ(50%)', el)).toThrow();
+        });
+
+        it('Should resolve relative length units', () => {
+            const units = { fontSize: 10, viewportWidth: 500, viewportHeight: 200 };
+            expect(parseCss('translate(1em, 10vh)', null, units)[0].cssVector)
+                .toEqual([1, 0, 0, 1, 10, 20]);
+            expect(parseCss('translateZ(1rem)')[0].cssVector[14]).toBe(16);
+            expect(parseCss('perspective(10vmax)', null, units)[0].cssVector[11])
+                .toBe(-0.02);
+        });
+
+        it('Should read unit sizes from an element', () => {
+            const sizes = { html: '20px', p: '12px' };
+            const documentElement = { nodeType: 1, tag: 'html' };
+            const ownerDocument = {
+                documentElement,
+                defaultView: {
+                    innerWidth: 1000,
+                    innerHeight: 400,
+                    getComputedStyle: node => ({ fontSize: sizes[node.tag] }),
                 },
+            };
+            const el = { nodeType: 1, tag: 'p', ownerDocument };
+            documentElement.ownerDocument = ownerDocument;
+            expect(_unitContext(el)).toEqual({
+                rootFontSize: 20,
+                fontSize: 12,
+                viewportWidth: 1000,
+                viewportHeight: 400,
+            });
+            expect(parseCss('translate(1rem, 1em)', null, el)[0].cssVector)
+                .toEqual([1, 0, 0, 1, 20, 12]);
+        });
+
+        it('Should evaluate math functions in arguments', () => {
+            const box = { width: 200, height: 50 };
+            const tests = [
+                ['translate(calc(100% - 24px), 0px)', [1, 0, 0, 1, 176, 0]],
+                ['translateY(min(50%, 1em))', [1, 0, 0, 1, 0, 16]],
+                ['translate(clamp(1px, 10%, max(5px, 2px)))', [1, 0, 0, 1, 5, 0]],
+                ['scale(min(2, 3), clamp(1, 5, 4))', [2, 0, 0, 4, 0, 0]],
+                ['skewY(calc(45deg - 45deg))', [1, 0, 0, 1, 0, 0]],
             ];
-            tests.forEach(test => {
-                const Ms = parseCss(test.string, false);
-                expect(Ms.length).toBe(test.results.length);
-                test.results.forEach((result, idx) => {
-                    expect(Ms[idx].type).toBe(result.type);
-                    expect(Ms[idx].cssVector).toEqual(result.vector);
+            tests.forEach(([string, vector]) => {
+                expect(parseCss(string, box)[0].cssVector).toEqual(vector);
+            });
+            const rotations = [
+                ['rotate(calc(2 * 45deg))', Math.PI / 2],
+                ['rotateZ(calc(0.25turn))', Math.PI / 2],
+                ['rotate3d(0, 0, calc(1 + 1), max(90deg, 1rad))', Math.PI / 2],
+            ];
+            rotations.forEach(([string, angle]) => {
+                const expected = TransformMatrix.fromRotate(angle).cssVector;
+                parseCss(string)[0].cssVector.forEach((v, i) => {
+                    expect(v).toBeCloseTo(expected[i], 10);
                 });
             });
+            expect(parseCss('translate3d(0px, 0px, calc(1in - 6px))')[0].cssVector[14])
+                .toBe(90);
+        });
+
+        it('Should keep infinite and NaN results of math functions out of matrixes', () => {
+            expect(parseCss('translate(calc(1px / 0), calc(-1px / 0))')[0].cssVector)
+                .toEqual([1, 0, 0, 1, Number.MAX_VALUE, -1 * Number.MAX_VALUE]);
+            expect(parseCss('translateX(calc(50% * NaN))', { width: 10, height: 10 })[0].cssVector)
+                .toEqual([1, 0, 0, 1, 0, 0]);
+            parseCss('rotate(calc(infinity * 1deg)) scale(calc(1 / 0))').forEach(M => {
+                M.cssVector.forEach(v => expect(isFinite(v)).toBe(true));
+            });
         });
 
-        xit('Should throw an error when a function has malformed arguments', () => {
+        it('Should throw an error for invalid math functions', () => {
+            const bads = [
+                'rotate(calc(1px))',
+                'scale(calc(2deg))',
+                'translate(calc(1px + 1deg))',
+                'translate(calc(1px -1px))',
+                'translateZ(calc(10% + 1px))',
+                'perspective(calc(1%))',
+                'translate(calc(10% + 1px))',
+            ];
+            throwAll(bads, parseCss);
+            expect(() => parseCss('translateZ(calc(10% + 1px))', { width: 1, height: 1 }))
+                .toThrow();
+        });
+
+        it('Should substitute var() references before parsing', () => {
+            const variables = { '--angle': '90deg', '--step': '3', '--Offset': '10px' };
+            const Ms = parseCss(
+                'translate(var(--Offset), calc(var(--step) * 1px)) scale(var(--zoom, 2)) rotate(var(--angle))',
+                null,
+                null,
+                variables
+            );
+            expect(Ms.map(M => M.type)).toEqual(['translate', 'scale', 'rotate']);
+            expect(Ms[0].cssVector).toEqual([1, 0, 0, 1, 10, 3]);
+            expect(Ms[1].cssVector).toEqual([2, 0, 0, 2, 0, 0]);
+            expect(() => parseCss('rotate(var(--angle))')).toThrow();
+            expect(() => parseCss('rotate(var(--offset))', null, null, variables)).toThrow();
+        });
 
+        it('Should substitute var() references as tokens', () => {
+            const variables = { '--x': '10' };
+            expect(() => parseCss('translate(var(--x)px)', null, null, variables))
+                .toThrow(jasmine.objectContaining({ code: 'INVALID_ARGUMENT', argumentIndex: 0 }));
+            expect(parseCss('translate(var(--x /* ) */), 0)', null, null, { '--x': '10px' })[0]
+                .cssVector).toEqual([1, 0, 0, 1, 10, 0]);
+            expect(() => parseCss('translate(var(--y, ")"), 0)'))
+                .toThrow(jasmine.objectContaining({ code: 'INVALID_ARGUMENT', argumentIndex: 0 }));
+        });
+
+        it('Should parse a mix of 2D and 3D functions', () => {
+            const Ms = parseCss('translate(3px) perspective(3px) scale(2)');
+            expect(Ms.map(M => M.type)).toEqual(['translate', '3d', 'scale']);
+        });
+
+        it('Should throw an error for invalid 3D functions', () => {
+            const bads = [
+                'translate3d(1px, 2px)',
+                'translateZ(1%)',
+                'rotate3d(1deg, 2deg, 3deg)',
+                'rotate3d(1, 2, 3, 4)',
+                'rotateX(4)',
+                'scaleZ(4px)',
+                'perspective(-)',
+                'skew(2deg) matrix3d(1, 2, 3, 4, 5, 6)',
+            ];
+            throwAll(bads, parseCss);
+        });
+
+        it('Should throw an error when a function has malformed arguments', () => {
+            const bads = [
+                ['scale(2) 3px', 'INVALID_SYNTAX', 9, null, null],
+                ['scale(2) foo(1)', 'UNKNOWN_FUNCTION', 9, 'foo', null],
+                ['rotate(1deg, 2deg)', 'WRONG_ARGUMENT_COUNT', 0, 'rotate', null],
+                ['translate(1px 2px)', 'INVALID_ARGUMENT', 10, 'translate', 0],
+                ['translate(1px, )', 'INVALID_ARGUMENT', 14, 'translate', 1],
+                ['skew(1deg, 2px)', 'INVALID_ARGUMENT', 11, 'skew', 1],
+                ['perspective(-1px)', 'INVALID_ARGUMENT', 12, 'perspective', 0],
+                ['rotate(calc(1px + 1deg))', 'INVALID_MATH', 7, 'rotate', 0],
+                ['translate(calc(1foo))', 'INVALID_UNIT', 10, 'translate', 0],
+                ['translate(1px, 50%)', 'PERCENTAGE_REQUIRES_REFERENCE_BOX', 15, 'translate', 1],
+                ['translateY(calc(1vh + 1px))', 'VIEWPORT_SIZE_REQUIRED', 11, 'translatey', 0],
+                ['scale(var(--zoom))', 'UNDEFINED_VARIABLE', 6, null, null],
+            ];
+            bads.forEach(([string, code, offset, functionName, argumentIndex]) => {
+                let error;
+                try {
+                    parseCss(string);
+                } catch (err) {
+                    error = err;
+                }
+                expect(error instanceof TransformParseError).toBe(true);
+                expect(error.code).toBe(code);
+                expect(error.offset).toBe(offset);
+                expect(error.functionName).toBe(functionName);
+                expect(error.argumentIndex).toBe(argumentIndex);
+            });
         });
     });
 });
@@ -0,0 +1,60 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import parseCss, { _referenceBox } from '../parseCss/parseCss';
+import { individualTransformList } from '../individualTransforms/individualTransforms';
+import parseTransformOrigin from '../transformOrigin/transformOrigin';
+import substituteVars from '../substituteVars/substituteVars';
+
+/**
+ * Converts the transform properties of a style declaration, such as the
+ * `style` of a React element, into the list of transforms they apply to an
+ * element, without the element having to be rendered.
+ *
+ * `style` may have the properties `transform`, `transformOrigin`,
+ * `translate`, `rotate` and `scale`, as in `CSSStyleDeclaration`. As in
+ * browsers, the individual properties are applied before `transform`, and
+ * all of them are applied around `transformOrigin`, which defaults to the
+ * center of `referenceBox`.
+ *
+ * Percentages and keywords (in `transformOrigin` too), relative units and
+ * `var()` references are resolved using `referenceBox`, `units` and
+ * `variables`, as for `parseCss()`. An empty list is returned when no
+ * transforms apply.
+ *
+ * @export
+ * @param {Object} style
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox]
+ * @param {Object|HTMLElement} [units]
+ * @param {Object|Map|HTMLElement} [variables]
+ * @returns {Array<TransformMatrix|TransformMatrix3D>}
+ */
+export default function parseStyle(style, referenceBox, units, variables) {
+    const box = _referenceBox(referenceBox);
+    const matrixes = individualTransformList(style, box, units, variables);
+    if (style.transform != null) {
+        matrixes.push(...parseCss(String(style.transform), box, units, variables));
+    }
+    if (matrixes.length === 0) { return []; }
+
+    const origin = _origin(style.transformOrigin, box, units, variables);
+    if (origin.x === 0 && origin.y === 0 && origin.z === 0) {
+        return matrixes;
+    }
+    const translation = (x, y, z) => (z === 0 ?
+        TransformMatrix.fromTranslation(x, y) :
+        TransformMatrix3D.fromTranslation(x, y, z));
+    return [
+        translation(origin.x, origin.y, origin.z),
+        ...matrixes,
+        translation(-1 * origin.x, -1 * origin.y, -1 * origin.z),
+    ];
+}
+
+// resolves the transform origin, which can't be found without the size of
+// the reference box unless it is given in lengths
+function _origin(transformOrigin, box, units, variables) {
+    const str = transformOrigin == null ?
+        '50% 50%' :
+        substituteVars(String(transformOrigin), variables);
+    return parseTransformOrigin(str, box, units);
+}
@@ -0,0 +1,89 @@
+import parseStyle from './parseStyle';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+import TransformParseError from '../TransformParseError/TransformParseError';
+
+// maps (x, y) through the transforms of `style`
+function transformPoint(style, x, y, box = { width: 100, height: 50 }) {
+    const M = TransformMatrix.compose(parseStyle(style, box));
+    const point = M.transformPoint(x, y);
+    return [point.x, point.y].map(v => (Math.round(v * 10000) / 10000) || 0);
+}
+
+describe('parseStyle', () => {
+    it('Should apply transforms around the center of the box by default', () => {
+        expect(transformPoint({ transform: 'rotate(90deg)' }, 50, 25)).toEqual([50, 25]);
+        expect(transformPoint({ transform: 'rotate(90deg)' }, 100, 25)).toEqual([50, 75]);
+        expect(transformPoint({ scale: '2' }, 0, 0)).toEqual([-50, -25]);
+    });
+
+    it('Should resolve the transform origin against the box', () => {
+        expect(transformPoint({ scale: '2', transformOrigin: '0 0' }, 10, 10)).toEqual([20, 20]);
+        expect(transformPoint({ scale: '2', transformOrigin: 'right bottom' }, 100, 50))
+            .toEqual([100, 50]);
+        expect(transformPoint({ scale: '2', transformOrigin: '20% 10px' }, 20, 10))
+            .toEqual([20, 10]);
+    });
+
+    it('Should apply the individual properties before the transform', () => {
+        const style = {
+            transform: 'scale(2)',
+            translate: '10px 50%',
+            rotate: '90deg',
+            scale: '3',
+            transformOrigin: '0px 0px',
+        };
+        // scale(2), then scale(3), then rotate(90deg), then translate(10px, 25px)
+        expect(transformPoint(style, 1, 0)).toEqual([10, 31]);
+    });
+
+    it('Should resolve units and variables', () => {
+        const M = TransformMatrix.compose(parseStyle(
+            { transform: 'translateX(var(--x))', translate: '0 2em', transformOrigin: '0 0' },
+            null,
+            { fontSize: 10 },
+            { '--x': '5px' }
+        ));
+        expect(M.cssVector).toEqual([1, 0, 0, 1, 5, 20]);
+    });
+
+    it('Should resolve relative units and math functions in the transform origin', () => {
+        expect(transformPoint({ scale: '2', transformOrigin: '1rem 0' }, 16, 0)).toEqual([16, 0]);
+        expect(transformPoint({ scale: '2', transformOrigin: 'calc(50% + 2px) 0' }, 52, 0))
+            .toEqual([52, 0]);
+        const units = { fontSize: 10, viewportWidth: 100, viewportHeight: 200 };
+        const M = TransformMatrix.compose(
+            parseStyle({ scale: '2', transformOrigin: '1em 1vh' }, null, units));
+        expect(M.transformPoint(10, 2)).toEqual({ x: 10, y: 2 });
+    });
+
+    it('Should include the z component of the transform origin', () => {
+        const matrixes = parseStyle(
+            { rotate: 'y 90deg', transformOrigin: '0px 0px 10px' }, { width: 0, height: 0 });
+        expect(matrixes[0] instanceof TransformMatrix3D).toBe(true);
+        const point = TransformMatrix3D.compose(matrixes).transformPoint(0, 0, 10);
+        expect(point.x).toBeCloseTo(0, 10);
+        expect(point.z).toBeCloseTo(10, 10);
+    });
+
+    it('Should return an empty list when no transforms apply', () => {
+        expect(parseStyle({})).toEqual([]);
+        expect(parseStyle({ transform: 'none', scale: 'none', transformOrigin: 'left' })).toEqual([]);
+    });
+
+    it('Should require a reference box to resolve the transform origin', () => {
+        expect(() => parseStyle({ transform: 'scale(2)' })).toThrowError(/reference box/);
+        expect(parseStyle({ transform: 'scale(2)', transformOrigin: '10px 0px' }).length).toBe(3);
+        expect(() => parseStyle({ transform: 'scale(2)', transformOrigin: 'left 0' }))
+            .toThrow(jasmine.objectContaining({ code: 'PERCENTAGE_REQUIRES_REFERENCE_BOX' }));
+    });
+
+    it('Should throw TransformParseErrors for invalid transform origins', () => {
+        const parse = transformOrigin => () =>
+            parseStyle({ transform: 'scale(2)', transformOrigin }, { width: 10, height: 10 });
+        expect(parse('left 1deg')).toThrowError(TransformParseError);
+        expect(parse('left 1deg'))
+            .toThrow(jasmine.objectContaining({ code: 'INVALID_ARGUMENT', offset: 5 }));
+        expect(parse('calc(1px + 1deg) 0')).toThrow(jasmine.objectContaining({ code: 'INVALID_MATH' }));
+    });
+});
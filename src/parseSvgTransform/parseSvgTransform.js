@@ -0,0 +1,150 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformParseError from '../TransformParseError/TransformParseError';
+
+// The numbers of arguments accepted by each SVG transform function; see
+// https://www.w3.org/TR/SVG11/coords.html#TransformAttribute
+const SVG_FUNCTIONS = {
+    matrix: [6],
+    translate: [1, 2],
+    scale: [1, 2],
+    rotate: [1, 3],
+    skewX: [1],
+    skewY: [1],
+};
+
+const WSP_RX = /[ \t\r\n]*/g;
+const COMMA_WSP_RX = /[ \t\r\n]*,?[ \t\r\n]*/g;
+const NAME_RX = /[a-zA-Z]+/g;
+const NUMBER_RX = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+
+/**
+ * Converts the value of an SVG `transform` attribute into an array of
+ * TransformMatrixes, following the grammar of SVG 1.1, e.g.
+ * "translate(10 20) rotate(45, 50, 50)". Unlike CSS, arguments are unitless
+ * numbers (angles are in degrees) which may be separated by whitespace or
+ * commas, and `rotate()` takes an optional center of rotation. Function
+ * names are case sensitive. As in browsers, transforms need not be
+ * separated, but commas may only appear between them.
+ *
+ * An empty string is an empty list; a TransformParseError is thrown for
+ * invalid strings.
+ *
+ * @export
+ * @param {String} str
+ * @returns {Array<TransformMatrix>}
+ */
+export default function parseSvgTransform(str) {
+    const state = { str, pos: 0 };
+    const matrixes = [];
+    _match(state, WSP_RX);
+    // a comma must be followed by another transform
+    let afterComma = false;
+    while (state.pos < str.length || afterComma) {
+        matrixes.push(_transform(state));
+        afterComma = _match(state, COMMA_WSP_RX).indexOf(',') !== -1;
+    }
+    return matrixes;
+}
+
+// matches `rx` (a global regular expression) at the current position,
+// advancing past it, or returns null if it doesn't match there
+function _match(state, rx) {
+    rx.lastIndex = state.pos;
+    const match = rx.exec(state.str);
+    if (match == null || match.index !== state.pos) { return null; }
+    state.pos += match[0].length;
+    return match[0];
+}
+
+function _transform(state) {
+    const start = state.pos;
+    const name = _match(state, NAME_RX);
+    _match(state, WSP_RX);
+    if (name == null || state.str[state.pos] !== '(') {
+        throw new TransformParseError(
+            'INVALID_SYNTAX',
+            'Invalid SVG transform; expected a transform function',
+            { offset: start }
+        );
+    }
+    const details = { offset: start, functionName: name };
+    if (!Object.prototype.hasOwnProperty.call(SVG_FUNCTIONS, name)) {
+        throw new TransformParseError(
+            'UNKNOWN_FUNCTION',
+            `Invalid SVG transform; ${name}() is not a transform function`,
+            details
+        );
+    }
+    state.pos += 1;
+    const args = _args(state, name);
+    const counts = SVG_FUNCTIONS[name];
+    if (counts.indexOf(args.length) === -1) {
+        const plural = counts[counts.length - 1] > 1 ? 's' : '';
+        throw new TransformParseError(
+            'WRONG_ARGUMENT_COUNT',
+            `Invalid arguments; expected ${counts.join(' or ')} argument${plural}`,
+            details
+        );
+    }
+    return _toMatrix(name, args);
+}
+
+// parses the numbers up to the closing parenthesis of the function `name`,
+// which must be separated by whitespace and/or a comma
+function _args(state, name) {
+    const args = [];
+    _match(state, WSP_RX);
+    if (state.str[state.pos] === ')') {
+        state.pos += 1;
+        return args;
+    }
+    for (;;) {
+        const number = _match(state, NUMBER_RX);
+        if (number == null) {
+            throw _argumentError(state, name, args.length, 'expected a number');
+        }
+        args.push(parseFloat(number));
+        const separator = _match(state, COMMA_WSP_RX);
+        if (state.str[state.pos] === ')' && separator.indexOf(',') === -1) {
+            state.pos += 1;
+            return args;
+        } else if (separator === '') {
+            throw _argumentError(state, name, args.length - 1, 'expected a unitless number');
+        }
+    }
+}
+
+function _argumentError(state, name, argumentIndex, reason) {
+    if (state.pos >= state.str.length) {
+        return new TransformParseError(
+            'INVALID_SYNTAX',
+            'Invalid SVG transform; missing closing parenthesis',
+            { offset: state.pos, functionName: name }
+        );
+    }
+    return new TransformParseError('INVALID_ARGUMENT', `Invalid argument; ${reason}`, {
+        offset: state.pos,
+        functionName: name,
+        argumentIndex,
+    });
+}
+
+function _toMatrix(name, args) {
+    const rad = deg => (deg * Math.PI) / 180;
+    switch (name) {
+        case 'matrix':
+            return new TransformMatrix(...args);
+        case 'translate':
+            return TransformMatrix.fromTranslation(args[0], args.length > 1 ? args[1] : 0);
+        case 'scale':
+            return TransformMatrix.fromScale(args[0], args.length > 1 ? args[1] : args[0]);
+        case 'rotate': {
+            const M = TransformMatrix.fromRotate(rad(args[0]));
+            return args.length === 3 ? M.aroundOrigin(args[1], args[2]) : M;
+        }
+        case 'skewX':
+            return TransformMatrix.fromSkewX(rad(args[0]));
+        default:
+            return TransformMatrix.fromSkewY(rad(args[0]));
+    }
+}
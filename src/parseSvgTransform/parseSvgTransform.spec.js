@@ -0,0 +1,73 @@
+import parseSvgTransform from './parseSvgTransform';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+
+// the CSS vectors of the matrixes of `str`, rounded
+function vectors(str) {
+    return parseSvgTransform(str).map(M => M.cssVector.map(v => Math.round(v * 10000) / 10000));
+}
+
+describe('parseSvgTransform', () => {
+    it('Should parse unitless, whitespace or comma separated arguments', () => {
+        expect(vectors('translate(10 20) scale(2,3) matrix(1 2,3 , 4 5e1 -6)')).toEqual([
+            [1, 0, 0, 1, 10, 20],
+            [2, 0, 0, 3, 0, 0],
+            [1, 2, 3, 4, 50, -6],
+        ]);
+        expect(vectors('translate(10)  scale(2)')).toEqual([
+            [1, 0, 0, 1, 10, 0],
+            [2, 0, 0, 2, 0, 0],
+        ]);
+    });
+
+    it('Should use degrees for angles', () => {
+        expect(vectors('rotate(90) skewX(45) skewY(-45)')).toEqual([
+            [0, 1, -1, 0, 0, 0],
+            [1, 0, 1, 1, 0, 0],
+            [1, -1, 0, 1, 0, 0],
+        ]);
+    });
+
+    it('Should rotate around a center', () => {
+        const [M] = parseSvgTransform('rotate(90, 50 50)');
+        const expected = TransformMatrix.fromRotate(Math.PI / 2).aroundOrigin(50, 50);
+        expect(M.cssVector).toEqual(expected.cssVector);
+        const point = M.transformPoint(100, 50);
+        expect(point.x).toBeCloseTo(50, 10);
+        expect(point.y).toBeCloseTo(100, 10);
+    });
+
+    it('Should accept any separators between transforms', () => {
+        expect(vectors(' scale(2),translate(1)\n\tscale (3)rotate(0) ').length).toBe(4);
+        expect(parseSvgTransform('')).toEqual([]);
+        expect(parseSvgTransform('  ')).toEqual([]);
+    });
+
+    it('Should throw an error for invalid transforms', () => {
+        const bads = [
+            ['translate(10px)', 'INVALID_ARGUMENT', 12],
+            ['translateX(10)', 'UNKNOWN_FUNCTION', 0],
+            ['Rotate(10)', 'UNKNOWN_FUNCTION', 0],
+            ['rotate(10 20)', 'WRONG_ARGUMENT_COUNT', 0],
+            ['matrix(1 2 3 4 5)', 'WRONG_ARGUMENT_COUNT', 0],
+            ['scale(2) 3', 'INVALID_SYNTAX', 9],
+            ['scale(2', 'INVALID_SYNTAX', 7],
+            ['scale(2,)', 'INVALID_ARGUMENT', 8],
+            ['translate(1-2)', 'INVALID_ARGUMENT', 11],
+            ['scale(2),', 'INVALID_SYNTAX', 9],
+            ['scale(2) , ', 'INVALID_SYNTAX', 11],
+            [',scale(2)', 'INVALID_SYNTAX', 0],
+            [' , scale(2)', 'INVALID_SYNTAX', 1],
+            ['scale(2),,scale(2)', 'INVALID_SYNTAX', 9],
+        ];
+        bads.forEach(([str, code, offset]) => {
+            let error;
+            try {
+                parseSvgTransform(str);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.code).toBe(code);
+            expect(error.offset).toBe(offset);
+        });
+    });
+});
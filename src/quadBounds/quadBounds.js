@@ -0,0 +1,76 @@
+/* eslint-disable max-len */
+/**
+ * Finds the smallest axis-aligned rectangle containing all four corners of
+ * `quad`, e.g. the bounding box of a rectangle after it has been rotated or
+ * skewed. Like `DOMQuad.getBounds()`, but in the shape of the rect returned
+ * by `Element.getBoundingClientRect()`.
+ *
+ * @export
+ * @param {{p1: Object, p2: Object, p3: Object, p4: Object}} quad - four
+ *   points `{x, y}`, as returned by `toQuad()` or `mapQuad()`
+ * @returns {{top: Number, right: Number, bottom: Number, left: Number, width: Number, height: Number}}
+ */
+/* eslint-enable max-len */
+export default function quadBounds(quad) {
+    const points = [quad.p1, quad.p2, quad.p3, quad.p4];
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    const right = Math.max(...xs);
+    const bottom = Math.max(...ys);
+    return {
+        top,
+        right,
+        bottom,
+        left,
+        width: right - left,
+        height: bottom - top,
+    };
+}
+
+/**
+ * Converts a rect (e.g. a DOMRect, or any object with `left` and `top` or `x`
+ * and `y`, and `right` and `bottom` or `width` and `height`) into the quad of
+ * its corners, in the order of a DOMQuad: top left, top right, bottom right,
+ * bottom left. Quads are returned as they are.
+ *
+ * @export
+ * @param {Object} rect
+ * @returns {{p1: Object, p2: Object, p3: Object, p4: Object}}
+ */
+export function toQuad(rect) {
+    if (rect.p1 != null) { return rect; }
+    const left = rect.left != null ? rect.left : rect.x;
+    const top = rect.top != null ? rect.top : rect.y;
+    const right = rect.right != null ? rect.right : left + rect.width;
+    const bottom = rect.bottom != null ? rect.bottom : top + rect.height;
+    return {
+        p1: { x: left, y: top },
+        p2: { x: right, y: top },
+        p3: { x: right, y: bottom },
+        p4: { x: left, y: bottom },
+    };
+}
+
+/**
+ * Maps each corner of `quad` through `fn(x, y)`, which should return a point
+ * `{x, y}`, e.g. `(x, y) => matrix.transformPoint(x, y)`.
+ *
+ * @export
+ * @param {{p1: Object, p2: Object, p3: Object, p4: Object}} quad
+ * @param {function(Number, Number): {x: Number, y: Number}} fn
+ * @returns {{p1: Object, p2: Object, p3: Object, p4: Object}}
+ */
+export function mapQuad(quad, fn) {
+    const map = point => {
+        const { x, y } = fn(point.x, point.y);
+        return { x, y };
+    };
+    return {
+        p1: map(quad.p1),
+        p2: map(quad.p2),
+        p3: map(quad.p3),
+        p4: map(quad.p4),
+    };
+}
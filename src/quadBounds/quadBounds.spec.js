@@ -0,0 +1,59 @@
+import quadBounds, { toQuad, mapQuad } from './quadBounds';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+
+describe('quadBounds', () => {
+    it('Should find the bounds of a quad', () => {
+        const quad = {
+            p1: { x: 10, y: 0 },
+            p2: { x: 20, y: 10 },
+            p3: { x: 10, y: 20 },
+            p4: { x: 0, y: 10 },
+        };
+        expect(quadBounds(quad)).toEqual({
+            top: 0, right: 20, bottom: 20, left: 0, width: 20, height: 20,
+        });
+    });
+
+    it('Should find the bounds of a rotated rect', () => {
+        const M = TransformMatrix.fromRotate(Math.PI / 2);
+        const quad = mapQuad(toQuad({ left: 0, top: 0, right: 20, bottom: 10 }),
+            (x, y) => M.transformPoint(x, y));
+        const bounds = quadBounds(quad);
+        expect(bounds.left).toBeCloseTo(-10, 10);
+        expect(bounds.top).toBeCloseTo(0, 10);
+        expect(bounds.width).toBeCloseTo(10, 10);
+        expect(bounds.height).toBeCloseTo(20, 10);
+    });
+});
+
+describe('toQuad', () => {
+    const quad = {
+        p1: { x: 1, y: 2 },
+        p2: { x: 4, y: 2 },
+        p3: { x: 4, y: 6 },
+        p4: { x: 1, y: 6 },
+    };
+
+    it('Should convert rects into quads', () => {
+        expect(toQuad({ left: 1, top: 2, right: 4, bottom: 6 })).toEqual(quad);
+        expect(toQuad({ x: 1, y: 2, width: 3, height: 4 })).toEqual(quad);
+        expect(toQuad({ left: 1, top: 2, width: 3, height: 4 })).toEqual(quad);
+    });
+
+    it('Should return quads as they are', () => {
+        expect(toQuad(quad)).toBe(quad);
+    });
+});
+
+describe('mapQuad', () => {
+    it('Should map each corner', () => {
+        const quad = mapQuad(toQuad({ x: 0, y: 0, width: 1, height: 1 }),
+            (x, y) => ({ x: x + 1, y: y * 2, z: 0 }));
+        expect(quad).toEqual({
+            p1: { x: 1, y: 0 },
+            p2: { x: 2, y: 0 },
+            p3: { x: 2, y: 2 },
+            p4: { x: 1, y: 2 },
+        });
+    });
+});
@@ -0,0 +1,260 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import { _compose } from '../TransformMatrix3D/TransformMatrix3D';
+import parseEasing from '../easing/easing';
+import { individualTransformFromElement } from '../individualTransforms/individualTransforms';
+import interpolateTransform from '../interpolateTransform/interpolateTransform';
+import parseCss from '../parseCss/parseCss';
+import substituteVars from '../substituteVars/substituteVars';
+
+/**
+ * Finds the transform that will be applied to the element `el` `offset`
+ * milliseconds from now, taking into account any CSS transitions, CSS
+ * animations or Web Animations affecting its `transform` property. Each
+ * animation's timing (delay, duration, iterations, direction, fill and
+ * easing) and keyframes are resolved as described in the Web Animations
+ * specification.
+ *
+ * Only animations which are currently running move forward in time; paused
+ * and finished animations are sampled at their current time.
+ *
+ * Browsers don't expose the value the transform property would have without
+ * animations, which is used for keyframes that omit a transform. For CSS
+ * transitions, this is the value being transitioned to; otherwise, the inline
+ * style of `el` (or `none`) is used.
+ *
+ * `var()` references in keyframes are resolved using the custom properties
+ * of `el`. Keyframes are interpolated as described in
+ * `interpolateTransform()`, including those with 3D transform functions.
+ *
+ * Animations of the individual transform properties (`translate`, `rotate`
+ * and `scale`) and of motion paths aren't sampled; their current values are
+ * applied before the sampled transform.
+ *
+ * If no animations affect the transform of `el`, this is equivalent to
+ * `TransformMatrix.fromElement(el)`.
+ *
+ * @export
+ * @param {HTMLElement} el
+ * @param {Number} offset - time offset from now, in milliseconds
+ * @returns {TransformMatrix|TransformMatrix3D|null}
+ */
+export default function sampleTransform(el, offset) {
+    const animations = el.getAnimations ? el.getAnimations() : [];
+    const effects = animations
+        .filter(anim => anim.effect && anim.effect.getKeyframes)
+        .map(anim => ({ anim, keyframes: _transformKeyframes(anim.effect, el) }))
+        .filter(({ keyframes }) => keyframes.length > 0);
+    if (effects.length === 0) {
+        return TransformMatrix.fromElement(el);
+    }
+
+    const underlying = _underlyingTransform(el, effects);
+    let result = null;
+    effects.forEach(({ anim, keyframes }) => {
+        const timing = anim.effect.getComputedTiming();
+        if (timing.localTime == null) { return; }
+        let localTime = timing.localTime;
+        if (anim.playState === 'running') {
+            localTime += offset * anim.playbackRate;
+        }
+        const progress = iterationProgress(timing, localTime);
+        if (progress == null) { return; }
+        const value = keyframeValue(keyframes, progress, underlying, el, el);
+        const composite = anim.effect.composite;
+        if (result != null && (composite === 'add' || composite === 'accumulate')) {
+            result = _compose([result, value]);
+        } else if (composite === 'add' || composite === 'accumulate') {
+            result = _compose([_toMatrix(underlying, el, el), value]);
+        } else {
+            result = value;
+        }
+    });
+
+    if (result == null) {
+        result = _toMatrix(underlying, el, el);
+    }
+    const individual = individualTransformFromElement(el);
+    if (individual != null) {
+        result = _compose([individual, result]);
+    }
+    return result.isIdentity() ? null : result;
+}
+
+/**
+ * Calculates the transformed progress of an animation effect at
+ * `localTime`, i.e. the progress through the current iteration after
+ * accounting for the effect's delays, fill mode, playback direction and
+ * easing. Returns `null` when the effect is not in effect at `localTime`.
+ *
+ * See https://www.w3.org/TR/web-animations-1/#core-animation-model
+ *
+ * @export
+ * @param {Object} timing - computed timing, as returned by
+ *  `AnimationEffect.getComputedTiming()`
+ * @param {Number} localTime - milliseconds
+ * @returns {Number|null}
+ */
+export function iterationProgress(timing, localTime) {
+    const delay = timing.delay || 0;
+    const endDelay = timing.endDelay || 0;
+    const duration = typeof timing.duration === 'number' ? timing.duration : 0;
+    const iterations = timing.iterations == null ? 1 : timing.iterations;
+    const iterationStart = timing.iterationStart || 0;
+    const fill = timing.fill || 'none';
+    const activeDuration = duration * iterations || 0;
+    const endTime = Math.max(delay + activeDuration + endDelay, 0);
+
+    // determine the phase of the effect, and its active time
+    let phase;
+    let activeTime;
+    if (localTime < Math.max(Math.min(delay, endTime), 0)) {
+        phase = 'before';
+        if (fill === 'backwards' || fill === 'both') {
+            activeTime = Math.max(localTime - delay, 0);
+        }
+    } else if (localTime >= Math.max(Math.min(delay + activeDuration, endTime), 0)) {
+        phase = 'after';
+        if (fill === 'forwards' || fill === 'both') {
+            activeTime = Math.max(Math.min(localTime - delay, activeDuration), 0);
+        }
+    } else {
+        phase = 'active';
+        activeTime = localTime - delay;
+    }
+    if (activeTime == null) { return null; }
+
+    let overallProgress;
+    if (duration === 0) {
+        overallProgress = phase === 'before' ? 0 : iterations;
+    } else {
+        overallProgress = activeTime / duration;
+    }
+    overallProgress += iterationStart;
+
+    let simpleProgress = isFinite(overallProgress) ?
+        overallProgress % 1 :
+        iterationStart % 1;
+    if (simpleProgress === 0 &&
+        phase !== 'before' &&
+        iterations !== 0 &&
+        activeTime === activeDuration &&
+        overallProgress !== 0) {
+        simpleProgress = 1;
+    }
+
+    let currentIteration;
+    if (phase === 'after' && !isFinite(iterations)) {
+        currentIteration = Infinity;
+    } else if (simpleProgress === 1) {
+        currentIteration = Math.floor(overallProgress) - 1;
+    } else {
+        currentIteration = Math.floor(overallProgress);
+    }
+
+    let forwards;
+    switch (timing.direction) {
+        case 'reverse':
+            forwards = false;
+            break;
+        case 'alternate':
+            forwards = currentIteration % 2 === 0 || !isFinite(currentIteration);
+            break;
+        case 'alternate-reverse':
+            forwards = !(currentIteration % 2 === 0 || !isFinite(currentIteration));
+            break;
+        default:
+            forwards = true;
+    }
+    const directedProgress = forwards ? simpleProgress : 1 - simpleProgress;
+    return parseEasing(timing.easing)(directedProgress, phase === 'before');
+}
+
+/**
+ * Finds the value of a set of transform keyframes at the given iteration
+ * `progress`. Keyframes for offsets 0 and 1 are added using the `underlying`
+ * value, if they are missing.
+ *
+ * @export
+ * @param {Array<{offset: Number, easing: String, value: String}>} keyframes -
+ *  sorted by offset
+ * @param {Number} progress
+ * @param {String} [underlying = 'none'] - the value of the transform property
+ *  without this animation applied
+ * @param {{width: Number, height: Number}|HTMLElement} [referenceBox] - used
+ *  to resolve percentages in translate functions; see `parseCss()`.
+ * @param {Object|HTMLElement} [units] - used to resolve relative length
+ *  units; see `parseCss()`.
+ * @returns {TransformMatrix|TransformMatrix3D}
+ */
+export function keyframeValue(keyframes, progress, underlying = 'none', referenceBox, units) {
+    const frames = [].concat(keyframes);
+    if (!frames.some(frame => frame.offset === 0)) {
+        frames.unshift({ offset: 0, easing: 'linear', value: underlying });
+    }
+    if (!frames.some(frame => frame.offset === 1)) {
+        frames.push({ offset: 1, easing: 'linear', value: underlying });
+    }
+
+    const atEnd = frames.filter(frame => frame.offset === 1);
+    if (progress >= 1 && atEnd.length > 1) {
+        return _toMatrix(atEnd[atEnd.length - 1].value, referenceBox, units);
+    }
+
+    let startIdx;
+    if (progress < 0) {
+        startIdx = 0;
+    } else if (progress >= 1) {
+        startIdx = frames.length - 2;
+    } else {
+        startIdx = 0;
+        frames.forEach((frame, i) => {
+            if (frame.offset <= progress && frame.offset < 1) {
+                startIdx = i;
+            }
+        });
+    }
+    const start = frames[startIdx];
+    const end = frames[startIdx + 1];
+    const range = end.offset - start.offset;
+    const intervalProgress = range === 0 ? 0 : (progress - start.offset) / range;
+    const eased = parseEasing(start.easing)(intervalProgress);
+    return interpolateTransform(start.value, end.value, eased, referenceBox, units);
+}
+
+/**
+ * Returns the keyframes of a KeyframeEffect which specify a transform, with
+ * any `var()` references substituted using the custom properties of `el`.
+ *
+ * @param {KeyframeEffect} effect
+ * @param {HTMLElement} el
+ * @returns {Array<{offset: Number, easing: String, value: String}>}
+ */
+function _transformKeyframes(effect, el) {
+    return effect.getKeyframes()
+        .filter(frame => frame.transform != null && frame.transform !== '')
+        .map(frame => ({
+            offset: frame.computedOffset == null ? frame.offset : frame.computedOffset,
+            easing: frame.easing || 'linear',
+            value: substituteVars(frame.transform, el),
+        }));
+}
+
+function _underlyingTransform(el, effects) {
+    const transitions = effects.filter(({ anim }) =>
+        anim.transitionProperty === 'transform');
+    if (transitions.length > 0) {
+        const { keyframes } = transitions[transitions.length - 1];
+        return keyframes[keyframes.length - 1].value;
+    }
+    return substituteVars((el.style && el.style.transform) || 'none', el);
+}
+
+function _toMatrix(str, referenceBox, units) {
+    if (str.trim().toLowerCase() === 'none') {
+        return TransformMatrix.identity();
+    }
+    const matrixes = parseCss(str, referenceBox, units);
+    return matrixes.length > 0 ?
+        _compose(matrixes) :
+        TransformMatrix.identity();
+}
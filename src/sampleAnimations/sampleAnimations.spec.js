@@ -0,0 +1,81 @@
+import { iterationProgress, keyframeValue } from './sampleAnimations';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+
+describe('sampleAnimations', () => {
+    describe('iterationProgress', () => {
+        const timing = {
+            delay: 100,
+            endDelay: 0,
+            duration: 1000,
+            iterations: 2,
+            iterationStart: 0,
+            direction: 'normal',
+            fill: 'none',
+            easing: 'linear',
+        };
+
+        it('Should find the progress through the current iteration', () => {
+            expect(iterationProgress(timing, 100)).toBe(0);
+            expect(iterationProgress(timing, 350)).toBe(0.25);
+            expect(iterationProgress(timing, 1350)).toBe(0.25);
+        });
+
+        it('Should respect the fill mode', () => {
+            expect(iterationProgress(timing, 50)).toBeNull();
+            expect(iterationProgress(timing, 5000)).toBeNull();
+            const both = Object.assign({}, timing, { fill: 'both' });
+            expect(iterationProgress(both, 50)).toBe(0);
+            expect(iterationProgress(both, 5000)).toBe(1);
+        });
+
+        it('Should respect the playback direction', () => {
+            const reverse = Object.assign({}, timing, { direction: 'reverse' });
+            expect(iterationProgress(reverse, 350)).toBe(0.75);
+            const alternate = Object.assign({}, timing, { direction: 'alternate' });
+            expect(iterationProgress(alternate, 350)).toBe(0.25);
+            expect(iterationProgress(alternate, 1350)).toBe(0.75);
+        });
+
+        it('Should apply the easing function', () => {
+            const stepped = Object.assign({}, timing, { easing: 'steps(2)' });
+            expect(iterationProgress(stepped, 350)).toBe(0);
+            expect(iterationProgress(stepped, 700)).toBe(0.5);
+        });
+    });
+
+    describe('keyframeValue', () => {
+        const keyframes = [
+            { offset: 0, easing: 'linear', value: 'translateX(0px)' },
+            { offset: 0.5, easing: 'linear', value: 'translateX(100px)' },
+            { offset: 1, easing: 'linear', value: 'translateX(200px)' },
+        ];
+
+        it('Should interpolate between the surrounding keyframes', () => {
+            expect(keyframeValue(keyframes, 0.25).cssVector).toEqual([1, 0, 0, 1, 50, 0]);
+            expect(keyframeValue(keyframes, 0.75).cssVector).toEqual([1, 0, 0, 1, 150, 0]);
+            expect(keyframeValue(keyframes, 1).cssVector).toEqual([1, 0, 0, 1, 200, 0]);
+        });
+
+        it('Should fill in missing keyframes with the underlying value', () => {
+            const partial = [{ offset: 1, easing: 'linear', value: 'translateX(100px)' }];
+            expect(keyframeValue(partial, 0.5, 'translateX(50px)').cssVector)
+                .toEqual([1, 0, 0, 1, 75, 0]);
+        });
+
+        it('Should interpolate 3D keyframes', () => {
+            const frames = [
+                { offset: 0, easing: 'linear', value: 'perspective(100px) rotateY(0deg)' },
+                { offset: 1, easing: 'linear', value: 'perspective(100px) rotateY(90deg)' },
+            ];
+            const M = keyframeValue(frames, 0.5);
+            const expected = TransformMatrix3D.compose([
+                TransformMatrix3D.fromPerspective(100),
+                TransformMatrix3D.fromRotate3d(0, 1, 0, Math.PI / 4),
+            ]);
+            expect(M instanceof TransformMatrix3D).toBe(true);
+            M.cssVector.forEach((v, i) => expect(v).toBeCloseTo(expected.cssVector[i], 6));
+            expect(keyframeValue([frames[1]], 0.5, 'translateZ(10px)') instanceof TransformMatrix3D)
+                .toBe(true);
+        });
+    });
+});
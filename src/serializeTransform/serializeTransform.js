@@ -0,0 +1,125 @@
+// the number of each angle unit in a radian
+const UNITS_PER_RAD = {
+    deg: 180 / Math.PI,
+    rad: 1,
+    grad: 200 / Math.PI,
+    turn: 1 / (2 * Math.PI),
+};
+
+const DEFAULT_OPTIONS = {
+    precision: 6,
+    angleUnit: null,
+};
+
+// the CSS spelling of the lower case transform function names used by
+// `parseTransformList()`
+const FUNCTION_NAMES = [
+    'matrix', 'translate', 'translateX', 'translateY', 'scale', 'scaleX', 'scaleY',
+    'rotate', 'skew', 'skewX', 'skewY', 'matrix3d', 'translate3d', 'translateZ',
+    'scale3d', 'scaleZ', 'rotate3d', 'rotateX', 'rotateY', 'rotateZ', 'perspective',
+].reduce((names, name) => Object.assign(names, { [name.toLowerCase()]: name }), {});
+
+/**
+ * Serializes a list of transforms as the value of a CSS transform property,
+ * e.g. "translate(10px, 20px) rotate(45deg)". An empty list is "none".
+ *
+ * The list may contain TransformMatrixes and TransformMatrix3Ds (e.g. the
+ * result of `decompose()`), which are serialized by their `toCss()` methods,
+ * and the transform functions returned by `parseTransformList()`. Identity
+ * matrixes are left out.
+ *
+ * `options` may have the following properties:
+ *  - precision: the number of decimal places numbers are rounded to;
+ *    defaults to 6
+ *  - angleUnit: the unit of angles, i.e. 'deg', 'rad', 'grad' or 'turn'.
+ *    Angles calculated from matrixes default to 'deg', and the angles of
+ *    parsed transform functions keep their own units unless `angleUnit` is
+ *    given.
+ *
+ * @export
+ * @param {Array<TransformMatrix|TransformMatrix3D|Object>} list
+ * @param {Object} [options]
+ * @returns {String}
+ */
+export default function serializeTransformList(list, options) {
+    const functions = list
+        .filter(item => typeof item.toCss !== 'function' || !item.isIdentity())
+        .map(item => (typeof item.toCss === 'function' ?
+            item.toCss(options) :
+            _serializeFunction(item, _options(options))));
+    return functions.length > 0 ? functions.join(' ') : 'none';
+}
+
+/**
+ * Fills in the defaults of serialization `options`; see
+ * `serializeTransformList()`.
+ *
+ * @export
+ * @param {Object} [options]
+ * @returns {{precision: Number, angleUnit: ?String}}
+ */
+export function _options(options) {
+    const result = Object.assign({}, DEFAULT_OPTIONS);
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+        if (options != null && options[key] != null) {
+            result[key] = options[key];
+        }
+    });
+    const { angleUnit } = result;
+    if (angleUnit != null && !Object.prototype.hasOwnProperty.call(UNITS_PER_RAD, angleUnit)) {
+        throw new Error(`Invalid angle unit: ${angleUnit}`);
+    }
+    return result;
+}
+
+/**
+ * Formats `n` as a CSS number, rounded to `precision` decimal places without
+ * trailing zeros, e.g. 0.5000001 becomes "0.5".
+ *
+ * @export
+ * @param {Number} n
+ * @param {Number} precision
+ * @returns {String}
+ */
+export function _formatNumber(n, precision) {
+    const rounded = Number(n.toFixed(precision));
+    // avoid "-0"
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+/**
+ * Formats the angle `theta`, in radians, as a CSS angle in `options.angleUnit`
+ * (degrees by default).
+ *
+ * @export
+ * @param {Number} theta
+ * @param {Object} options - see `_options()`
+ * @returns {String}
+ */
+export function _formatAngle(theta, options) {
+    const unit = options.angleUnit || 'deg';
+    return `${_formatNumber(theta * UNITS_PER_RAD[unit], options.precision)}${unit}`;
+}
+
+// serializes a transform function returned by parseTransformList()
+function _serializeFunction(fn, options) {
+    const name = FUNCTION_NAMES[fn.name] || fn.name;
+    return `${name}(${fn.args.map(arg => _serializeArg(arg, options)).join(', ')})`;
+}
+
+function _serializeArg(arg, options) {
+    switch (arg.type) {
+        case 'keyword':
+        case 'math':
+            return arg.value;
+        case 'number':
+            return _formatNumber(arg.value, options.precision);
+        case 'angle':
+            if (options.angleUnit != null) {
+                return _formatAngle(arg.value / UNITS_PER_RAD[arg.unit], options);
+            }
+            return `${_formatNumber(arg.value, options.precision)}${arg.unit}`;
+        default:
+            return `${_formatNumber(arg.value, options.precision)}${arg.unit}`;
+    }
+}
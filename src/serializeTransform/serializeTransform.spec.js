@@ -0,0 +1,44 @@
+import serializeTransformList, { _formatNumber } from './serializeTransform';
+import { parseTransformList } from '../parseCss/parseCss';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import TransformMatrix3D from '../TransformMatrix3D/TransformMatrix3D';
+
+describe('serializeTransformList', () => {
+    it('Should format numbers without trailing zeros or negative zero', () => {
+        expect(_formatNumber(0.5000001, 6)).toBe('0.5');
+        expect(_formatNumber(2, 6)).toBe('2');
+        expect(_formatNumber(-0.0000001, 6)).toBe('0');
+        expect(_formatNumber(1 / 3, 2)).toBe('0.33');
+    });
+
+    it('Should serialize lists of matrixes, leaving out identities', () => {
+        const list = [
+            TransformMatrix.fromTranslation(10, 20),
+            TransformMatrix.identity(),
+            TransformMatrix.fromRotate(Math.PI / 2),
+            TransformMatrix3D.fromRotate3d(1, 0, 0, Math.PI),
+        ];
+        expect(serializeTransformList(list, { precision: 3 })).toBe(
+            'translate(10px, 20px) rotate(90deg) matrix3d(1, 0, 0, 0, 0, -1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1)'
+        );
+        expect(serializeTransformList([])).toBe('none');
+        expect(serializeTransformList([TransformMatrix.identity()])).toBe('none');
+        const third = TransformMatrix.fromScale(1 / 3, 1 / 3);
+        expect(serializeTransformList([third], { precision: null })).toBe('scale(0.333333)');
+    });
+
+    it('Should serialize decomposed matrixes', () => {
+        const M = new TransformMatrix(2, 0, 0, 2, 5, 6);
+        expect(serializeTransformList(M.decompose())).toBe('translate(5px, 6px) scale(2)');
+    });
+
+    it('Should serialize parsed transform functions', () => {
+        const css = 'translateX(calc(50% + 1px)) rotate(0.25turn) scale(1.5, 2) perspective(none)';
+        const list = parseTransformList(css);
+        expect(serializeTransformList(list)).toBe(css);
+        expect(serializeTransformList(list, { angleUnit: 'deg' }))
+            .toBe('translateX(calc(50% + 1px)) rotate(90deg) scale(1.5, 2) perspective(none)');
+        list[2].args[0].value = 0.1 + 0.2;
+        expect(serializeTransformList(list.slice(2, 3))).toBe('scale(0.3, 2)');
+    });
+});
@@ -0,0 +1,195 @@
+import TransformParseError from '../TransformParseError/TransformParseError';
+import tokenizeCss from '../tokenizeCss/tokenizeCss';
+
+const NAME_RX = /^--[\w-]+$/;
+
+/**
+ * Replaces each `var()` reference in `str` with the value of the custom
+ * property it refers to; see https://www.w3.org/TR/css-variables-1/#using-variables
+ *
+ * `variables` may be an object or a Map with custom property names
+ * (including the leading "--") as keys, or an element, whose computed
+ * custom properties are used.
+ *
+ * Custom property values may themselves contain `var()` references. When a
+ * custom property is undefined, or is part of a dependency cycle, the
+ * fallback given in the `var()` reference is used instead, e.g.
+ * "scale(var(--zoom, 1))"; if there is no fallback, a TransformParseError
+ * is thrown, whose offset is that of the `var()` reference in `str`.
+ *
+ * As in browsers, references are found among the CSS tokens of `str` (see
+ * `tokenizeCss()`), so that parentheses and commas inside strings and
+ * comments are ignored, and values are substituted as tokens: they never
+ * merge with the tokens around them, e.g. "var(--x)px" is a number followed
+ * by the ident "px", not a dimension. Where the text of adjacent tokens
+ * would merge, they are separated by an empty comment.
+ *
+ * @export
+ * @param {String} str
+ * @param {Object|Map|HTMLElement} [variables]
+ * @returns {String}
+ */
+export default function substituteVars(str, variables) {
+    const state = {
+        lookup: _lookup(variables),
+        error: null,
+        offset: null,
+        cyclic: [],
+    };
+    const result = _substitute(str, state, []);
+    if (result == null) {
+        throw new TransformParseError(state.error.code, state.error.reason, {
+            offset: state.offset,
+        });
+    }
+    return result;
+}
+
+function _lookup(variables) {
+    let get;
+    if (variables == null) {
+        get = () => null;
+    } else if (variables.nodeType === 1) {
+        const { getComputedStyle } = variables.ownerDocument.defaultView;
+        const style = getComputedStyle(variables);
+        get = name => style.getPropertyValue(name);
+    } else if (typeof variables.get === 'function') {
+        get = name => variables.get(name);
+    } else {
+        get = name => (Object.prototype.hasOwnProperty.call(variables, name) ?
+            variables[name] :
+            null);
+    }
+    return name => {
+        const value = get(name);
+        // an empty value can't be told apart from an undefined property
+        return value == null || String(value).trim() === '' ? null : String(value).trim();
+    };
+}
+
+/**
+ * Substitutes the `var()` references in `str`, or returns null if one of
+ * them cannot be resolved. `resolving` lists the custom properties whose
+ * values are currently being substituted, to detect cycles; every custom
+ * property in a cycle is invalid, even if its references have fallbacks.
+ *
+ * @param {String} str
+ * @param {Object} state
+ * @param {Array<String>} resolving
+ * @returns {?String}
+ */
+function _substitute(str, state, resolving) {
+    const tokens = tokenizeCss(str);
+    let result = '';
+    let end = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'function' && token.value.toLowerCase() === 'var') {
+            // only the offsets of references in `str` itself are meaningful
+            const details = { offset: resolving.length === 0 ? token.start : null };
+            const close = _closingParen(tokens, i + 1, details);
+            const [name, fallback] = _splitReference(str, tokens.slice(i + 1, close), details);
+            const value = _resolve(name, fallback, state, resolving);
+            if (value == null) {
+                if (details.offset != null) { state.offset = details.offset; }
+                return null;
+            }
+            result = _join(_join(result, str.slice(end, token.start)), value);
+            end = tokens[close].end;
+            i = close;
+        }
+    }
+    return _join(result, str.slice(end));
+}
+
+// concatenates CSS text, separating the tokens at the end of `left` and the
+// start of `right` with an empty comment if they would otherwise merge
+function _join(left, right) {
+    if (left === '' || right === '') { return left + right; }
+    const count = tokenizeCss(left).length + tokenizeCss(right).length;
+    return tokenizeCss(left + right).length === count ?
+        left + right :
+        `${left}/**/${right}`;
+}
+
+function _resolve(name, fallback, state, resolving) {
+    const idx = resolving.indexOf(name);
+    if (idx !== -1) {
+        state.cyclic.push(...resolving.slice(idx));
+        state.error = {
+            code: 'CYCLIC_VARIABLE',
+            reason: `Custom property ${name} depends on itself`,
+        };
+    } else {
+        const value = state.lookup(name);
+        if (value != null) {
+            const substituted = _substitute(value, state, resolving.concat(name));
+            if (substituted != null && state.cyclic.indexOf(name) === -1) {
+                return substituted;
+            }
+        } else {
+            state.error = {
+                code: 'UNDEFINED_VARIABLE',
+                reason: `Custom property ${name} is not defined`,
+            };
+        }
+    }
+    return fallback == null ? null : _substitute(fallback, state, resolving);
+}
+
+// finds the index of the ')' token closing the function whose arguments
+// begin at the token `start`. Blocks and functions nested in the arguments
+// are skipped; a ')' inside a '[' or '{' block doesn't close anything.
+function _closingParen(tokens, start, details) {
+    const closing = [];
+    for (let i = start; i < tokens.length; i++) {
+        const { type } = tokens[i];
+        if (type === 'function' || type === '(') {
+            closing.push(')');
+        } else if (type === '[') {
+            closing.push(']');
+        } else if (type === '{') {
+            closing.push('}');
+        } else if (type === ')' && closing.length === 0) {
+            return i;
+        } else if (type === closing[closing.length - 1]) {
+            closing.pop();
+        }
+    }
+    throw new TransformParseError(
+        'INVALID_VAR',
+        'Invalid var() reference; missing closing parenthesis',
+        details
+    );
+}
+
+// splits the argument tokens of a var() reference into the custom property
+// name and the text of the fallback value, if there is one
+function _splitReference(str, args, details) {
+    let comma = -1;
+    let depth = 0;
+    args.forEach((token, i) => {
+        if (token.type === 'function' || token.type === '(' ||
+            token.type === '[' || token.type === '{') {
+            depth += 1;
+        } else if (token.type === ')' || token.type === ']' || token.type === '}') {
+            depth -= 1;
+        } else if (token.type === 'comma' && depth === 0 && comma === -1) {
+            comma = i;
+        }
+    });
+    const nameTokens = (comma === -1 ? args : args.slice(0, comma))
+        .filter(token => token.type !== 'whitespace');
+    const text = tokens => (tokens.length === 0 ?
+        '' :
+        str.slice(tokens[0].start, tokens[tokens.length - 1].end));
+    const name = text(nameTokens).trim();
+    if (nameTokens.length !== 1 || nameTokens[0].type !== 'ident' || !NAME_RX.test(name)) {
+        throw new TransformParseError(
+            'INVALID_VAR',
+            `Invalid var() reference; ${name} is not a custom property name`,
+            details
+        );
+    }
+    return [name, comma === -1 ? null : text(args.slice(comma + 1)).trim()];
+}
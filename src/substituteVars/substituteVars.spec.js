@@ -0,0 +1,118 @@
+import substituteVars from './substituteVars';
+
+describe('substituteVars', () => {
+    it('Should return strings without var() references unchanged', () => {
+        expect(substituteVars('rotate(45deg)')).toBe('rotate(45deg)');
+        expect(substituteVars('rotate(45deg)', { '--angle': '1deg' })).toBe('rotate(45deg)');
+    });
+
+    it('Should substitute custom properties from an object or a Map', () => {
+        const variables = { '--angle': ' 45deg ', '--zoom': 2 };
+        expect(substituteVars('rotate(var(--angle)) scale(var(--zoom))', variables))
+            .toBe('rotate(45deg) scale(2)');
+        const map = new Map([['--x', '3px'], ['--Y', '4px']]);
+        expect(substituteVars('translate(var(--x), VAR( --Y ))', map))
+            .toBe('translate(3px, 4px)');
+    });
+
+    it('Should substitute custom properties which refer to other custom properties', () => {
+        const variables = {
+            '--step': '2',
+            '--angle': 'calc(var(--step) * 15deg)',
+            '--transform': 'rotate(var(--angle))',
+        };
+        expect(substituteVars('var(--transform) scale(1)', variables))
+            .toBe('rotate(calc(2 * 15deg)) scale(1)');
+    });
+
+    it('Should use fallbacks for undefined custom properties', () => {
+        const variables = { '--zoom': '', '--x': '1px' };
+        const tests = [
+            ['scale(var(--zoom, 1))', 'scale(1)'],
+            ['scale(var(--foo,1.5))', 'scale(1.5)'],
+            ['translate(var(--foo, var(--x)), var(--bar, calc(1px + 2px)))', 'translate(1px, calc(1px + 2px))'],
+            ['translate(var(--x, 5px))', 'translate(1px)'],
+            ['translate(var(--foo, 3px, 4px))', 'translate(3px, 4px)'],
+        ];
+        tests.forEach(([str, expected]) => {
+            expect(substituteVars(str, variables)).toBe(expected);
+        });
+    });
+
+    it('Should substitute values as tokens', () => {
+        const variables = { '--x': '10', '--unit': 'px', '--neg': '-5' };
+        expect(substituteVars('translate(var(--x)px)', variables)).toBe('translate(10/**/px)');
+        expect(substituteVars('translate(var(--x)var(--unit))', variables))
+            .toBe('translate(10/**/px)');
+        expect(substituteVars('translate(var(--neg)var(--x))', variables))
+            .toBe('translate(-5/**/10)');
+        expect(substituteVars('translate(var(--x)var(--neg))', variables))
+            .toBe('translate(10-5)');
+        // "1var(" is a dimension followed by a parenthesis, not a reference
+        expect(substituteVars('translate(1var(--neg))', variables)).toBe('translate(1var(--neg))');
+        expect(substituteVars('translate(var(--x) var(--x))', variables))
+            .toBe('translate(10 10)');
+    });
+
+    it('Should ignore parentheses and commas in strings and comments', () => {
+        expect(substituteVars('translate(var(--x, ")"), 0)', {})).toBe('translate(")", 0)');
+        expect(substituteVars('translate(var(--x /* ) */), 0)', { '--x': '1px' }))
+            .toBe('translate(1px, 0)');
+        expect(substituteVars('translate(var(--x /* , */, 2px))', {})).toBe('translate(2px)');
+        expect(substituteVars('translate(var(--x, [)] 2px))', {})).toBe('translate([)] 2px)');
+    });
+
+    it('Should treat custom properties in dependency cycles as undefined', () => {
+        const variables = {
+            '--a': 'var(--b)',
+            '--b': 'var(--a)',
+            '--c': 'var(--c, 2px)',
+            '--d': 'var(--a, 3px)',
+            '--e': 'var(--f, 4px)',
+            '--f': 'var(--e)',
+        };
+        expect(substituteVars('translate(var(--a, 1px))', variables)).toBe('translate(1px)');
+        expect(substituteVars('translate(var(--d))', variables)).toBe('translate(3px)');
+        expect(() => substituteVars('translate(var(--a))', variables)).toThrow();
+        expect(() => substituteVars('translate(var(--c))', variables)).toThrow();
+        expect(() => substituteVars('translate(var(--e))', variables)).toThrow();
+        expect(substituteVars('translate(var(--f, 5px))', variables)).toBe('translate(5px)');
+    });
+
+    it('Should read custom properties from an element', () => {
+        const style = { getPropertyValue: name => (name === '--angle' ? ' 30deg' : '') };
+        const el = {
+            nodeType: 1,
+            ownerDocument: { defaultView: { getComputedStyle: () => style } },
+        };
+        expect(substituteVars('rotate(var(--angle)) scale(var(--zoom, 2))', el))
+            .toBe('rotate(30deg) scale(2)');
+    });
+
+    it('Should throw an error for undefined custom properties or invalid references', () => {
+        const bads = [
+            'rotate(var(--angle))',
+            'rotate(var(angle, 1deg))',
+            'rotate(var(--angle, 1deg',
+            'rotate(var())',
+        ];
+        bads.forEach(str => expect(() => substituteVars(str, {})).toThrow());
+    });
+
+    it('Should give the offset of the var() reference which could not be substituted', () => {
+        const variables = { '--a': 'var(--b)', '--b': 'var(--a)' };
+        const errorFor = str => {
+            try {
+                substituteVars(str, variables);
+            } catch (err) {
+                return err;
+            }
+            return null;
+        };
+        expect(errorFor('scale(1) rotate(var(--angle, var(--c)))').offset).toBe(16);
+        expect(errorFor('scale(1) rotate(var(--angle, var(--c)))').code).toBe('UNDEFINED_VARIABLE');
+        expect(errorFor('translate(var(--a))').offset).toBe(10);
+        expect(errorFor('translate(var(--a))').code).toBe('CYCLIC_VARIABLE');
+        expect(errorFor('rotate(var(angle))').code).toBe('INVALID_VAR');
+    });
+});
@@ -0,0 +1,401 @@
+// closing tokens for each kind of simple block
+const MIRROR = { '(': ')', '[': ']', '{': '}' };
+const SINGLE_CHAR_TOKENS = '(),:;[]{}';
+
+/**
+ * Splits a string of CSS into tokens, as described in CSS Syntax Level 3;
+ * see https://www.w3.org/TR/css-syntax-3/#tokenization
+ *
+ * Each token is an object with a `type`, which is one of 'ident',
+ * 'function', 'at-keyword', 'hash', 'string', 'bad-string', 'url', 'bad-url',
+ * 'delim', 'number', 'percentage', 'dimension', 'whitespace', 'CDO', 'CDC',
+ * 'colon', 'semicolon', 'comma', '[', ']', '(', ')', '{' or '}', and the
+ * `start` and `end` indexes of its text in `str`. Depending on its type, a
+ * token may also have:
+ *  - value: the name of an ident, function, at-keyword or hash, the contents
+ *    of a string or url, the character of a delim, or the numeric value of a
+ *    number, percentage or dimension
+ *  - unit: the unit of a dimension, as written
+ *  - isInteger: for numbers, percentages and dimensions, whether the number
+ *    was written as an integer
+ *  - isId: for hashes, whether the name is a valid identifier
+ *
+ * Comments are discarded. Tokenizing never fails; invalid input results in
+ * e.g. 'delim' or 'bad-string' tokens, which parsers should reject.
+ *
+ * @export
+ * @param {String} str
+ * @returns {Array<Object>}
+ */
+export default function tokenizeCss(str) {
+    const state = { str, pos: 0 };
+    const tokens = [];
+    for (;;) {
+        _consumeComments(state);
+        if (state.pos >= str.length) { break; }
+        const start = state.pos;
+        const token = _consumeToken(state);
+        token.start = start;
+        token.end = state.pos;
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Groups a list of tokens into component values; see
+ * https://www.w3.org/TR/css-syntax-3/#consume-component-value
+ *
+ * A function token and the tokens up to its matching ')' token become an
+ * object `{ type: 'function', name, value, start, end }`, where `value` is
+ * the list of component values of its arguments. Similarly, a '(', '[' or
+ * '{' token and the tokens up to its matching closing token become
+ * `{ type: 'block', token, value, start, end }`. Functions and blocks which
+ * are still open at the end of the input are closed automatically. Other
+ * tokens are returned unchanged.
+ *
+ * @export
+ * @param {Array<Object>} tokens - as returned by `tokenizeCss()`
+ * @returns {Array<Object>}
+ */
+export function parseComponentValues(tokens) {
+    const state = { tokens, pos: 0 };
+    const values = [];
+    while (state.pos < tokens.length) {
+        values.push(_consumeComponentValue(state));
+    }
+    return values;
+}
+
+function _consumeComponentValue(state) {
+    const token = state.tokens[state.pos];
+    state.pos += 1;
+    if (token.type === 'function') {
+        return _consumeBlock(state, token, ')', { type: 'function', name: token.value });
+    } else if (MIRROR[token.type] != null) {
+        return _consumeBlock(state, token, MIRROR[token.type], { type: 'block', token: token.type });
+    }
+    return token;
+}
+
+function _consumeBlock(state, opening, closing, node) {
+    const value = [];
+    let end = opening.end;
+    while (state.pos < state.tokens.length) {
+        const token = state.tokens[state.pos];
+        if (token.type === closing) {
+            state.pos += 1;
+            end = token.end;
+            break;
+        }
+        const component = _consumeComponentValue(state);
+        value.push(component);
+        end = component.end;
+    }
+    return Object.assign(node, { value, start: opening.start, end });
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-token
+function _consumeToken(state) {
+    const { str } = state;
+    const char = str[state.pos];
+
+    if (_isWhitespace(char)) {
+        while (_isWhitespace(str[state.pos])) { state.pos += 1; }
+        return { type: 'whitespace' };
+    }
+    if (char === '"' || char === '\'') {
+        state.pos += 1;
+        return _consumeString(state, char);
+    }
+    if (char === '#') {
+        if (_isNameChar(str[state.pos + 1]) || _isValidEscape(str, state.pos + 1)) {
+            state.pos += 1;
+            const isId = _startsIdentifier(str, state.pos);
+            return { type: 'hash', value: _consumeName(state), isId };
+        }
+    } else if (char === '+' || char === '.') {
+        if (_startsNumber(str, state.pos)) {
+            return _consumeNumeric(state);
+        }
+    } else if (char === '-') {
+        if (_startsNumber(str, state.pos)) {
+            return _consumeNumeric(state);
+        } else if (str.substr(state.pos, 3) === '-->') {
+            state.pos += 3;
+            return { type: 'CDC' };
+        } else if (_startsIdentifier(str, state.pos)) {
+            return _consumeIdentLike(state);
+        }
+    } else if (char === '<') {
+        if (str.substr(state.pos, 4) === '<!--') {
+            state.pos += 4;
+            return { type: 'CDO' };
+        }
+    } else if (char === '@') {
+        if (_startsIdentifier(str, state.pos + 1)) {
+            state.pos += 1;
+            return { type: 'at-keyword', value: _consumeName(state) };
+        }
+    } else if (char === '\\') {
+        if (_isValidEscape(str, state.pos)) {
+            return _consumeIdentLike(state);
+        }
+    } else if (_isDigit(char)) {
+        return _consumeNumeric(state);
+    } else if (_isNameStart(char)) {
+        return _consumeIdentLike(state);
+    } else if (SINGLE_CHAR_TOKENS.indexOf(char) !== -1) {
+        state.pos += 1;
+        return { type: _singleCharType(char) };
+    }
+    state.pos += 1;
+    return { type: 'delim', value: char };
+}
+
+function _singleCharType(char) {
+    switch (char) {
+        case ',':
+            return 'comma';
+        case ':':
+            return 'colon';
+        case ';':
+            return 'semicolon';
+        default:
+            return char;
+    }
+}
+
+function _consumeComments(state) {
+    while (state.str.substr(state.pos, 2) === '/*') {
+        const end = state.str.indexOf('*/', state.pos + 2);
+        state.pos = end === -1 ? state.str.length : end + 2;
+    }
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-numeric-token
+function _consumeNumeric(state) {
+    const { value, isInteger } = _consumeNumber(state);
+    if (_startsIdentifier(state.str, state.pos)) {
+        return { type: 'dimension', value, isInteger, unit: _consumeName(state) };
+    } else if (state.str[state.pos] === '%') {
+        state.pos += 1;
+        return { type: 'percentage', value, isInteger };
+    }
+    return { type: 'number', value, isInteger };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-number
+function _consumeNumber(state) {
+    const { str } = state;
+    const start = state.pos;
+    let isInteger = true;
+    const digits = () => {
+        while (_isDigit(str[state.pos])) { state.pos += 1; }
+    };
+    if (str[state.pos] === '+' || str[state.pos] === '-') { state.pos += 1; }
+    digits();
+    if (str[state.pos] === '.' && _isDigit(str[state.pos + 1])) {
+        state.pos += 1;
+        isInteger = false;
+        digits();
+    }
+    if (str[state.pos] === 'e' || str[state.pos] === 'E') {
+        const next = str[state.pos + 1];
+        const hasSign = next === '+' || next === '-';
+        if (_isDigit(hasSign ? str[state.pos + 2] : next)) {
+            state.pos += hasSign ? 2 : 1;
+            isInteger = false;
+            digits();
+        }
+    }
+    return { value: parseFloat(str.slice(start, state.pos)), isInteger };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-ident-like-token
+function _consumeIdentLike(state) {
+    const { str } = state;
+    const name = _consumeName(state);
+    if (str[state.pos] !== '(') {
+        return { type: 'ident', value: name };
+    }
+    state.pos += 1;
+    if (name.toLowerCase() === 'url') {
+        let next = state.pos;
+        while (_isWhitespace(str[next])) { next += 1; }
+        if (str[next] !== '"' && str[next] !== '\'') {
+            state.pos = next;
+            return _consumeUrl(state);
+        }
+    }
+    return { type: 'function', value: name };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-string-token
+function _consumeString(state, quote) {
+    const { str } = state;
+    let value = '';
+    while (state.pos < str.length) {
+        const char = str[state.pos];
+        if (char === quote) {
+            state.pos += 1;
+            break;
+        } else if (_isNewline(char)) {
+            return { type: 'bad-string' };
+        } else if (char === '\\') {
+            if (state.pos + 1 >= str.length) {
+                state.pos += 1;
+            } else if (_isNewline(str[state.pos + 1])) {
+                state.pos += str.substr(state.pos + 1, 2) === '\r\n' ? 3 : 2;
+            } else {
+                state.pos += 1;
+                value += _consumeEscape(state);
+            }
+        } else {
+            value += char;
+            state.pos += 1;
+        }
+    }
+    return { type: 'string', value };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-url-token
+function _consumeUrl(state) {
+    const { str } = state;
+    let value = '';
+    while (state.pos < str.length) {
+        const char = str[state.pos];
+        if (char === ')') {
+            state.pos += 1;
+            return { type: 'url', value };
+        } else if (_isWhitespace(char)) {
+            while (_isWhitespace(str[state.pos])) { state.pos += 1; }
+            if (state.pos < str.length && str[state.pos] !== ')') {
+                return _consumeBadUrl(state);
+            }
+        } else if (char === '"' || char === '\'' || char === '(' || _isNonPrintable(char)) {
+            return _consumeBadUrl(state);
+        } else if (char === '\\') {
+            if (!_isValidEscape(str, state.pos)) {
+                return _consumeBadUrl(state);
+            }
+            state.pos += 1;
+            value += _consumeEscape(state);
+        } else {
+            value += char;
+            state.pos += 1;
+        }
+    }
+    return { type: 'url', value };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-remnants-of-bad-url
+function _consumeBadUrl(state) {
+    const { str } = state;
+    while (state.pos < str.length) {
+        if (str[state.pos] === ')') {
+            state.pos += 1;
+            break;
+        } else if (_isValidEscape(str, state.pos)) {
+            state.pos += 1;
+            _consumeEscape(state);
+        } else {
+            state.pos += 1;
+        }
+    }
+    return { type: 'bad-url' };
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-name
+function _consumeName(state) {
+    const { str } = state;
+    let name = '';
+    while (state.pos < str.length) {
+        if (_isNameChar(str[state.pos])) {
+            name += str[state.pos];
+            state.pos += 1;
+        } else if (_isValidEscape(str, state.pos)) {
+            state.pos += 1;
+            name += _consumeEscape(state);
+        } else {
+            break;
+        }
+    }
+    return name;
+}
+
+// https://www.w3.org/TR/css-syntax-3/#consume-escaped-code-point
+// (the backslash has already been consumed)
+function _consumeEscape(state) {
+    const { str } = state;
+    if (state.pos >= str.length) { return '\uFFFD'; }
+    const hex = /^[0-9a-f]{1,6}/i.exec(str.substr(state.pos, 6));
+    if (hex == null) {
+        const char = String.fromCodePoint(str.codePointAt(state.pos));
+        state.pos += char.length;
+        return char;
+    }
+    state.pos += hex[0].length;
+    if (str.substr(state.pos, 2) === '\r\n') {
+        state.pos += 2;
+    } else if (_isWhitespace(str[state.pos])) {
+        state.pos += 1;
+    }
+    const codePoint = parseInt(hex[0], 16);
+    if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+        return '\uFFFD';
+    }
+    return String.fromCodePoint(codePoint);
+}
+
+function _isDigit(char) {
+    return char != null && char >= '0' && char <= '9';
+}
+
+function _isNewline(char) {
+    return char === '\n' || char === '\r' || char === '\f';
+}
+
+function _isWhitespace(char) {
+    return char === ' ' || char === '\t' || _isNewline(char);
+}
+
+function _isNameStart(char) {
+    return char != null && (/[a-zA-Z_]/.test(char) || char.charCodeAt(0) >= 0x80);
+}
+
+function _isNameChar(char) {
+    return _isNameStart(char) || _isDigit(char) || char === '-';
+}
+
+function _isNonPrintable(char) {
+    const code = char.charCodeAt(0);
+    return code <= 0x08 || code === 0x0B || (code >= 0x0E && code <= 0x1F) || code === 0x7F;
+}
+
+// https://www.w3.org/TR/css-syntax-3/#starts-with-a-valid-escape
+function _isValidEscape(str, pos) {
+    return str[pos] === '\\' && pos + 1 < str.length && !_isNewline(str[pos + 1]);
+}
+
+// https://www.w3.org/TR/css-syntax-3/#would-start-an-identifier
+function _startsIdentifier(str, pos) {
+    const char = str[pos];
+    if (char === '-') {
+        return _isNameStart(str[pos + 1]) || str[pos + 1] === '-' || _isValidEscape(str, pos + 1);
+    } else if (char === '\\') {
+        return _isValidEscape(str, pos);
+    }
+    return _isNameStart(char);
+}
+
+// https://www.w3.org/TR/css-syntax-3/#starts-with-a-number
+function _startsNumber(str, pos) {
+    const char = str[pos];
+    if (char === '+' || char === '-') {
+        return _isDigit(str[pos + 1]) || (str[pos + 1] === '.' && _isDigit(str[pos + 2]));
+    } else if (char === '.') {
+        return _isDigit(str[pos + 1]);
+    }
+    return _isDigit(char);
+}
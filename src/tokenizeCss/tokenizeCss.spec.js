@@ -0,0 +1,117 @@
+import tokenizeCss, { parseComponentValues } from './tokenizeCss';
+
+// the tokens of `str`, without their positions
+function tokens(str) {
+    return tokenizeCss(str).map(token => {
+        const copy = Object.assign({}, token);
+        delete copy.start;
+        delete copy.end;
+        return copy;
+    });
+}
+
+describe('tokenizeCss', () => {
+    it('Should tokenize numbers, percentages and dimensions', () => {
+        expect(tokens('1 -2.5 +.5 1e3 1.5E-2 12%')).toEqual([
+            { type: 'number', value: 1, isInteger: true },
+            { type: 'whitespace' },
+            { type: 'number', value: -2.5, isInteger: false },
+            { type: 'whitespace' },
+            { type: 'number', value: 0.5, isInteger: false },
+            { type: 'whitespace' },
+            { type: 'number', value: 1000, isInteger: false },
+            { type: 'whitespace' },
+            { type: 'number', value: 0.015, isInteger: false },
+            { type: 'whitespace' },
+            { type: 'percentage', value: 12, isInteger: true },
+        ]);
+        expect(tokens('3PX -1.5e1deg 2e')).toEqual([
+            { type: 'dimension', value: 3, isInteger: true, unit: 'PX' },
+            { type: 'whitespace' },
+            { type: 'dimension', value: -15, isInteger: false, unit: 'deg' },
+            { type: 'whitespace' },
+            { type: 'dimension', value: 2, isInteger: true, unit: 'e' },
+        ]);
+    });
+
+    it('Should tokenize identifiers, functions and escapes', () => {
+        expect(tokens('none -foo --bar scale( \\73 cale(')).toEqual([
+            { type: 'ident', value: 'none' },
+            { type: 'whitespace' },
+            { type: 'ident', value: '-foo' },
+            { type: 'whitespace' },
+            { type: 'ident', value: '--bar' },
+            { type: 'whitespace' },
+            { type: 'function', value: 'scale' },
+            { type: 'whitespace' },
+            { type: 'function', value: 'scale' },
+        ]);
+        expect(tokens('\\31 a')).toEqual([{ type: 'ident', value: '1a' }]);
+    });
+
+    it('Should tokenize strings and urls', () => {
+        expect(tokens('"a\\"b" \'c\' url( x.png ) url("y.png") url(a b)')).toEqual([
+            { type: 'string', value: 'a"b' },
+            { type: 'whitespace' },
+            { type: 'string', value: 'c' },
+            { type: 'whitespace' },
+            { type: 'url', value: 'x.png' },
+            { type: 'whitespace' },
+            { type: 'function', value: 'url' },
+            { type: 'string', value: 'y.png' },
+            { type: ')' },
+            { type: 'whitespace' },
+            { type: 'bad-url' },
+        ]);
+        expect(tokens('"a\nb"')[0]).toEqual({ type: 'bad-string' });
+    });
+
+    it('Should tokenize punctuation and delims', () => {
+        expect(tokens('(),:;[]{}+-*/<!---->@x#a#').map(token => token.type)).toEqual([
+            '(', ')', 'comma', 'colon', 'semicolon', '[', ']', '{', '}',
+            'delim', 'delim', 'delim', 'delim', 'CDO', 'CDC',
+            'at-keyword', 'hash', 'delim',
+        ]);
+    });
+
+    it('Should discard comments', () => {
+        expect(tokens('/* a */1px/**/ /* b')).toEqual([
+            { type: 'dimension', value: 1, isInteger: true, unit: 'px' },
+            { type: 'whitespace' },
+        ]);
+    });
+
+    it('Should record the position of each token', () => {
+        const result = tokenizeCss('a( 1px)');
+        expect(result.map(({ start, end }) => [start, end]))
+            .toEqual([[0, 2], [2, 3], [3, 6], [6, 7]]);
+    });
+});
+
+describe('parseComponentValues', () => {
+    it('Should group functions and blocks', () => {
+        const [fn, space, block] = parseComponentValues(tokenizeCss('calc((1 + 2) * 3) [a]'));
+        expect(fn.type).toBe('function');
+        expect(fn.name).toBe('calc');
+        expect([fn.start, fn.end]).toEqual([0, 17]);
+        expect(fn.value.map(value => value.type))
+            .toEqual(['block', 'whitespace', 'delim', 'whitespace', 'number']);
+        expect(fn.value[0].token).toBe('(');
+        expect(fn.value[0].value.length).toBe(5);
+        expect(space.type).toBe('whitespace');
+        expect(block.type).toBe('block');
+        expect(block.token).toBe('[');
+    });
+
+    it('Should close functions and blocks at the end of the input', () => {
+        const values = parseComponentValues(tokenizeCss('scale(min(1, 2'));
+        expect(values.length).toBe(1);
+        expect(values[0].value[0].name).toBe('min');
+        expect(values[0].end).toBe(14);
+    });
+
+    it('Should leave unmatched closing tokens in place', () => {
+        const values = parseComponentValues(tokenizeCss('a) b'));
+        expect(values.map(value => value.type)).toEqual(['ident', ')', 'whitespace', 'ident']);
+    });
+});
@@ -0,0 +1,157 @@
+import TransformParseError from '../TransformParseError/TransformParseError';
+import { _length, _unitContext } from '../parseCss/parseCss';
+import tokenizeCss, { parseComponentValues } from '../tokenizeCss/tokenizeCss';
+
+const KEYWORDS = {
+    left: { axis: 'x', fraction: 0 },
+    right: { axis: 'x', fraction: 1 },
+    top: { axis: 'y', fraction: 0 },
+    bottom: { axis: 'y', fraction: 1 },
+    center: { axis: null, fraction: 0.5 },
+};
+
+/**
+ * Converts the value of a CSS `transform-origin` property into a point
+ * relative to the top left corner of the element's reference box.
+ *
+ * Accepts the one-, two- and three-value syntaxes, including keywords
+ * (`left`, `center`, `top right`, ...) and percentages, which are resolved
+ * against the width and height of `box`. Lengths may use any unit or math
+ * function, resolved using `units` as for `parseCss()`. The z component may
+ * only be specified as a length, and has no effect on 2D transforms.
+ *
+ * Computed styles always report `transform-origin` in px, e.g.
+ * "50px 25px 0px"; see
+ * (syntax)[https://developer.mozilla.org/en-US/docs/Web/CSS/transform-origin].
+ *
+ * A TransformParseError is thrown for invalid values, and for keywords and
+ * percentages when `box` is null.
+ *
+ * @export
+ * @param {String} str - value of a CSS transform-origin property
+ * @param {?{width: Number, height: Number}} [box] - dimensions of the
+ *   reference box; used to resolve keywords and percentages.
+ * @param {Object|HTMLElement} [units] - used to resolve relative length
+ *   units; see `parseCss()`.
+ * @returns {{x: Number, y: Number, z: Number}}
+ */
+export default function parseTransformOrigin(str, box = { width: 0, height: 0 }, units) {
+    const context = _unitContext(units);
+    const values = parseComponentValues(tokenizeCss(str))
+        .filter(component => component.type !== 'whitespace');
+    if (values.length === 0 || values.length > 3) {
+        throw _originError('INVALID_SYNTAX', values[3]);
+    }
+
+    const z = values.length === 3 ? _length(values.pop(), str, 'length', null, context) : 0;
+    const [first, second] = values;
+    let xVal;
+    let yVal;
+    if (second == null) {
+        // a single vertical keyword positions the origin horizontally
+        // centered
+        if (_axisOf(first) === 'y') {
+            [xVal, yVal] = [null, first];
+        } else {
+            [xVal, yVal] = [first, null];
+        }
+    } else if (_axisOf(first) === 'y' || _axisOf(second) === 'x') {
+        // keywords may be given in either order, e.g. "top left"
+        [xVal, yVal] = [second, first];
+    } else {
+        [xVal, yVal] = [first, second];
+    }
+    if (_axisOf(xVal) === 'y') {
+        throw _originError('INVALID_ARGUMENT', xVal);
+    } else if (_axisOf(yVal) === 'x') {
+        throw _originError('INVALID_ARGUMENT', yVal);
+    }
+
+    return {
+        x: _resolve(xVal, str, box && box.width, context),
+        y: _resolve(yVal, str, box && box.height, context),
+        z,
+    };
+}
+
+/**
+ * Reads the computed `transform-origin` of the element `el`, resolved
+ * against its border box.
+ *
+ * @export
+ * @param {HTMLElement} el
+ * @returns {{x: Number, y: Number, z: Number}}
+ */
+export function transformOriginFromElement(el) {
+    return _originFromElement(el, 'transformOrigin');
+}
+
+/**
+ * Reads the computed `perspective-origin` of the element `el`, resolved
+ * against its border box. `perspective-origin` uses the same syntax as
+ * `transform-origin`, without the z component.
+ *
+ * @export
+ * @param {HTMLElement} el
+ * @returns {{x: Number, y: Number, z: Number}}
+ */
+export function perspectiveOriginFromElement(el) {
+    return _originFromElement(el, 'perspectiveOrigin');
+}
+
+function _originFromElement(el, property) {
+    const { getComputedStyle } = el.ownerDocument.defaultView;
+    const str = getComputedStyle(el)[property];
+    const box = {
+        width: el.offsetWidth || 0,
+        height: el.offsetHeight || 0,
+    };
+    if (str == null || str.trim() === '') {
+        // per the spec, the initial value is "50% 50%" (plus "0" for
+        // transform-origin)
+        return { x: box.width / 2, y: box.height / 2, z: 0 };
+    }
+    return parseTransformOrigin(str, box);
+}
+
+/**
+ * Returns 'x' or 'y' if `component` is a keyword which can only be applied
+ * to that axis; otherwise, returns null.
+ *
+ * @param {?Object} component
+ * @returns {'x'|'y'|null}
+ */
+function _axisOf(component) {
+    const keyword = _keyword(component);
+    return keyword ? keyword.axis : null;
+}
+
+function _keyword(component) {
+    if (component == null || component.type !== 'ident') { return null; }
+    const name = component.value.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(KEYWORDS, name) ? KEYWORDS[name] : null;
+}
+
+// resolves a keyword or length-percentage against `size`; a missing value is
+// "center"
+function _resolve(component, source, size, units) {
+    const keyword = component == null ? KEYWORDS.center : _keyword(component);
+    if (keyword == null) {
+        return _length(component, source, 'length-percentage', size, units);
+    } else if (size == null) {
+        throw new TransformParseError(
+            'PERCENTAGE_REQUIRES_REFERENCE_BOX',
+            'A reference box is required to resolve the transform origin',
+            { offset: component == null ? null : component.start }
+        );
+    }
+    return keyword.fraction * size;
+}
+
+function _originError(code, component) {
+    return new TransformParseError(
+        code,
+        'Invalid CSS transform-origin',
+        { offset: component == null ? null : component.start }
+    );
+}
@@ -0,0 +1,81 @@
+import parseTransformOrigin from './transformOrigin';
+import TransformParseError from '../TransformParseError/TransformParseError';
+
+describe('parseTransformOrigin', () => {
+    const box = { width: 200, height: 100 };
+
+    it('Should parse computed px values', () => {
+        checkAll([
+            ['100px 50px', { x: 100, y: 50, z: 0 }],
+            ['100px 50px 0px', { x: 100, y: 50, z: 0 }],
+            ['-10.5px 0px 20px', { x: -10.5, y: 0, z: 20 }],
+        ]);
+    });
+
+    it('Should resolve percentages against the reference box', () => {
+        checkAll([
+            ['50% 50%', { x: 100, y: 50, z: 0 }],
+            ['0% 100%', { x: 0, y: 100, z: 0 }],
+            ['25% 10px 5px', { x: 50, y: 10, z: 5 }],
+        ]);
+    });
+
+    it('Should resolve keywords in either order', () => {
+        checkAll([
+            ['left top', { x: 0, y: 0, z: 0 }],
+            ['top left', { x: 0, y: 0, z: 0 }],
+            ['right bottom', { x: 200, y: 100, z: 0 }],
+            ['center top', { x: 100, y: 0, z: 0 }],
+            ['top center', { x: 100, y: 0, z: 0 }],
+            ['center left', { x: 0, y: 50, z: 0 }],
+            ['right 10px', { x: 200, y: 10, z: 0 }],
+        ]);
+    });
+
+    it('Should center the other axis when a single value is provided', () => {
+        checkAll([
+            ['left', { x: 0, y: 50, z: 0 }],
+            ['bottom', { x: 100, y: 100, z: 0 }],
+            ['center', { x: 100, y: 50, z: 0 }],
+            ['20px', { x: 20, y: 50, z: 0 }],
+        ]);
+    });
+
+    it('Should throw an error for invalid values', () => {
+        const bads = [
+            '',
+            'left right',
+            'top bottom',
+            '10px top left',
+            '10px 10px 10%',
+            '10deg 10px',
+            '1px 2px 3px 4px',
+        ];
+        for (const bad of bads) {
+            expect(() => parseTransformOrigin(bad, box)).toThrowError(TransformParseError);
+        }
+    });
+
+    it('Should resolve other units and math functions', () => {
+        checkAll([
+            ['1rem 0', { x: 16, y: 0, z: 0 }],
+            ['calc(50% + 2px) 0', { x: 102, y: 0, z: 0 }],
+            ['1in calc(100% - 1em) 2mm', { x: 96, y: 84, z: 2 * 96 / 25.4 }],
+        ]);
+        expect(parseTransformOrigin('2em 50%', box, { fontSize: 10 })).toEqual({ x: 20, y: 50, z: 0 });
+    });
+
+    it('Should require a box to resolve keywords and percentages', () => {
+        expect(parseTransformOrigin('10px 2px', null)).toEqual({ x: 10, y: 2, z: 0 });
+        ['left 0', '0 50%', '10px'].forEach(str => {
+            expect(() => parseTransformOrigin(str, null))
+                .toThrow(jasmine.objectContaining({ code: 'PERCENTAGE_REQUIRES_REFERENCE_BOX' }));
+        });
+    });
+
+    function checkAll(testCases) {
+        for (const [input, expected] of testCases) {
+            expect(parseTransformOrigin(input, box)).toEqual(expected);
+        }
+    }
+});
@@ -0,0 +1,234 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import { _options, _formatNumber } from '../serializeTransform/serializeTransform';
+
+// the number of arguments taken by each path command
+const ARGUMENT_COUNTS = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0,
+};
+
+// the (absolute) commands which draw curves and arcs
+const CURVE_COMMANDS = ['C', 'S', 'Q', 'T', 'A'];
+
+const COMMAND_RX = /[MLHVCSQTAZ]/i;
+const NUMBER_RX = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const SEPARATOR_RX = /^[\s,]+/;
+
+/**
+ * Applies `transform` to SVG path data, e.g. to draw the outline of an
+ * element in another coordinate space. `path` may be the value of a `d`
+ * attribute, or an array of points `{x, y}`, which is treated as a polyline
+ * (or a polygon, with `options.closed`).
+ *
+ * All commands are supported. The result uses absolute commands only, with
+ * `H` and `V` written as `L`. Elliptical arcs are transformed exactly, even
+ * under non-uniform scales and skews: their radii, rotation and sweep
+ * direction are recalculated.
+ *
+ * Lines stay straight under perspective, so `transform` may be a projective
+ * Homography, but since perspective doesn't map curves onto curves of the
+ * same kind, an error is thrown for curves and arcs unless it is affine; see
+ * `Homography.isAffine`. Arcs with a zero radius are drawn as lines.
+ *
+ * @export
+ * @param {String|Array<{x: Number, y: Number}>} path
+ * @param {TransformMatrix|Homography} transform
+ * @param {Object} [options]
+ * @param {Number} [options.precision] - the number of decimal places numbers
+ *   are rounded to; defaults to 6.
+ * @param {Boolean} [options.closed] - whether to close a path of points
+ * @returns {String}
+ */
+export default function transformPath(path, transform, options = {}) {
+    const M = _affineMatrix(transform);
+    const { precision } = _options({ precision: options.precision });
+    const num = n => _formatNumber(n, precision);
+    const segments = typeof path === 'string' ?
+        parsePathData(path) :
+        _polyline(path, options.closed);
+
+    const commands = _absolute(segments).map(({ command, values }) => {
+        const isLine = command === 'A' && (values[0] === 0 || values[1] === 0);
+        if (M == null && CURVE_COMMANDS.indexOf(command) !== -1 && !isLine) {
+            throw new Error('Curves and arcs cannot be transformed in perspective');
+        }
+        if (command === 'A') {
+            const arc = isLine ? null : _transformArc(values, M);
+            if (arc == null) {
+                // the arc is drawn as a straight line
+                const end = transform.transformPoint(values[5], values[6]);
+                return `L ${num(end.x)} ${num(end.y)}`;
+            }
+            const args = [arc.rx, arc.ry, arc.angle, arc.largeArc, arc.sweep, arc.x, arc.y];
+            return ['A', ...args.map(num)].join(' ');
+        }
+        const args = [];
+        for (let i = 0; i < values.length; i += 2) {
+            const { x, y } = transform.transformPoint(values[i], values[i + 1]);
+            args.push(num(x), num(y));
+        }
+        return [command, ...args].join(' ');
+    });
+    return commands.join(' ');
+}
+
+/**
+ * Like `transformPath()` for arrays of points, but returns the transformed
+ * points, e.g. for the `points` attribute of a `<polyline>`. Since lines stay
+ * straight under perspective, `transform` may be anything with a
+ * `transformPoint()` method, including a projective Homography.
+ *
+ * @export
+ * @param {Array<{x: Number, y: Number}>} points
+ * @param {TransformMatrix|Homography} transform
+ * @returns {Array<{x: Number, y: Number}>}
+ */
+export function transformPoints(points, transform) {
+    return points.map(({ x, y }) => {
+        const point = transform.transformPoint(x, y);
+        return { x: point.x, y: point.y };
+    });
+}
+
+/**
+ * Parses SVG path data, e.g. "M 10 10 h 20 a 5 5 0 0 1 10 0 z", into a list
+ * of segments `{command, values}`, where `command` is a command letter and
+ * `values` are its numeric arguments. Implicit repetitions of commands are
+ * made explicit, as is the `L` implied by extra coordinates after `M`.
+ *
+ * @export
+ * @param {String} d
+ * @returns {Array<{command: String, values: Array<Number>}>}
+ */
+export function parsePathData(d) {
+    const segments = [];
+    let rest = d.replace(SEPARATOR_RX, '');
+    let command = null;
+    const fail = () => {
+        throw new Error(`Invalid SVG path data at offset ${d.length - rest.length}: ${d}`);
+    };
+    const skip = () => { rest = rest.replace(SEPARATOR_RX, ''); };
+
+    while (rest.length > 0) {
+        if (COMMAND_RX.test(rest[0])) {
+            command = rest[0];
+            rest = rest.slice(1);
+            skip();
+        } else if (command == null || command.toUpperCase() === 'Z') {
+            fail();
+        }
+        const count = ARGUMENT_COUNTS[command.toUpperCase()];
+        const values = [];
+        for (let i = 0; i < count; i += 1) {
+            // the flags of arcs may be written without separators, e.g. "011"
+            const isFlag = command.toUpperCase() === 'A' && (i === 3 || i === 4);
+            const match = isFlag ? /^[01]/.exec(rest) : NUMBER_RX.exec(rest);
+            if (match == null) { fail(); }
+            values.push(Number(match[0]));
+            rest = rest.slice(match[0].length);
+            skip();
+        }
+        segments.push({ command, values });
+        if (command === 'M') {
+            command = 'L';
+        } else if (command === 'm') {
+            command = 'l';
+        }
+    }
+    if (segments.length > 0 && segments[0].command.toUpperCase() !== 'M') {
+        throw new Error(`SVG path data must begin with a moveto command: ${d}`);
+    }
+    return segments;
+}
+
+// the TransformMatrix equivalent to `transform`, or null if it is projective
+function _affineMatrix(transform) {
+    if (transform instanceof TransformMatrix) { return transform; }
+    return transform.isAffine ? transform.to2D() : null;
+}
+
+function _polyline(points, closed) {
+    const segments = points.map(({ x, y }, i) => ({
+        command: i === 0 ? 'M' : 'L',
+        values: [x, y],
+    }));
+    return closed && segments.length > 0 ? segments.concat({ command: 'Z', values: [] }) : segments;
+}
+
+// converts segments to absolute commands, replacing H and V with L
+function _absolute(segments) {
+    let x = 0;
+    let y = 0;
+    let start = { x: 0, y: 0 };
+    return segments.map(({ command, values }) => {
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+        let absolute;
+        if (upper === 'Z') {
+            absolute = [];
+        } else if (upper === 'H') {
+            absolute = [relative ? x + values[0] : values[0], y];
+        } else if (upper === 'V') {
+            absolute = [x, relative ? y + values[0] : values[0]];
+        } else if (upper === 'A') {
+            absolute = values.slice(0, 5).concat(relative ?
+                [x + values[5], y + values[6]] :
+                values.slice(5));
+        } else {
+            absolute = values.map((v, i) => (relative ? v + (i % 2 === 0 ? x : y) : v));
+        }
+
+        if (upper === 'Z') {
+            ({ x, y } = start);
+        } else {
+            [x, y] = absolute.slice(-2);
+        }
+        if (upper === 'M') {
+            start = { x, y };
+        }
+        return {
+            command: upper === 'H' || upper === 'V' ? 'L' : upper,
+            values: absolute,
+        };
+    });
+}
+
+// Transforms the absolute arc `values` (rx, ry, x-axis-rotation, large-arc,
+// sweep, x, y) by M. The ellipse of the arc is the image of the unit circle
+// under E = R(angle) * S(rx, ry), so the transformed ellipse is the image of
+// the unit circle under M * E, whose radii and rotation are found from its
+// singular value decomposition. Returns null when the arc is a straight line.
+function _transformArc(values, M) {
+    const [rx, ry] = values.slice(0, 2).map(Math.abs);
+    const [rotation, largeArc, sweep, x, y] = values.slice(2);
+    const end = M.transformPoint(x, y);
+    if (rx === 0 || ry === 0) { return null; }
+    const theta = (rotation * Math.PI) / 180;
+    const u = M.transformVector(rx * Math.cos(theta), rx * Math.sin(theta));
+    const v = M.transformVector(-ry * Math.sin(theta), ry * Math.cos(theta));
+    // M * E = [[u.x, v.x], [u.y, v.y]]
+    const e = (u.x + v.y) / 2;
+    const f = (u.x - v.y) / 2;
+    const g = (u.y + v.x) / 2;
+    const h = (u.y - v.x) / 2;
+    const q = Math.hypot(e, h);
+    const r = Math.hypot(f, g);
+    const newRx = q + r;
+    const newRy = Math.abs(q - r);
+    if (newRx === 0 || newRy < newRx * 1e-12) { return null; }
+    // circles have no rotation; otherwise, ellipses are symmetric under
+    // rotations of 180deg, so use the angle between 0 and 180deg
+    const isCircle = Math.min(q, r) < newRx * 1e-12;
+    const angle = isCircle ? 0 : (Math.atan2(h, e) + Math.atan2(g, f)) / 2;
+    const degrees = ((((angle * 180) / Math.PI) % 180) + 180) % 180;
+    const [a, b, c, d] = M.cssVector;
+    const flipped = (a * d) - (b * c) < 0;
+    return {
+        rx: newRx,
+        ry: newRy,
+        angle: degrees,
+        largeArc,
+        sweep: flipped ? 1 - sweep : sweep,
+        x: end.x,
+        y: end.y,
+    };
+}
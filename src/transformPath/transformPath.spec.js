@@ -0,0 +1,106 @@
+import transformPath, { transformPoints, parsePathData } from './transformPath';
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+import Homography from '../Homography/Homography';
+
+describe('transformPath', () => {
+    const I = TransformMatrix.identity();
+    const translate = TransformMatrix.fromTranslation(5, 5);
+
+    it('Should transform the points of path data', () => {
+        expect(transformPath('M 0 0 L 10 0 C 0 0 5 5 10 10 Q 1 2 3 4 S 1 2 3 4 T 1 2 Z', translate))
+            .toBe('M 5 5 L 15 5 C 5 5 10 10 15 15 Q 6 7 8 9 S 6 7 8 9 T 6 7 Z');
+        expect(transformPath('', translate)).toBe('');
+    });
+
+    it('Should convert relative and horizontal and vertical commands', () => {
+        expect(transformPath('m 10 10 l 5 0 h 5 v 5 c 1 1 2 2 3 3 s 1 1 2 2 z m 1 1 q 1 1 2 2 t 1 1', I))
+            .toBe('M 10 10 L 15 10 L 20 10 L 20 15 C 21 16 22 17 23 18 S 24 19 25 20 Z ' +
+                'M 11 11 Q 12 12 13 13 T 14 14');
+        expect(transformPath('M 0 0 H 10 V 10', TransformMatrix.fromRotate(Math.PI / 2)))
+            .toBe('M 0 0 L 0 10 L -10 10');
+    });
+
+    it('Should transform arcs under non-uniform scales', () => {
+        expect(transformPath('M 0 0 a 10 10 0 0 1 20 0', TransformMatrix.fromScale(2, 1)))
+            .toBe('M 0 0 A 20 10 0 0 1 40 0');
+        expect(transformPath('M 0 0 A 20 10 0 1 0 40 0', TransformMatrix.fromRotate(Math.PI / 2)))
+            .toBe('M 0 0 A 20 10 90 1 0 0 40');
+    });
+
+    it('Should transform arcs under skews', () => {
+        // a half circle of radius 10 around (0, 0), skewed
+        const M = TransformMatrix.fromSkewX(Math.PI / 6);
+        const d = transformPath('M -10 0 A 10 10 0 0 1 10 0', M);
+        const [rx, ry, degrees] = parsePathData(d)[1].values;
+        const angle = (degrees * Math.PI) / 180;
+        // points on the circle must lie on the transformed ellipse
+        [0, 1, 2, 3].forEach(t => {
+            const p = M.transformPoint(10 * Math.cos(t), 10 * Math.sin(t));
+            const u = (p.x * Math.cos(angle)) + (p.y * Math.sin(angle));
+            const v = (p.y * Math.cos(angle)) - (p.x * Math.sin(angle));
+            expect(((u / rx) ** 2) + ((v / ry) ** 2)).toBeCloseTo(1, 5);
+        });
+    });
+
+    it('Should reverse the sweep of arcs under reflections', () => {
+        expect(transformPath('M 0 0 A 5 5 0 0 1 10 0', TransformMatrix.fromScale(-1, 1)))
+            .toBe('M 0 0 A 5 5 0 0 0 -10 0');
+    });
+
+    it('Should draw arcs with a zero radius as lines', () => {
+        expect(transformPath('M 0 0 A 0 5 0 0 1 10 0', translate)).toBe('M 5 5 L 15 5');
+    });
+
+    it('Should convert arrays of points', () => {
+        const points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }];
+        expect(transformPath(points, translate)).toBe('M 5 5 L 15 5 L 15 15');
+        expect(transformPath(points, translate, { closed: true })).toBe('M 5 5 L 15 5 L 15 15 Z');
+        expect(transformPoints(points, translate))
+            .toEqual([{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 15, y: 15 }]);
+    });
+
+    it('Should round numbers', () => {
+        const M = TransformMatrix.fromScale(1 / 3, 1);
+        expect(transformPath('M 1 1', M)).toBe('M 0.333333 1');
+        expect(transformPath('M 1 1', M, { precision: 2 })).toBe('M 0.33 1');
+    });
+
+    it('Should transform lines, but not curves or arcs, in perspective', () => {
+        const affine = Homography.from2D(translate);
+        const projective = new Homography([[2, 0, 0], [0, 2, 0], [0.01, 0, 1]]);
+        expect(transformPath('M 0 0 Q 1 1 2 0 A 1 1 0 0 1 4 0', affine))
+            .toBe('M 5 5 Q 6 6 7 5 A 1 1 0 0 1 9 5');
+        expect(transformPath('M 0 0 L 100 50 h -100 A 0 5 0 0 1 0 0 Z', projective))
+            .toBe('M 0 0 L 100 50 L 0 100 L 0 0 Z');
+        expect(transformPath([{ x: 0, y: 0 }, { x: 100, y: 50 }], projective))
+            .toBe('M 0 0 L 100 50');
+        ['M 0 0 C 1 1 2 2 3 3', 'M 0 0 Q 1 1 2 2', 'M 0 0 A 5 5 0 0 1 10 0'].forEach(d => {
+            expect(() => transformPath(d, projective)).toThrowError(/perspective/);
+        });
+        expect(transformPoints([{ x: 100, y: 50 }], projective)).toEqual([{ x: 100, y: 50 }]);
+    });
+});
+
+describe('parsePathData', () => {
+    it('Should parse compact path data', () => {
+        expect(parsePathData('M0,0 10,10-5.5.5a5 5 0 0110 10z')).toEqual([
+            { command: 'M', values: [0, 0] },
+            { command: 'L', values: [10, 10] },
+            { command: 'L', values: [-5.5, 0.5] },
+            { command: 'a', values: [5, 5, 0, 0, 1, 10, 10] },
+            { command: 'z', values: [] },
+        ]);
+        expect(parsePathData('m 1e1 2 3 4')).toEqual([
+            { command: 'm', values: [10, 2] },
+            { command: 'l', values: [3, 4] },
+        ]);
+    });
+
+    it('Should reject invalid path data', () => {
+        expect(() => parsePathData('M 0')).toThrowError(/offset 3/);
+        expect(() => parsePathData('M 0 0 L 1 x')).toThrow();
+        expect(() => parsePathData('M 0 0 Z 1 1')).toThrow();
+        expect(() => parsePathData('M 0 0 A 1 1 0 2 0 1 1')).toThrow();
+        expect(() => parsePathData('L 0 0')).toThrowError(/moveto/);
+    });
+});
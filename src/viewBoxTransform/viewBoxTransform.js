@@ -0,0 +1,93 @@
+import TransformMatrix from '../TransformMatrix/TransformMatrix';
+
+const NUMBER_RX = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+// the fraction of the leftover space placed before the viewBox, for each
+// alignment keyword
+const ALIGN_FRACTIONS = { Min: 0, Mid: 0.5, Max: 1 };
+const ALIGN_RX = /^x(Min|Mid|Max)Y(Min|Mid|Max)$/;
+
+const DEFAULT_ASPECT_RATIO = { align: 'xMidYMid', meetOrSlice: 'meet' };
+
+/**
+ * Calculates the transform that an SVG viewport applies to its contents,
+ * i.e. the matrix which maps the user coordinate system established by the
+ * `viewBox` onto the `viewport` rectangle, positioned and scaled according to
+ * `preserveAspectRatio`; see
+ * (the spec)[https://www.w3.org/TR/SVG2/coords.html#ComputingAViewportsTransform].
+ *
+ * When there is no `viewBox`, the contents are only translated to the
+ * position of the viewport.
+ *
+ * @export
+ * @param {?{x: Number, y: Number, width: Number, height: Number}} viewBox -
+ *   see `parseViewBox()`
+ * @param {{x: Number, y: Number, width: Number, height: Number}} viewport
+ * @param {String} [preserveAspectRatio] - the value of a
+ *   `preserveAspectRatio` attribute; defaults to "xMidYMid meet"
+ * @returns {TransformMatrix}
+ */
+export default function viewBoxTransform(viewBox, viewport, preserveAspectRatio) {
+    if (viewBox == null) {
+        return TransformMatrix.fromTranslation(viewport.x, viewport.y);
+    }
+    const { align, meetOrSlice } = parsePreserveAspectRatio(preserveAspectRatio);
+    let scaleX = viewport.width / viewBox.width;
+    let scaleY = viewport.height / viewBox.height;
+    let fractionX = 0;
+    let fractionY = 0;
+    if (align !== 'none') {
+        const scale = meetOrSlice === 'slice' ?
+            Math.max(scaleX, scaleY) :
+            Math.min(scaleX, scaleY);
+        [scaleX, scaleY] = [scale, scale];
+        const [, x, y] = ALIGN_RX.exec(align);
+        [fractionX, fractionY] = [ALIGN_FRACTIONS[x], ALIGN_FRACTIONS[y]];
+    }
+    const translateX = viewport.x - (viewBox.x * scaleX) +
+        (fractionX * (viewport.width - (viewBox.width * scaleX)));
+    const translateY = viewport.y - (viewBox.y * scaleY) +
+        (fractionY * (viewport.height - (viewBox.height * scaleY)));
+    return new TransformMatrix(scaleX, 0, 0, scaleY, translateX, translateY);
+}
+
+/**
+ * Parses the value of an SVG `viewBox` attribute, four numbers separated by
+ * whitespace and/or commas, e.g. "0 0 100 50". Returns null when `str` is
+ * missing or invalid, or when the width or height isn't positive, since
+ * browsers then ignore the viewBox.
+ *
+ * @export
+ * @param {?String} str
+ * @returns {?{x: Number, y: Number, width: Number, height: Number}}
+ */
+export function parseViewBox(str) {
+    if (str == null) { return null; }
+    const values = str.trim().split(/\s*,\s*|\s+/);
+    if (values.length !== 4 || !values.every(value => NUMBER_RX.test(value))) {
+        return null;
+    }
+    const [x, y, width, height] = values.map(parseFloat);
+    if (!(width > 0 && height > 0)) { return null; }
+    return { x, y, width, height };
+}
+
+/**
+ * Parses the value of an SVG `preserveAspectRatio` attribute, e.g.
+ * "xMinYMid slice". The SVG 1.1 `defer` keyword is ignored. Missing or
+ * invalid values are "xMidYMid meet", as in browsers.
+ *
+ * @export
+ * @param {?String} str
+ * @returns {{align: String, meetOrSlice: String}}
+ */
+export function parsePreserveAspectRatio(str) {
+    if (str == null) { return Object.assign({}, DEFAULT_ASPECT_RATIO); }
+    const values = str.trim().split(/\s+/);
+    if (values[0] === 'defer') { values.shift(); }
+    const [align, meetOrSlice = 'meet'] = values;
+    const isValid = values.length <= 2 &&
+        (align === 'none' || ALIGN_RX.test(align)) &&
+        (meetOrSlice === 'meet' || meetOrSlice === 'slice');
+    return isValid ? { align, meetOrSlice } : Object.assign({}, DEFAULT_ASPECT_RATIO);
+}
@@ -0,0 +1,67 @@
+import viewBoxTransform, {
+    parseViewBox,
+    parsePreserveAspectRatio,
+} from './viewBoxTransform';
+
+describe('viewBoxTransform', () => {
+    const viewBox = { x: 0, y: 0, width: 100, height: 50 };
+    const viewport = { x: 10, y: 20, width: 400, height: 400 };
+
+    it('Should fit the viewBox inside the viewport by default', () => {
+        expect(viewBoxTransform(viewBox, viewport).cssVector).toEqual([4, 0, 0, 4, 10, 120]);
+        expect(viewBoxTransform(viewBox, viewport, 'xMidYMid meet').cssVector)
+            .toEqual([4, 0, 0, 4, 10, 120]);
+    });
+
+    it('Should align the viewBox within the viewport', () => {
+        const check = (par, expected) =>
+            expect(viewBoxTransform(viewBox, viewport, par).cssVector).toEqual(expected);
+        check('xMinYMin', [4, 0, 0, 4, 10, 20]);
+        check('xMaxYMax meet', [4, 0, 0, 4, 10, 220]);
+        check('xMinYMid slice', [8, 0, 0, 8, 10, 20]);
+        check('xMaxYMin slice', [8, 0, 0, 8, -390, 20]);
+        check('none', [4, 0, 0, 8, 10, 20]);
+    });
+
+    it('Should map the origin of the viewBox', () => {
+        const M = viewBoxTransform({ x: -50, y: 25, width: 100, height: 100 }, viewport);
+        const topLeft = M.transformPoint(-50, 25);
+        expect([topLeft.x, topLeft.y]).toEqual([10, 20]);
+        const bottomRight = M.transformPoint(50, 125);
+        expect([bottomRight.x, bottomRight.y]).toEqual([410, 420]);
+    });
+
+    it('Should only translate when there is no viewBox', () => {
+        expect(viewBoxTransform(null, viewport, 'none').cssVector).toEqual([1, 0, 0, 1, 10, 20]);
+    });
+});
+
+describe('parseViewBox', () => {
+    it('Should parse whitespace or comma separated numbers', () => {
+        expect(parseViewBox('0 0 100 50')).toEqual({ x: 0, y: 0, width: 100, height: 50 });
+        expect(parseViewBox(' -10,2.5 , 1e2\t50 ')).toEqual({ x: -10, y: 2.5, width: 100, height: 50 });
+    });
+
+    it('Should ignore missing or invalid viewBoxes', () => {
+        [null, '', '0 0 100', '0 0 100 50 1', '0 0 100px 50', '0 0 -100 50', '0 0 100 0']
+            .forEach(str => expect(parseViewBox(str)).toBe(null));
+    });
+});
+
+describe('parsePreserveAspectRatio', () => {
+    it('Should parse the alignment and meet or slice', () => {
+        expect(parsePreserveAspectRatio('xMinYMax slice'))
+            .toEqual({ align: 'xMinYMax', meetOrSlice: 'slice' });
+        expect(parsePreserveAspectRatio(' none '))
+            .toEqual({ align: 'none', meetOrSlice: 'meet' });
+        expect(parsePreserveAspectRatio('defer xMaxYMid'))
+            .toEqual({ align: 'xMaxYMid', meetOrSlice: 'meet' });
+    });
+
+    it('Should default to "xMidYMid meet"', () => {
+        [null, '', 'xminymin', 'xMinYMin cover', 'slice', 'none meet slice'].forEach(str => {
+            expect(parsePreserveAspectRatio(str))
+                .toEqual({ align: 'xMidYMid', meetOrSlice: 'meet' });
+        });
+    });
+});